@@ -0,0 +1,103 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const articleController = require('../../controllers/article.controller');
+const { authenticate, optionalAuthenticate, requireAdmin } = require('../../middleware/auth.middleware');
+const { validateRequest } = require('../../utils/validation');
+const { restoreMarkdownSource } = require('../../utils/markdown');
+
+const router = express.Router();
+
+const PUBLICATION_STATUSES = ['draft', 'published', 'archived'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Restore the Markdown source escaped by the global body sanitizers
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+function restoreArticleContent(req, res, next) {
+  if (req.body && req.body.articleContent !== undefined) {
+    req.body.articleContent = restoreMarkdownSource(req.body.articleContent);
+  }
+  next();
+}
+
+/**
+ * Validation rules shared by article create and update
+ * @param {boolean} isUpdate - Whether required fields may be omitted
+ * @returns {Array} express-validator chains
+ */
+function articleValidators(isUpdate = false) {
+  const required = (field) => (isUpdate ? body(field).optional() : body(field));
+
+  return [
+    required('articleTitle').isString().notEmpty().withMessage('Article title is required'),
+    required('articleContent').isString().notEmpty().withMessage('Article content is required'),
+    required('articleSummary').isString().notEmpty().withMessage('Article summary is required'),
+    required('featuredImage').isString().notEmpty().withMessage('Featured image is required'),
+    body('articleSlug').optional().matches(SLUG_PATTERN).withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+    body('publicationStatus').optional().isIn(PUBLICATION_STATUSES).withMessage('Invalid publication status'),
+    body('categoryIds').optional().isArray().withMessage('categoryIds must be an array'),
+    body('categoryIds.*').isUUID().withMessage('Category IDs must be UUIDs'),
+    body('tagIds').optional().isArray().withMessage('tagIds must be an array'),
+    body('tagIds.*').isUUID().withMessage('Tag IDs must be UUIDs'),
+    validateRequest
+  ];
+}
+
+/**
+ * @route GET /api/articles
+ * @desc List articles, filterable by category, tag and status
+ * @access Public (only published articles unless admin)
+ */
+router.get('/', optionalAuthenticate, [
+  query('status').optional().isIn(PUBLICATION_STATUSES).withMessage('Invalid publication status'),
+  validateRequest
+], articleController.listArticles);
+
+/**
+ * @route GET /api/articles/:articleSlug
+ * @desc Get an article by slug, including its Markdown source and rendered HTML
+ * @access Public (only published articles unless admin)
+ */
+router.get('/:articleSlug', optionalAuthenticate, articleController.getArticleBySlug);
+
+/**
+ * @route POST /api/articles
+ * @desc Create an article from Markdown content
+ * @access Admin
+ */
+router.post('/', authenticate, requireAdmin, restoreArticleContent, articleValidators(), articleController.createArticle);
+
+/**
+ * @route PUT /api/articles/:articleId
+ * @desc Update an article
+ * @access Admin
+ */
+router.put('/:articleId', authenticate, requireAdmin, restoreArticleContent, [
+  param('articleId').isUUID().withMessage('Invalid article ID'),
+  ...articleValidators(true)
+], articleController.updateArticle);
+
+/**
+ * @route POST /api/articles/:articleId/publish
+ * @desc Publish an article
+ * @access Admin
+ */
+router.post('/:articleId/publish', authenticate, requireAdmin, [
+  param('articleId').isUUID().withMessage('Invalid article ID'),
+  validateRequest
+], articleController.publishArticle);
+
+/**
+ * @route DELETE /api/articles/:articleId
+ * @desc Delete an article
+ * @access Admin
+ */
+router.delete('/:articleId', authenticate, requireAdmin, [
+  param('articleId').isUUID().withMessage('Invalid article ID'),
+  validateRequest
+], articleController.deleteArticle);
+
+module.exports = router;
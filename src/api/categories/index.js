@@ -0,0 +1,72 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const categoryController = require('../../controllers/category.controller');
+const { CATEGORY_TYPES } = require('../../services/category.service');
+const { authenticate, requireAdmin } = require('../../middleware/auth.middleware');
+const { validateRequest } = require('../../utils/validation');
+
+const router = express.Router();
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * @route GET /api/categories/tree
+ * @desc Nested category trees for every category type
+ * @access Public
+ */
+router.get('/tree', categoryController.getTrees);
+
+/**
+ * @route GET /api/categories/tree/:categoryType
+ * @desc Nested category tree for one category type
+ * @access Public
+ */
+router.get('/tree/:categoryType', [
+  param('categoryType').isIn(CATEGORY_TYPES).withMessage('Invalid category type'),
+  validateRequest
+], categoryController.getTree);
+
+/**
+ * @route GET /api/categories/type-mismatches
+ * @desc List assignments and records attached to a category of the wrong type
+ * @access Admin
+ */
+router.get('/type-mismatches', authenticate, requireAdmin, categoryController.getTypeMismatches);
+
+/**
+ * @route POST /api/categories/type-mismatches/fix
+ * @desc Remove mismatched assignments and move mismatched services/expertise to replacement categories
+ * @access Admin
+ */
+router.post('/type-mismatches/fix', authenticate, requireAdmin, [
+  body('models').optional().isArray().withMessage('models must be an array'),
+  body('reassignTo').optional().isObject().withMessage('reassignTo must be an object'),
+  body('reassignTo.*').isUUID().withMessage('Replacement category IDs must be UUIDs'),
+  validateRequest
+], categoryController.fixTypeMismatches);
+
+/**
+ * @route POST /api/categories
+ * @desc Create a category, optionally below a parent of the same type
+ * @access Admin
+ */
+router.post('/', authenticate, requireAdmin, [
+  body('categoryName').isString().notEmpty().withMessage('Category name is required'),
+  body('categoryType').isIn(CATEGORY_TYPES).withMessage('Invalid category type'),
+  body('categorySlug').optional().matches(SLUG_PATTERN).withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+  body('parentCategoryId').optional({ values: 'null' }).isUUID().withMessage('Invalid parent category ID'),
+  validateRequest
+], categoryController.createCategory);
+
+/**
+ * @route POST /api/categories/:categoryId/move
+ * @desc Move a category and its descendants below a new parent (null moves it to the root)
+ * @access Admin
+ */
+router.post('/:categoryId/move', authenticate, requireAdmin, [
+  param('categoryId').isUUID().withMessage('Invalid category ID'),
+  body('parentCategoryId').optional({ values: 'null' }).isUUID().withMessage('Invalid parent category ID'),
+  validateRequest
+], categoryController.moveCategory);
+
+module.exports = router;
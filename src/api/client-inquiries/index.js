@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param, query } = require('express-validator');
+const inquiryController = require('../../controllers/inquiry.controller');
+const { INQUIRY_STATUSES } = require('../../services/inquiry.service');
+const { authenticate, requireAdmin } = require('../../middleware/auth.middleware');
+const { unescapeAngleBrackets } = require('../../middleware/sanitization.middleware');
+const { validateRequest } = require('../../utils/validation');
+const { isUuid } = require('../../utils/businessHelpers');
+const config = require('../../config');
+
+const router = express.Router();
+
+const windowMs = config.inquiry.rateLimitWindowMinutes * 60 * 1000;
+
+// Per-IP limit on submissions
+const ipLimiter = rateLimit({
+  windowMs,
+  max: config.inquiry.maxPerIp,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'Too many inquiries from this IP, please try again later' }
+});
+
+// Per-email limit on submissions, keyed on the validated sender address
+const emailLimiter = rateLimit({
+  windowMs,
+  max: config.inquiry.maxPerEmail,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `email:${req.body.clientEmail.toLowerCase()}`,
+  message: { message: 'Too many inquiries from this email address, please try again later' }
+});
+
+// Inbound payload fields, with the aliases used by common parse webhooks
+const INBOUND_FIELDS = {
+  from: ['from', 'sender', 'From'],
+  to: ['to', 'recipient', 'To'],
+  subject: ['subject', 'Subject'],
+  text: ['text', 'stripped-text', 'body-plain'],
+  messageId: ['messageId', 'Message-Id', 'Message-ID'],
+  inReplyTo: ['inReplyTo', 'In-Reply-To'],
+  references: ['references', 'References']
+};
+
+/**
+ * Reject inbound webhook calls that do not carry the shared secret
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+function verifyInboundSecret(req, res, next) {
+  const secret = config.email.inboundSecret;
+  if (!secret) {
+    return res.status(503).json({ message: 'Inbound email is not configured' });
+  }
+
+  const provided = Buffer.from(String(req.get('X-Inbound-Secret') || req.query.secret || ''));
+  const expected = Buffer.from(secret);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ message: 'Invalid inbound secret' });
+  }
+  next();
+}
+
+/**
+ * Normalize the inbound payload into req.inboundEmail. Header values such as
+ * "Name <address>" and Message-IDs are restored from the global body escaping.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+function parseInboundEmail(req, res, next) {
+  const payload = req.body || {};
+  req.inboundEmail = Object.keys(INBOUND_FIELDS).reduce((email, field) => {
+    const key = INBOUND_FIELDS[field].find(alias => typeof payload[alias] === 'string');
+    email[field] = key ? unescapeAngleBrackets(payload[key]) : null;
+    return email;
+  }, {});
+
+  if (!req.inboundEmail.from) {
+    return res.status(400).json({ message: 'Sender address is required' });
+  }
+  next();
+}
+
+/**
+ * Restore reply text escaped by the global body sanitizers; it is sent as
+ * plain text and escaped when rendered to HTML
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+function restoreReplyBody(req, res, next) {
+  if (req.body && req.body.messageBody !== undefined) {
+    req.body.messageBody = unescapeAngleBrackets(req.body.messageBody);
+  }
+  if (req.body && req.body.messageSubject !== undefined) {
+    req.body.messageSubject = unescapeAngleBrackets(req.body.messageSubject);
+  }
+  next();
+}
+
+const inquiryIdValidator = [
+  param('inquiryId').isUUID().withMessage('Invalid inquiry ID'),
+  validateRequest
+];
+
+/**
+ * @route GET /api/client-inquiries/form-token
+ * @desc Issue a signed token to embed in the contact form
+ * @access Public
+ */
+router.get('/form-token', inquiryController.getFormToken);
+
+/**
+ * @route POST /api/client-inquiries
+ * @desc Submit an inquiry; suspected spam is quarantined for review
+ * @access Public
+ */
+router.post('/', ipLimiter, [
+  body('clientName').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Name is required'),
+  body('clientEmail').isEmail().withMessage('Valid email address is required').trim(),
+  body('inquirySubject').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Subject is required'),
+  body('inquiryMessage').isString().trim().isLength({ min: 1, max: 5000 }).withMessage('Message must be between 1 and 5000 characters'),
+  body('formToken').optional().isString(),
+  validateRequest
+], emailLimiter, inquiryController.submitInquiry);
+
+/**
+ * @route POST /api/client-inquiries/inbound
+ * @desc Parse webhook for client replies; the message is threaded by In-Reply-To/References
+ * @access Public (shared secret)
+ */
+router.post('/inbound', verifyInboundSecret, parseInboundEmail, inquiryController.receiveInboundEmail);
+
+/**
+ * @route GET /api/client-inquiries
+ * @desc Inbox listing with status, assignee, follow-up and date filters plus text search
+ * @access Admin
+ */
+router.get('/', authenticate, requireAdmin, [
+  query('status').optional().isIn(INQUIRY_STATUSES).withMessage('Invalid inquiry status'),
+  query('assignedTo').optional().custom(value => ['me', 'unassigned'].includes(value) || isUuid(value))
+    .withMessage('assignedTo must be an account ID, "me" or "unassigned"'),
+  query('search').optional().isString().isLength({ max: 200 }).withMessage('Search must be at most 200 characters'),
+  query('followUpDue').optional().isBoolean().withMessage('followUpDue must be a boolean'),
+  query('quarantined').optional().isBoolean().withMessage('quarantined must be a boolean'),
+  query('receivedFrom').optional().isISO8601().withMessage('receivedFrom must be a date'),
+  query('receivedTo').optional().isISO8601().withMessage('receivedTo must be a date'),
+  validateRequest
+], inquiryController.listInbox);
+
+/**
+ * @route GET /api/client-inquiries/quarantine
+ * @desc List quarantined inquiries, highest spam score first
+ * @access Admin
+ */
+router.get('/quarantine', authenticate, requireAdmin, inquiryController.listQuarantined);
+
+/**
+ * @route POST /api/client-inquiries/:inquiryId/release
+ * @desc Release a quarantined inquiry into the inbox
+ * @access Admin
+ */
+router.post('/:inquiryId/release', authenticate, requireAdmin, inquiryIdValidator, inquiryController.releaseInquiry);
+
+/**
+ * @route GET /api/client-inquiries/:inquiryId
+ * @desc Get an inquiry with notes and status history; opening an unread inquiry marks it read
+ * @access Admin
+ */
+router.get('/:inquiryId', authenticate, requireAdmin, inquiryIdValidator, inquiryController.getInquiry);
+
+/**
+ * @route PATCH /api/client-inquiries/:inquiryId
+ * @desc Assign an inquiry and set its follow-up date (null clears either)
+ * @access Admin
+ */
+router.patch('/:inquiryId', authenticate, requireAdmin, [
+  param('inquiryId').isUUID().withMessage('Invalid inquiry ID'),
+  body('assignedAccountId').optional({ values: 'null' }).isUUID().withMessage('Invalid account ID'),
+  body('followUpDate').optional({ values: 'null' }).isISO8601().withMessage('followUpDate must be a date').toDate(),
+  validateRequest
+], inquiryController.updateInquiry);
+
+/**
+ * @route POST /api/client-inquiries/:inquiryId/status
+ * @desc Change the status of an inquiry and record the change
+ * @access Admin
+ */
+router.post('/:inquiryId/status', authenticate, requireAdmin, [
+  param('inquiryId').isUUID().withMessage('Invalid inquiry ID'),
+  body('inquiryStatus').isIn(INQUIRY_STATUSES).withMessage('Invalid inquiry status'),
+  validateRequest
+], inquiryController.changeStatus);
+
+/**
+ * @route POST /api/client-inquiries/:inquiryId/notes
+ * @desc Add an internal note to an inquiry
+ * @access Admin
+ */
+router.post('/:inquiryId/notes', authenticate, requireAdmin, [
+  param('inquiryId').isUUID().withMessage('Invalid inquiry ID'),
+  body('noteContent').isString().trim().isLength({ min: 1, max: 5000 }).withMessage('Note must be between 1 and 5000 characters'),
+  validateRequest
+], inquiryController.addNote);
+
+/**
+ * @route POST /api/client-inquiries/:inquiryId/replies
+ * @desc Email a reply to the client and add it to the conversation thread
+ * @access Admin
+ */
+router.post('/:inquiryId/replies', authenticate, requireAdmin, restoreReplyBody, [
+  param('inquiryId').isUUID().withMessage('Invalid inquiry ID'),
+  body('messageBody').isString().trim().isLength({ min: 1, max: 20000 }).withMessage('Reply must be between 1 and 20000 characters'),
+  body('messageSubject').optional().isString().trim().isLength({ min: 1, max: 255 }).withMessage('Subject must be at most 255 characters'),
+  validateRequest
+], inquiryController.replyToInquiry);
+
+/**
+ * @route DELETE /api/client-inquiries/:inquiryId
+ * @desc Delete an inquiry
+ * @access Admin
+ */
+router.delete('/:inquiryId', authenticate, requireAdmin, inquiryIdValidator, inquiryController.deleteInquiry);
+
+module.exports = router;
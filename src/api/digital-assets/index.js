@@ -0,0 +1,205 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const assetController = require('../../controllers/asset.controller');
+const uploadController = require('../../controllers/resumableUpload.controller');
+const { ASSET_CATEGORIES, ASSET_VISIBILITIES, DISPOSITIONS } = require('../../services/digitalAssetService');
+const { TRANSFORM_FITS } = require('../../services/imageTransform.service');
+const { authenticate, requireAdmin } = require('../../middleware/auth.middleware');
+const { assetUpload } = require('../../middleware/fileUpload');
+const { requireTusResumable } = require('../../middleware/tus.middleware');
+const { validateRequest } = require('../../utils/validation');
+const config = require('../../config');
+
+const router = express.Router();
+
+const assetIdValidator = [
+  param('assetId').isUUID().withMessage('Invalid asset ID'),
+  validateRequest
+];
+
+const uploadIdValidator = [
+  param('uploadId').isUUID().withMessage('Invalid upload ID'),
+  validateRequest
+];
+
+/**
+ * Validation rules for asset metadata
+ * @returns {Array} express-validator chains
+ */
+function assetMetadataValidators() {
+  return [
+    body('assetName').optional().isString().trim().isLength({ min: 1, max: 255 }).withMessage('Asset name must be 1 to 255 characters'),
+    body('alternativeText').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }).withMessage('Alternative text must be at most 255 characters'),
+    body('visibility').optional().isIn(ASSET_VISIBILITIES).withMessage(`visibility must be one of ${ASSET_VISIBILITIES.join(', ')}`),
+    validateRequest
+  ];
+}
+
+/**
+ * @route POST /api/digital-assets
+ * @desc Upload a file (multipart field "file") with optional assetName, alternativeText
+ * and visibility (public or private; private files are only reachable through signed URLs)
+ * @access Private
+ */
+router.post('/', authenticate, assetUpload('file'), assetMetadataValidators(), assetController.uploadAsset);
+
+/**
+ * @route GET /api/digital-assets
+ * @desc List the requester's assets (admins may list all or filter by uploadedBy)
+ * @access Private
+ */
+router.get('/', authenticate, [
+  query('category').optional().isIn(ASSET_CATEGORIES).withMessage(`category must be one of ${ASSET_CATEGORIES.join(', ')}`),
+  query('uploadedBy').optional().isUUID().withMessage('Invalid account ID'),
+  query('search').optional().isString().isLength({ max: 200 }).withMessage('Search must be at most 200 characters'),
+  validateRequest
+], assetController.listAssets);
+
+/**
+ * @route GET /api/digital-assets/usage
+ * @desc Storage used by the requester and their quota
+ * @access Private
+ */
+router.get('/usage', authenticate, assetController.getUsage);
+
+/**
+ * @route GET /api/digital-assets/duplicates
+ * @desc List groups of assets with identical content (same SHA-256)
+ * @access Admin
+ */
+router.get('/duplicates', authenticate, requireAdmin, assetController.listDuplicates);
+
+/**
+ * @route POST /api/digital-assets/duplicates/scan
+ * @desc Hash assets uploaded before content hashing so their duplicates are found
+ * @access Admin
+ */
+router.post('/duplicates/scan', authenticate, requireAdmin, assetController.scanDuplicates);
+
+/**
+ * @route POST /api/digital-assets/duplicates/:contentHash/merge
+ * @desc Merge a duplicate group into one asset (keepAssetId, default the oldest),
+ * moving project, article and service associations and image fields onto it;
+ * assets of another visibility, or private assets of another account, are skipped
+ * @access Admin
+ */
+router.post('/duplicates/:contentHash/merge', authenticate, requireAdmin, [
+  param('contentHash').matches(/^[a-f0-9]{64}$/).withMessage('Invalid content hash'),
+  body('keepAssetId').optional().isUUID().withMessage('Invalid asset ID'),
+  validateRequest
+], assetController.mergeDuplicates);
+
+/**
+ * @route POST /api/digital-assets/cleanup
+ * @desc Run the orphaned asset cleanup now; dryRun reports without changing anything
+ * @access Admin
+ */
+router.post('/cleanup', authenticate, requireAdmin, [
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean(),
+  validateRequest
+], assetController.runCleanup);
+
+/**
+ * @route POST /api/digital-assets/uploads
+ * @desc Create a tus 1.0 resumable upload from Upload-Length and Upload-Metadata
+ * (filename, assetName, alternativeText, visibility); answers with its Location
+ * @access Private
+ */
+router.post('/uploads', authenticate, requireTusResumable, uploadController.createUpload);
+
+/**
+ * @route HEAD /api/digital-assets/uploads/:uploadId
+ * @desc Current Upload-Offset of a resumable upload
+ * @access Private
+ */
+router.head('/uploads/:uploadId', authenticate, requireTusResumable, uploadIdValidator, uploadController.getUploadOffset);
+
+/**
+ * @route GET /api/digital-assets/uploads/:uploadId
+ * @desc Progress of a resumable upload and, once complete, the created asset
+ * @access Private
+ */
+router.get('/uploads/:uploadId', authenticate, uploadIdValidator, uploadController.getUploadStatus);
+
+/**
+ * @route PATCH /api/digital-assets/uploads/:uploadId
+ * @desc Append application/offset+octet-stream data at Upload-Offset; the final
+ * chunk turns the upload into an asset through the regular upload checks
+ * @access Private
+ */
+router.patch('/uploads/:uploadId', authenticate, requireTusResumable, uploadIdValidator, uploadController.appendUploadChunk);
+
+/**
+ * @route DELETE /api/digital-assets/uploads/:uploadId
+ * @desc Terminate a resumable upload and discard its data
+ * @access Private
+ */
+router.delete('/uploads/:uploadId', authenticate, requireTusResumable, uploadIdValidator, uploadController.terminateUpload);
+
+/**
+ * @route GET /api/digital-assets/:assetId
+ * @desc Get an asset
+ * @access Private
+ */
+router.get('/:assetId', authenticate, assetIdValidator, assetController.getAsset);
+
+/**
+ * @route GET /api/digital-assets/:assetId/transform
+ * @desc Resize or re-encode an image (w, h, fit, format). Sizes outside the
+ * configured presets need a sig parameter signed with the transform secret.
+ * @access Public
+ */
+router.get('/:assetId/transform', [
+  param('assetId').isUUID().withMessage('Invalid asset ID'),
+  query('w').optional().isInt({ min: 1, max: config.storage.imageTransform.maxDimension }).withMessage(`w must be between 1 and ${config.storage.imageTransform.maxDimension}`),
+  query('h').optional().isInt({ min: 1, max: config.storage.imageTransform.maxDimension }).withMessage(`h must be between 1 and ${config.storage.imageTransform.maxDimension}`),
+  query('w').custom((value, { req }) => Boolean(value || req.query.h)).withMessage('w or h is required'),
+  query('fit').optional().isIn(TRANSFORM_FITS).withMessage(`fit must be one of ${TRANSFORM_FITS.join(', ')}`),
+  query('format').optional().isIn(config.storage.imageTransform.formats).withMessage(`format must be one of ${config.storage.imageTransform.formats.join(', ')}`),
+  query('sig').optional().isString(),
+  validateRequest
+], assetController.transformAsset);
+
+/**
+ * @route PATCH /api/digital-assets/:assetId
+ * @desc Update an asset's name, alternative text or visibility
+ * @access Private
+ */
+router.patch('/:assetId', authenticate, [
+  param('assetId').isUUID().withMessage('Invalid asset ID'),
+  ...assetMetadataValidators()
+], assetController.updateAsset);
+
+/**
+ * @route GET /api/digital-assets/:assetId/usages
+ * @desc List every project, article, service, site configuration field and account profile using the asset
+ * @access Private
+ */
+router.get('/:assetId/usages', authenticate, assetIdValidator, assetController.getAssetUsages);
+
+/**
+ * @route POST /api/digital-assets/:assetId/signed-url
+ * @desc Issue an expiring URL to the asset's file (expiresIn in seconds), optionally
+ * with a Content-Disposition of inline or attachment to force a download
+ * @access Private
+ */
+router.post('/:assetId/signed-url', authenticate, [
+  param('assetId').isUUID().withMessage('Invalid asset ID'),
+  body('expiresIn').optional().isInt({ min: 1, max: config.storage.signedUrls.maxTtl })
+    .withMessage(`expiresIn must be between 1 and ${config.storage.signedUrls.maxTtl} seconds`).toInt(),
+  body('disposition').optional().isIn(DISPOSITIONS).withMessage(`disposition must be one of ${DISPOSITIONS.join(', ')}`),
+  validateRequest
+], assetController.createSignedUrl);
+
+/**
+ * @route DELETE /api/digital-assets/:assetId
+ * @desc Delete an asset and its file; an asset in use answers 409 with its usages unless force=true
+ * @access Private
+ */
+router.delete('/:assetId', authenticate, [
+  param('assetId').isUUID().withMessage('Invalid asset ID'),
+  query('force').optional().isBoolean().withMessage('force must be a boolean'),
+  validateRequest
+], assetController.deleteAsset);
+
+module.exports = router;
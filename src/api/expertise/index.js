@@ -0,0 +1,123 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const expertiseController = require('../../controllers/expertise.controller');
+const { authenticate, requireAdmin } = require('../../middleware/auth.middleware');
+const { validateRequest } = require('../../utils/validation');
+
+const router = express.Router();
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const expertiseIdValidator = [
+  param('expertiseId').isUUID().withMessage('Invalid expertise ID'),
+  validateRequest
+];
+
+/**
+ * Validation rules for technical expertise
+ * @param {boolean} isUpdate - Whether required fields may be omitted
+ * @returns {Array} express-validator chains
+ */
+function technicalValidators(isUpdate = false) {
+  const required = (field) => (isUpdate ? body(field).optional() : body(field));
+
+  return [
+    required('expertiseName').isString().notEmpty().withMessage('Expertise name is required'),
+    body('expertiseSlug').optional().matches(SLUG_PATTERN).withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+    body('iconIdentifier').optional({ values: 'null' }).isString().withMessage('Icon identifier must be a string'),
+    validateRequest
+  ];
+}
+
+/**
+ * Validation rules for professional expertise
+ * @param {boolean} isUpdate - Whether required fields may be omitted
+ * @returns {Array} express-validator chains
+ */
+function professionalValidators(isUpdate = false) {
+  const required = (field) => (isUpdate ? body(field).optional() : body(field));
+
+  return [
+    required('categoryId').isUUID().withMessage('Valid category ID is required'),
+    required('expertiseName').isString().notEmpty().withMessage('Expertise name is required'),
+    required('proficiencyLevel').isInt({ min: 1, max: 100 }).withMessage('Proficiency level must be between 1 and 100').toInt(),
+    body('accountId').optional().isUUID().withMessage('Invalid account ID'),
+    body('expertiseIcon').optional({ values: 'null' }).isString().withMessage('Expertise icon must be a string'),
+    body('isFeatured').optional().isBoolean().withMessage('isFeatured must be a boolean'),
+    validateRequest
+  ];
+}
+
+/**
+ * @route GET /api/expertise/matrix/:username
+ * @desc Skills matrix of an account grouped by category, with technology project counts
+ * @access Public
+ */
+router.get('/matrix/:username', expertiseController.getSkillsMatrix);
+
+/**
+ * @route GET /api/expertise/technical
+ * @desc List technical expertise with published project counts
+ * @access Public
+ */
+router.get('/technical', expertiseController.listTechnicalExpertise);
+
+/**
+ * @route POST /api/expertise/technical
+ * @desc Create a technical expertise entry
+ * @access Admin
+ */
+router.post('/technical', authenticate, requireAdmin, technicalValidators(), expertiseController.createTechnicalExpertise);
+
+/**
+ * @route PUT /api/expertise/technical/:expertiseId
+ * @desc Update a technical expertise entry
+ * @access Admin
+ */
+router.put('/technical/:expertiseId', authenticate, requireAdmin, [
+  param('expertiseId').isUUID().withMessage('Invalid expertise ID'),
+  ...technicalValidators(true)
+], expertiseController.updateTechnicalExpertise);
+
+/**
+ * @route DELETE /api/expertise/technical/:expertiseId
+ * @desc Delete a technical expertise entry
+ * @access Admin
+ */
+router.delete('/technical/:expertiseId', authenticate, requireAdmin, expertiseIdValidator, expertiseController.deleteTechnicalExpertise);
+
+/**
+ * @route GET /api/expertise/professional
+ * @desc List professional expertise, optionally for one account
+ * @access Public
+ */
+router.get('/professional', [
+  query('accountId').optional().isUUID().withMessage('Invalid account ID'),
+  validateRequest
+], expertiseController.listProfessionalExpertise);
+
+/**
+ * @route POST /api/expertise/professional
+ * @desc Create a professional expertise entry (defaults to the caller's account)
+ * @access Admin
+ */
+router.post('/professional', authenticate, requireAdmin, professionalValidators(), expertiseController.createProfessionalExpertise);
+
+/**
+ * @route PUT /api/expertise/professional/:expertiseId
+ * @desc Update a professional expertise entry
+ * @access Admin
+ */
+router.put('/professional/:expertiseId', authenticate, requireAdmin, [
+  param('expertiseId').isUUID().withMessage('Invalid expertise ID'),
+  ...professionalValidators(true)
+], expertiseController.updateProfessionalExpertise);
+
+/**
+ * @route DELETE /api/expertise/professional/:expertiseId
+ * @desc Delete a professional expertise entry
+ * @access Admin
+ */
+router.delete('/professional/:expertiseId', authenticate, requireAdmin, expertiseIdValidator, expertiseController.deleteProfessionalExpertise);
+
+module.exports = router;
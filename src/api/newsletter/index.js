@@ -0,0 +1,240 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param, query } = require('express-validator');
+const newsletterController = require('../../controllers/newsletter.controller');
+const campaignController = require('../../controllers/campaign.controller');
+const { SUBSCRIPTION_STATUSES, UNSUBSCRIBE_REASONS } = require('../../services/newsletter.service');
+const { EXPORT_DATE_FIELDS } = require('../../services/subscriberCsv.service');
+const { authenticate, requireAdmin } = require('../../middleware/auth.middleware');
+const { csvUpload } = require('../../middleware/fileUpload');
+const { validateRequest } = require('../../utils/validation');
+const config = require('../../config');
+
+const router = express.Router();
+
+const subscribeLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: config.newsletter.maxSubscribeAttemptsPerIp,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'Too many subscription attempts, please try again later' }
+});
+
+// Email links open frontend pages that post the token, so mail scanners
+// following links cannot confirm or unsubscribe on their own
+const tokenValidator = [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  validateRequest
+];
+
+const campaignIdValidator = [
+  param('campaignId').isUUID().withMessage('Invalid campaign ID'),
+  validateRequest
+];
+
+/**
+ * Validation rules for campaigns
+ * @param {boolean} isUpdate - Whether required fields may be omitted
+ * @returns {Array} express-validator chains
+ */
+function campaignValidators(isUpdate = false) {
+  const required = (field) => (isUpdate ? body(field).optional() : body(field));
+
+  return [
+    ...segmentValidators('segment.'),
+    required('campaignSubject').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Campaign subject is required'),
+    body('introText').optional({ values: 'null' }).isString().withMessage('Intro text must be a string'),
+    isUpdate
+      ? body('articleIds').optional().isArray().withMessage('articleIds must be an array')
+      : body('articlesSince').optional().isISO8601().withMessage('articlesSince must be a date').toDate(),
+    body('articleIds.*').isUUID().withMessage('Invalid article ID'),
+    body('segment').optional({ values: 'null' }).isObject().withMessage('segment must be an object'),
+    validateRequest
+  ];
+}
+
+/**
+ * Validation rules for a subscriber segment
+ * @param {string} prefix - Body path of the segment fields
+ * @returns {Array} express-validator chains
+ */
+function segmentValidators(prefix = '') {
+  return [
+    body(`${prefix}categoryIds`).optional().isArray().withMessage('categoryIds must be an array'),
+    body(`${prefix}categoryIds.*`).isUUID().withMessage('Invalid category ID'),
+    body(`${prefix}subscribedAfter`).optional().isISO8601().withMessage('subscribedAfter must be a date')
+  ];
+}
+
+/**
+ * @route POST /api/newsletter/subscribe
+ * @desc Start a subscription and email a confirmation link
+ * @access Public
+ */
+router.post('/subscribe', subscribeLimiter, [
+  body('emailAddress').isEmail().withMessage('Valid email address is required').trim(),
+  body('subscriberName').optional().isString().trim().isLength({ max: 255 }).withMessage('Name must be at most 255 characters'),
+  validateRequest
+], newsletterController.subscribe);
+
+/**
+ * @route POST /api/newsletter/confirm
+ * @desc Confirm a pending subscription with the signed token from the email
+ * @access Public
+ */
+router.post('/confirm', tokenValidator, newsletterController.confirm);
+
+/**
+ * @route POST /api/newsletter/unsubscribe
+ * @desc Unsubscribe with the subscriber's unsubscribe token
+ * @access Public
+ */
+router.post('/unsubscribe', [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('reason').optional().isString().trim().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters'),
+  validateRequest
+], newsletterController.unsubscribe);
+
+/**
+ * @route POST /api/newsletter/one-click-unsubscribe
+ * @desc RFC 8058 one-click unsubscribe from the signed List-Unsubscribe URL.
+ * Mail clients post "List-Unsubscribe=One-Click" without cookies or login.
+ * @access Public
+ */
+router.post('/one-click-unsubscribe', [
+  query('token').isString().notEmpty().withMessage('Token is required'),
+  validateRequest
+], newsletterController.unsubscribeOneClick);
+
+/**
+ * @route GET /api/newsletter/preferences
+ * @desc Preference center: current topics and the article categories to pick from
+ * @access Public
+ */
+router.get('/preferences', [
+  query('token').isString().notEmpty().withMessage('Token is required'),
+  validateRequest
+], newsletterController.getPreferences);
+
+/**
+ * @route PUT /api/newsletter/preferences
+ * @desc Replace the subscriber's topic interests
+ * @access Public
+ */
+router.put('/preferences', [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('subscriberName').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }).withMessage('Name must be at most 255 characters'),
+  body('categoryIds').optional().isArray().withMessage('categoryIds must be an array'),
+  body('categoryIds.*').isUUID().withMessage('Invalid category ID'),
+  validateRequest
+], newsletterController.updatePreferences);
+
+/**
+ * @route GET /api/newsletter/subscribers
+ * @desc List subscribers, optionally by status
+ * @access Admin
+ */
+router.get('/subscribers', authenticate, requireAdmin, [
+  query('status').optional().isIn(SUBSCRIPTION_STATUSES).withMessage('Invalid subscription status'),
+  validateRequest
+], newsletterController.listSubscribers);
+
+/**
+ * @route POST /api/newsletter/subscribers/import
+ * @desc Import subscribers from a CSV upload (field "file"); returns a per-row report
+ * @access Admin
+ */
+router.post(
+  '/subscribers/import',
+  authenticate,
+  requireAdmin,
+  csvUpload('file', config.newsletter.importMaxBytes),
+  newsletterController.importSubscribers
+);
+
+/**
+ * @route GET /api/newsletter/subscribers/export
+ * @desc Download subscribers as CSV, filtered by status and a date range
+ * @access Admin
+ */
+router.get('/subscribers/export', authenticate, requireAdmin, [
+  query('status').optional().isIn(SUBSCRIPTION_STATUSES).withMessage('Invalid subscription status'),
+  query('dateField').optional().isIn(EXPORT_DATE_FIELDS).withMessage(`dateField must be one of ${EXPORT_DATE_FIELDS.join(', ')}`),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date'),
+  validateRequest
+], newsletterController.exportSubscribers);
+
+/**
+ * @route GET /api/newsletter/unsubscribes
+ * @desc List unsubscribes with their reason and time, optionally by reason
+ * @access Admin
+ */
+router.get('/unsubscribes', authenticate, requireAdmin, [
+  query('reason').optional().isIn(UNSUBSCRIBE_REASONS).withMessage('Invalid unsubscribe reason'),
+  validateRequest
+], newsletterController.listUnsubscribes);
+
+/**
+ * @route POST /api/newsletter/segments/preview
+ * @desc Count the active subscribers a segment would reach
+ * @access Admin
+ */
+router.post('/segments/preview', authenticate, requireAdmin, [
+  ...segmentValidators(),
+  validateRequest
+], campaignController.previewSegment);
+
+/**
+ * @route GET /api/newsletter/campaigns
+ * @desc List campaigns
+ * @access Admin
+ */
+router.get('/campaigns', authenticate, requireAdmin, campaignController.listCampaigns);
+
+/**
+ * @route POST /api/newsletter/campaigns
+ * @desc Create a draft campaign from articles published since the last issue
+ * @access Admin
+ */
+router.post('/campaigns', authenticate, requireAdmin, campaignValidators(), campaignController.createCampaign);
+
+/**
+ * @route GET /api/newsletter/campaigns/:campaignId
+ * @desc Get a campaign with its articles and delivery counts
+ * @access Admin
+ */
+router.get('/campaigns/:campaignId', authenticate, requireAdmin, campaignIdValidator, campaignController.getCampaign);
+
+/**
+ * @route PUT /api/newsletter/campaigns/:campaignId
+ * @desc Update the subject, intro or article selection of a draft campaign
+ * @access Admin
+ */
+router.put('/campaigns/:campaignId', authenticate, requireAdmin, [
+  param('campaignId').isUUID().withMessage('Invalid campaign ID'),
+  ...campaignValidators(true)
+], campaignController.updateCampaign);
+
+/**
+ * @route GET /api/newsletter/campaigns/:campaignId/preview
+ * @desc Render a campaign as it will be sent (format=html returns the page itself)
+ * @access Admin
+ */
+router.get('/campaigns/:campaignId/preview', authenticate, requireAdmin, campaignIdValidator, campaignController.previewCampaign);
+
+/**
+ * @route POST /api/newsletter/campaigns/:campaignId/send
+ * @desc Send a campaign to active subscribers, or resume an interrupted send
+ * @access Admin
+ */
+router.post('/campaigns/:campaignId/send', authenticate, requireAdmin, campaignIdValidator, campaignController.sendCampaign);
+
+/**
+ * @route DELETE /api/newsletter/campaigns/:campaignId
+ * @desc Delete a draft campaign
+ * @access Admin
+ */
+router.delete('/campaigns/:campaignId', authenticate, requireAdmin, campaignIdValidator, campaignController.deleteCampaign);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const portfolioController = require('../../controllers/portfolio.controller');
+const { authenticate, optionalAuthenticate, requireAdmin } = require('../../middleware/auth.middleware');
+const { validateRequest } = require('../../utils/validation');
+
+const router = express.Router();
+
+const PUBLICATION_STATUSES = ['draft', 'published', 'archived'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Validation rules shared by project create and update
+ * @param {boolean} isUpdate - Whether required fields may be omitted
+ * @returns {Array} express-validator chains
+ */
+function projectValidators(isUpdate = false) {
+  const required = (field) => (isUpdate ? body(field).optional() : body(field));
+
+  return [
+    required('projectTitle').isString().notEmpty().withMessage('Project title is required'),
+    required('projectDescription').isString().notEmpty().withMessage('Project description is required'),
+    required('thumbnailImage').isString().notEmpty().withMessage('Thumbnail image is required'),
+    body('projectSlug').optional().matches(SLUG_PATTERN).withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+    body('completionDate').optional({ values: 'null' }).isISO8601().withMessage('Completion date must be a valid date'),
+    body('isFeatured').optional().isBoolean().withMessage('isFeatured must be a boolean'),
+    body('publicationStatus').optional().isIn(PUBLICATION_STATUSES).withMessage('Invalid publication status'),
+    body('categoryIds').optional().isArray().withMessage('categoryIds must be an array'),
+    body('categoryIds.*').isUUID().withMessage('Category IDs must be UUIDs'),
+    body('technologyIds').optional().isArray().withMessage('technologyIds must be an array'),
+    body('technologyIds.*').isUUID().withMessage('Technology IDs must be UUIDs'),
+    validateRequest
+  ];
+}
+
+/**
+ * @route GET /api/portfolio-projects
+ * @desc List portfolio projects, filterable by category, technology, featured and status
+ * @access Public (only published projects unless admin)
+ */
+router.get('/', optionalAuthenticate, [
+  query('featured').optional().isBoolean().withMessage('featured must be a boolean'),
+  query('status').optional().isIn(PUBLICATION_STATUSES).withMessage('Invalid publication status'),
+  validateRequest
+], portfolioController.listProjects);
+
+/**
+ * @route GET /api/portfolio-projects/:projectSlug
+ * @desc Get a portfolio project by slug
+ * @access Public (only published projects unless admin)
+ */
+router.get('/:projectSlug', optionalAuthenticate, portfolioController.getProjectBySlug);
+
+/**
+ * @route POST /api/portfolio-projects
+ * @desc Create a portfolio project
+ * @access Admin
+ */
+router.post('/', authenticate, requireAdmin, projectValidators(), portfolioController.createProject);
+
+/**
+ * @route PUT /api/portfolio-projects/:projectId
+ * @desc Update a portfolio project
+ * @access Admin
+ */
+router.put('/:projectId', authenticate, requireAdmin, [
+  param('projectId').isUUID().withMessage('Invalid project ID'),
+  ...projectValidators(true)
+], portfolioController.updateProject);
+
+/**
+ * @route DELETE /api/portfolio-projects/:projectId
+ * @desc Delete a portfolio project
+ * @access Admin
+ */
+router.delete('/:projectId', authenticate, requireAdmin, [
+  param('projectId').isUUID().withMessage('Invalid project ID'),
+  validateRequest
+], portfolioController.deleteProject);
+
+module.exports = router;
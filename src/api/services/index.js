@@ -0,0 +1,108 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const catalogController = require('../../controllers/catalog.controller');
+const { authenticate, optionalAuthenticate, requireAdmin } = require('../../middleware/auth.middleware');
+const { validateRequest } = require('../../utils/validation');
+
+const router = express.Router();
+
+const SERVICE_STATUSES = ['active', 'inactive', 'archived'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const serviceIdValidator = [
+  param('serviceId').isUUID().withMessage('Invalid service ID'),
+  validateRequest
+];
+
+/**
+ * Validation rules shared by service create and update
+ * @param {boolean} isUpdate - Whether required fields may be omitted
+ * @returns {Array} express-validator chains
+ */
+function serviceValidators(isUpdate = false) {
+  const required = (field) => (isUpdate ? body(field).optional() : body(field));
+
+  return [
+    required('categoryId').isUUID().withMessage('Valid category ID is required'),
+    required('serviceTitle').isString().notEmpty().withMessage('Service title is required'),
+    required('serviceDescription').isString().notEmpty().withMessage('Service description is required'),
+    required('serviceOverview').isString().notEmpty().withMessage('Service overview is required'),
+    required('priceRange').isString().notEmpty().withMessage('Price range is required'),
+    required('serviceFeatures').isArray().withMessage('Service features must be an array'),
+    required('serviceIcon').isString().notEmpty().withMessage('Service icon is required'),
+    body('serviceSlug').optional().matches(SLUG_PATTERN).withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+    body('isFeatured').optional().isBoolean().withMessage('isFeatured must be a boolean'),
+    validateRequest
+  ];
+}
+
+/**
+ * @route GET /api/services
+ * @desc List services grouped by service category
+ * @access Public (only active services unless admin)
+ */
+router.get('/', optionalAuthenticate, [
+  query('status').optional().isIn(SERVICE_STATUSES).withMessage('Invalid service status'),
+  validateRequest
+], catalogController.listServices);
+
+/**
+ * @route GET /api/services/featured
+ * @desc List featured active services
+ * @access Public
+ */
+router.get('/featured', catalogController.listFeaturedServices);
+
+/**
+ * @route GET /api/services/:serviceSlug
+ * @desc Get a service by slug
+ * @access Public (only active services unless admin)
+ */
+router.get('/:serviceSlug', optionalAuthenticate, catalogController.getServiceBySlug);
+
+/**
+ * @route POST /api/services
+ * @desc Create a service
+ * @access Admin
+ */
+router.post('/', authenticate, requireAdmin, serviceValidators(), catalogController.createService);
+
+/**
+ * @route PUT /api/services/:serviceId
+ * @desc Update a service (status changes go through the lifecycle actions)
+ * @access Admin
+ */
+router.put('/:serviceId', authenticate, requireAdmin, [
+  param('serviceId').isUUID().withMessage('Invalid service ID'),
+  ...serviceValidators(true)
+], catalogController.updateService);
+
+/**
+ * @route POST /api/services/:serviceId/activate
+ * @desc Activate an inactive or archived service
+ * @access Admin
+ */
+router.post('/:serviceId/activate', authenticate, requireAdmin, serviceIdValidator, catalogController.activateService);
+
+/**
+ * @route POST /api/services/:serviceId/deactivate
+ * @desc Deactivate an active service
+ * @access Admin
+ */
+router.post('/:serviceId/deactivate', authenticate, requireAdmin, serviceIdValidator, catalogController.deactivateService);
+
+/**
+ * @route POST /api/services/:serviceId/archive
+ * @desc Archive an active or inactive service
+ * @access Admin
+ */
+router.post('/:serviceId/archive', authenticate, requireAdmin, serviceIdValidator, catalogController.archiveService);
+
+/**
+ * @route DELETE /api/services/:serviceId
+ * @desc Delete a service
+ * @access Admin
+ */
+router.delete('/:serviceId', authenticate, requireAdmin, serviceIdValidator, catalogController.deleteService);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const tagController = require('../../controllers/tag.controller');
+const { authenticate, requireAdmin } = require('../../middleware/auth.middleware');
+const { validateRequest } = require('../../utils/validation');
+
+const router = express.Router();
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const tagIdValidator = param('tagId').isUUID().withMessage('Invalid tag ID');
+
+/**
+ * Validation rules for tags
+ * @param {boolean} isUpdate - Whether required fields may be omitted
+ * @returns {Array} express-validator chains
+ */
+function tagValidators(isUpdate = false) {
+  const required = (field) => (isUpdate ? body(field).optional() : body(field));
+
+  return [
+    required('tagName').isString().trim().notEmpty().withMessage('Tag name is required'),
+    body('tagSlug').optional().matches(SLUG_PATTERN).withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+    validateRequest
+  ];
+}
+
+/**
+ * @route GET /api/tags/cloud
+ * @desc Tags used by published articles with per-tag article counts
+ * @access Public
+ */
+router.get('/cloud', [
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  validateRequest
+], tagController.getTagCloud);
+
+/**
+ * @route GET /api/tags
+ * @desc List every tag with article usage counts
+ * @access Admin
+ */
+router.get('/', authenticate, requireAdmin, tagController.listTags);
+
+/**
+ * @route POST /api/tags
+ * @desc Create a tag
+ * @access Admin
+ */
+router.post('/', authenticate, requireAdmin, tagValidators(), tagController.createTag);
+
+/**
+ * @route PUT /api/tags/:tagId
+ * @desc Rename a tag
+ * @access Admin
+ */
+router.put('/:tagId', authenticate, requireAdmin, [
+  tagIdValidator,
+  ...tagValidators(true)
+], tagController.updateTag);
+
+/**
+ * @route POST /api/tags/:tagId/merge
+ * @desc Merge the source tags into this tag and delete them
+ * @access Admin
+ */
+router.post('/:tagId/merge', authenticate, requireAdmin, [
+  tagIdValidator,
+  body('sourceTagIds').isArray({ min: 1 }).withMessage('At least one source tag is required'),
+  body('sourceTagIds.*').isUUID().withMessage('Invalid source tag ID'),
+  validateRequest
+], tagController.mergeTags);
+
+/**
+ * @route DELETE /api/tags/:tagId
+ * @desc Delete a tag and remove it from every article
+ * @access Admin
+ */
+router.delete('/:tagId', authenticate, requireAdmin, [
+  tagIdValidator,
+  validateRequest
+], tagController.deleteTag);
+
+module.exports = router;
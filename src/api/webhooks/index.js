@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const webhookController = require('../../controllers/webhook.controller');
+const { FEEDBACK_TYPES, BOUNCE_TYPES, SUPPRESSION_REASONS } = require('../../services/suppression.service');
+const { authenticate, requireAdmin } = require('../../middleware/auth.middleware');
+const { validateRequest } = require('../../utils/validation');
+const config = require('../../config');
+
+const router = express.Router();
+
+/**
+ * Reject webhook calls that do not carry the shared secret
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+function verifyWebhookSecret(req, res, next) {
+  const secret = config.email.webhookSecret;
+  if (!secret) {
+    return res.status(503).json({ message: 'Email webhooks are not configured' });
+  }
+
+  const provided = Buffer.from(String(req.get('X-Webhook-Secret') || req.query.secret || ''));
+  const expected = Buffer.from(secret);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ message: 'Invalid webhook secret' });
+  }
+  next();
+}
+
+/**
+ * @route POST /api/webhooks/email/feedback
+ * @desc Bounce and complaint events in the generic format:
+ * { events: [{ type, email, bounceType, diagnostic, timestamp }] }
+ * @access Webhook secret
+ */
+router.post('/email/feedback', verifyWebhookSecret, [
+  body('events').isArray({ min: 1, max: 500 }).withMessage('events must be an array of 1 to 500 events'),
+  body('events.*.type').isIn(FEEDBACK_TYPES).withMessage(`type must be one of ${FEEDBACK_TYPES.join(', ')}`),
+  body('events.*.email').isEmail().withMessage('email must be an email address'),
+  body('events.*').custom(event => event.type !== 'bounce' || BOUNCE_TYPES.includes(event.bounceType))
+    .withMessage(`Bounces need a bounceType of ${BOUNCE_TYPES.join(' or ')}`),
+  body('events.*.diagnostic').optional().isString().isLength({ max: 2000 }).withMessage('diagnostic must be at most 2000 characters'),
+  body('events.*.timestamp').optional().isISO8601().withMessage('timestamp must be a date'),
+  validateRequest
+], webhookController.receiveEmailFeedback);
+
+/**
+ * @route POST /api/webhooks/email/ses
+ * @desc SES bounce and complaint notifications, directly or through an SNS topic
+ * (SNS subscription confirmations are handled automatically)
+ * @access Webhook secret
+ */
+router.post(
+  '/email/ses',
+  verifyWebhookSecret,
+  express.text({ type: 'text/plain', limit: '256kb' }),
+  webhookController.receiveSesFeedback
+);
+
+/**
+ * @route GET /api/webhooks/email/suppressions
+ * @desc List suppressed addresses, optionally by reason or address search
+ * @access Admin
+ */
+router.get('/email/suppressions', authenticate, requireAdmin, [
+  query('reason').optional().isIn(SUPPRESSION_REASONS).withMessage('Invalid suppression reason'),
+  query('search').optional().isString().isLength({ max: 200 }).withMessage('Search must be at most 200 characters'),
+  validateRequest
+], webhookController.listSuppressions);
+
+/**
+ * @route POST /api/webhooks/email/suppressions
+ * @desc Suppress an address by hand
+ * @access Admin
+ */
+router.post('/email/suppressions', authenticate, requireAdmin, [
+  body('emailAddress').isEmail().withMessage('Valid email address is required').trim(),
+  body('diagnostic').optional().isString().isLength({ max: 2000 }).withMessage('diagnostic must be at most 2000 characters'),
+  validateRequest
+], webhookController.addSuppression);
+
+/**
+ * @route DELETE /api/webhooks/email/suppressions/:emailAddress
+ * @desc Allow mail to a suppressed address again
+ * @access Admin
+ */
+router.delete('/email/suppressions/:emailAddress', authenticate, requireAdmin, [
+  param('emailAddress').isEmail().withMessage('Valid email address is required'),
+  validateRequest
+], webhookController.deleteSuppression);
+
+module.exports = router;
@@ -10,6 +10,8 @@ const setupSecurityMiddleware = require('./middleware/security.middleware');
 const { notFoundHandler, errorHandler, validationErrorHandler, jwtErrorHandler } = require('./middleware/error.middleware');
 const { requestLogger } = require('./middleware/logging.middleware');
 const { sanitizeRequestBody } = require('./middleware/sanitization.middleware');
+const { serveSignedFiles } = require('./middleware/storageAccess.middleware');
+const { tusDiscovery } = require('./middleware/tus.middleware');
 const config = require('./config');
 
 // Import routes
@@ -18,6 +20,8 @@ const portfolioRoutes = require('./api/portfolio');
 const articlesRoutes = require('./api/articles');
 const servicesRoutes = require('./api/services');
 const expertiseRoutes = require('./api/expertise');
+const categoriesRoutes = require('./api/categories');
+const tagsRoutes = require('./api/tags');
 const inquiriesRoutes = require('./api/client-inquiries');
 const newsletterRoutes = require('./api/newsletter');
 const assetsRoutes = require('./api/digital-assets');
@@ -35,6 +39,9 @@ app.use(compression());
 // Apply logging middleware
 app.use(requestLogger);
 
+// tus discovery headers, ahead of cors which answers OPTIONS requests
+app.options(['/api/digital-assets/uploads', '/api/digital-assets/uploads/:uploadId'], tusDiscovery);
+
 // Apply security middleware
 setupSecurityMiddleware(app);
 
@@ -44,6 +51,21 @@ app.use(sanitizeRequestBody);
 // Static files
 app.use(express.static(path.join(__dirname, '../public')));
 
+// Uploaded files, when the local storage driver is in use; private files
+// and signed requests go through serveSignedFiles
+if (config.storage.driver === 'local') {
+  app.use('/uploads', serveSignedFiles);
+  app.use('/uploads', express.static(config.storage.localRoot, {
+    index: false,
+    maxAge: '1y',
+    immutable: true,
+    setHeaders: (res) => {
+      // Helmet's same-origin default would block the frontend from embedding files
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+  }));
+}
+
 // API Documentation
 app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument, {
   explorer: true,
@@ -77,6 +99,8 @@ app.use('/api/portfolio-projects', portfolioRoutes);
 app.use('/api/articles', articlesRoutes);
 app.use('/api/services', servicesRoutes);
 app.use('/api/expertise', expertiseRoutes);
+app.use('/api/categories', categoriesRoutes);
+app.use('/api/tags', tagsRoutes);
 app.use('/api/client-inquiries', inquiriesRoutes);
 app.use('/api/newsletter', newsletterRoutes);
 app.use('/api/digital-assets', assetsRoutes);
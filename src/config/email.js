@@ -7,5 +7,13 @@ module.exports = {
   user: process.env.EMAIL_USER || 'user@example.com',
   password: process.env.EMAIL_PASSWORD || 'password',
   fromEmail: process.env.EMAIL_FROM || 'noreply@datacanvasdev.com',
-  fromName: process.env.EMAIL_FROM_NAME || 'DataCanvasDev'
+  fromName: process.env.EMAIL_FROM_NAME || 'DataCanvasDev',
+  // 'smtp' sends through the host above; 'json' renders messages without sending them
+  transport: process.env.EMAIL_TRANSPORT || 'smtp',
+  // With the json transport, each rendered message is also written here when set
+  outboxDir: process.env.EMAIL_OUTBOX_DIR || null,
+  replyToAddress: process.env.EMAIL_REPLY_TO || null,
+  inboundSecret: process.env.EMAIL_INBOUND_SECRET || null,
+  // Shared secret for bounce and complaint webhooks (X-Webhook-Secret header or ?secret=)
+  webhookSecret: process.env.EMAIL_WEBHOOK_SECRET || null
 };
@@ -3,6 +3,8 @@ const auth = require('./authentication');
 const email = require('./email');
 const storage = require('./storage');
 const cache = require('./cache');
+const inquiry = require('./inquiry');
+const newsletter = require('./newsletter');
 
 module.exports = {
   app: {
@@ -11,6 +13,7 @@ module.exports = {
     name: process.env.APP_NAME || 'DataCanvasDev',
     version: process.env.APP_VERSION || '1.0.0',
     frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+    apiUrl: process.env.API_URL || 'http://localhost:8000',
     corsOrigins: process.env.CORS_ORIGINS || '*',
     enableDocsProduction: process.env.ENABLE_DOCS_PRODUCTION === 'true'
   },
@@ -18,5 +21,7 @@ module.exports = {
   auth,
   email,
   storage,
-  cache
+  cache,
+  inquiry,
+  newsletter
 }; 
\ No newline at end of file
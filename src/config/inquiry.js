@@ -0,0 +1,20 @@
+require('dotenv').config();
+
+const list = (value, fallback) => (value ? value.split(',') : fallback)
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+module.exports = {
+  formTokenSecret: process.env.INQUIRY_FORM_SECRET || process.env.JWT_SECRET || 'your-secret-key',
+  formTokenExpiration: process.env.INQUIRY_FORM_TOKEN_EXPIRATION || '1d',
+  minSubmitSeconds: parseInt(process.env.INQUIRY_MIN_SUBMIT_SECONDS || '3', 10),
+  honeypotFields: (process.env.INQUIRY_HONEYPOT_FIELDS || 'website,faxNumber').split(',').map(field => field.trim()),
+  rateLimitWindowMinutes: parseInt(process.env.INQUIRY_RATE_LIMIT_WINDOW_MINUTES || '60', 10),
+  maxPerIp: parseInt(process.env.INQUIRY_MAX_PER_IP || '5', 10),
+  maxPerEmail: parseInt(process.env.INQUIRY_MAX_PER_EMAIL || '3', 10),
+  allowedLinks: parseInt(process.env.INQUIRY_ALLOWED_LINKS || '2', 10),
+  blocklist: list(process.env.INQUIRY_BLOCKLIST, ['viagra', 'casino', 'backlinks', 'seo services', 'crypto investment', 'payday loan']),
+  duplicateWindowDays: parseInt(process.env.INQUIRY_DUPLICATE_WINDOW_DAYS || '30', 10),
+  spamThreshold: parseInt(process.env.INQUIRY_SPAM_THRESHOLD || '50', 10),
+  followUpCron: process.env.INQUIRY_FOLLOW_UP_CRON || '*/15 * * * *'
+};
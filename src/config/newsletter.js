@@ -0,0 +1,27 @@
+require('dotenv').config();
+
+const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+const apiUrl = process.env.API_URL || 'http://localhost:8000';
+
+module.exports = {
+  tokenSecret: process.env.NEWSLETTER_TOKEN_SECRET || process.env.JWT_SECRET || 'your-secret-key',
+  confirmationExpiration: process.env.NEWSLETTER_CONFIRMATION_EXPIRATION || '7d',
+  // Minimum minutes between two confirmation emails to the same address
+  confirmationResendMinutes: parseInt(process.env.NEWSLETTER_CONFIRMATION_RESEND_MINUTES || '10', 10),
+  confirmUrl: process.env.NEWSLETTER_CONFIRM_URL || `${frontendUrl}/newsletter/confirm`,
+  unsubscribeUrl: process.env.NEWSLETTER_UNSUBSCRIBE_URL || `${frontendUrl}/newsletter/unsubscribe`,
+  preferencesUrl: process.env.NEWSLETTER_PREFERENCES_URL || `${frontendUrl}/newsletter/preferences`,
+  // RFC 8058 endpoint mail clients POST to from the List-Unsubscribe header
+  oneClickUnsubscribeUrl: process.env.NEWSLETTER_ONE_CLICK_UNSUBSCRIBE_URL || `${apiUrl}/api/newsletter/one-click-unsubscribe`,
+  maxSubscribeAttemptsPerIp: parseInt(process.env.NEWSLETTER_MAX_SUBSCRIBE_PER_IP || '10', 10),
+  // Campaign sends: emails per batch, pause between batches and attempts per recipient
+  batchSize: parseInt(process.env.NEWSLETTER_BATCH_SIZE || '50', 10),
+  batchDelayMs: parseInt(process.env.NEWSLETTER_BATCH_DELAY_MS || '2000', 10),
+  maxSendAttempts: parseInt(process.env.NEWSLETTER_MAX_SEND_ATTEMPTS || '3', 10),
+  // Subscriber CSV import: upload size, rows per insert and rows listed in the report
+  importMaxBytes: parseInt(process.env.NEWSLETTER_IMPORT_MAX_MB || '20', 10) * 1024 * 1024,
+  importBatchSize: parseInt(process.env.NEWSLETTER_IMPORT_BATCH_SIZE || '500', 10),
+  importMaxReportedRows: parseInt(process.env.NEWSLETTER_IMPORT_MAX_REPORTED_ROWS || '1000', 10),
+  // How far back the first issue looks for articles
+  initialLookbackDays: parseInt(process.env.NEWSLETTER_INITIAL_LOOKBACK_DAYS || '30', 10)
+};
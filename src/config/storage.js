@@ -0,0 +1,68 @@
+require('dotenv').config();
+const os = require('os');
+const path = require('path');
+
+const MB = 1024 * 1024;
+
+module.exports = {
+  // Storage driver: 'local' or 's3'
+  driver: process.env.STORAGE_DRIVER || 'local',
+  // Base URL public file links are built from; defaults per driver when empty
+  publicUrl: process.env.STORAGE_PUBLIC_URL || null,
+  // Directory the local driver stores files under
+  localRoot: process.env.STORAGE_LOCAL_ROOT || path.join(process.cwd(), 'uploads'),
+  // Largest accepted upload per detected file category
+  maxFileSize: {
+    image: Math.floor(parseFloat(process.env.STORAGE_MAX_IMAGE_MB || '10') * MB),
+    video: Math.floor(parseFloat(process.env.STORAGE_MAX_VIDEO_MB || '200') * MB),
+    audio: Math.floor(parseFloat(process.env.STORAGE_MAX_AUDIO_MB || '50') * MB),
+    document: Math.floor(parseFloat(process.env.STORAGE_MAX_DOCUMENT_MB || '25') * MB)
+  },
+  // Total bytes of assets each account may store
+  accountQuota: Math.floor(parseFloat(process.env.STORAGE_ACCOUNT_QUOTA_MB || '1024') * MB),
+  // Derivatives generated for uploaded images
+  imageVariants: {
+    widths: (process.env.IMAGE_VARIANT_WIDTHS || '320,640,1024,1600').split(',').map(width => parseInt(width, 10)),
+    formats: (process.env.IMAGE_VARIANT_FORMATS || 'webp,avif').split(',').map(format => format.trim()),
+    quality: parseInt(process.env.IMAGE_VARIANT_QUALITY || '75', 10),
+    thumbnailSize: parseInt(process.env.IMAGE_THUMBNAIL_SIZE || '200', 10)
+  },
+  // On-the-fly transformations: sizes anyone may request, and the secret
+  // that signs any other size up to maxDimension
+  imageTransform: {
+    presets: (process.env.IMAGE_TRANSFORM_PRESETS || '320x,640x,1024x,1600x,640x360,1280x720,200x200').split(',').map(preset => preset.trim()),
+    formats: (process.env.IMAGE_TRANSFORM_FORMATS || 'webp,avif,jpeg,png').split(',').map(format => format.trim()),
+    maxDimension: parseInt(process.env.IMAGE_TRANSFORM_MAX_DIMENSION || '2560', 10),
+    secret: process.env.IMAGE_TRANSFORM_SECRET || null
+  },
+  // Orphaned asset cleanup: unused assets are flagged, then deleted once
+  // they have stayed unused for the grace period
+  cleanup: {
+    cron: process.env.ASSET_CLEANUP_CRON || '30 3 * * *',
+    graceDays: parseInt(process.env.ASSET_CLEANUP_GRACE_DAYS || '7', 10)
+  },
+  // Resumable (tus) uploads: data is staged in a local directory, which
+  // every instance must share, until the upload completes. Uploads not
+  // resumed within the expiry are removed by the expiry job.
+  resumableUploads: {
+    directory: process.env.ASSET_UPLOAD_DIR || path.join(os.tmpdir(), 'asset-uploads'),
+    expiryHours: parseFloat(process.env.ASSET_UPLOAD_EXPIRY_HOURS || '24'),
+    cron: process.env.ASSET_UPLOAD_EXPIRY_CRON || '15 * * * *'
+  },
+  // Signed URLs for private assets: the secret signs local driver URLs (S3
+  // presigns with its own credentials); lifetimes are in seconds
+  signedUrls: {
+    secret: process.env.STORAGE_URL_SECRET || process.env.JWT_SECRET || 'your-secret-key',
+    defaultTtl: parseInt(process.env.STORAGE_SIGNED_URL_TTL || '3600', 10),
+    maxTtl: parseInt(process.env.STORAGE_SIGNED_URL_MAX_TTL || '604800', 10)
+  },
+  s3: {
+    bucket: process.env.AWS_S3_BUCKET_NAME,
+    region: process.env.AWS_S3_REGION || 'us-east-1',
+    // Set for S3-compatible services such as MinIO
+    endpoint: process.env.AWS_S3_ENDPOINT || null,
+    forcePathStyle: process.env.AWS_S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+  }
+};
@@ -0,0 +1,135 @@
+const articleService = require('../services/article.service');
+const { isAdminRequest } = require('../middleware/auth.middleware');
+const { parsePagination } = require('../utils/businessHelpers');
+
+/**
+ * List articles
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listArticles(req, res) {
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const result = await articleService.listArticles({
+      category: req.query.category,
+      tag: req.query.tag,
+      status: req.query.status,
+      includeUnpublished: isAdminRequest(req)
+    }, page, limit);
+
+    res.json(result);
+  } catch (error) {
+    console.error('List articles error:', error);
+    res.status(500).json({ message: 'Failed to list articles' });
+  }
+}
+
+/**
+ * Get an article by slug
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getArticleBySlug(req, res) {
+  try {
+    const article = await articleService.getArticleBySlug(req.params.articleSlug, isAdminRequest(req));
+
+    if (!article) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+
+    res.json(article);
+  } catch (error) {
+    console.error('Get article error:', error);
+    res.status(500).json({ message: 'Failed to retrieve article' });
+  }
+}
+
+/**
+ * Create an article
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createArticle(req, res) {
+  try {
+    const article = await articleService.createArticle(req.user.accountId, req.body);
+    res.status(201).json(article);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Create article error:', error);
+    res.status(500).json({ message: 'Failed to create article' });
+  }
+}
+
+/**
+ * Update an article
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateArticle(req, res) {
+  try {
+    const article = await articleService.updateArticle(req.params.articleId, req.body);
+
+    if (!article) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+
+    res.json(article);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update article error:', error);
+    res.status(500).json({ message: 'Failed to update article' });
+  }
+}
+
+/**
+ * Publish an article
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function publishArticle(req, res) {
+  try {
+    const article = await articleService.publishArticle(req.params.articleId);
+
+    if (!article) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+
+    res.json(article);
+  } catch (error) {
+    console.error('Publish article error:', error);
+    res.status(500).json({ message: 'Failed to publish article' });
+  }
+}
+
+/**
+ * Delete an article
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function deleteArticle(req, res) {
+  try {
+    const deleted = await articleService.deleteArticle(req.params.articleId);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete article error:', error);
+    res.status(500).json({ message: 'Failed to delete article' });
+  }
+}
+
+module.exports = {
+  listArticles,
+  getArticleBySlug,
+  createArticle,
+  updateArticle,
+  publishArticle,
+  deleteArticle
+};
@@ -0,0 +1,309 @@
+const { pipeline } = require('stream/promises');
+const digitalAssetService = require('../services/digitalAssetService');
+const imageTransformService = require('../services/imageTransform.service');
+const assetDuplicateService = require('../services/assetDuplicate.service');
+const { cleanupOrphanedAssets } = require('../scheduled/assetCleanup');
+const { IMMUTABLE_CACHE_CONTROL } = require('../services/storageService');
+const { isAdminRequest } = require('../middleware/auth.middleware');
+const { parsePagination, parseBoolean } = require('../utils/businessHelpers');
+
+/**
+ * Requester identity used for asset access checks
+ * @param {Object} req - Express request
+ * @returns {Object} accountId and isAdmin
+ */
+function viewerOf(req) {
+  return { accountId: req.user.accountId, isAdmin: isAdminRequest(req) };
+}
+
+/**
+ * Upload a digital asset
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function uploadAsset(req, res) {
+  if (!req.file) {
+    return res.status(400).json({ message: 'A file is required' });
+  }
+
+  try {
+    const asset = await digitalAssetService.createAsset(req.user.accountId, req.file, req.body);
+    res.status(201).json(digitalAssetService.serialize(asset));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Upload asset error:', error);
+    res.status(500).json({ message: 'Failed to upload asset' });
+  }
+}
+
+/**
+ * List assets; admins see every account's assets
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listAssets(req, res) {
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const result = await digitalAssetService.listAssets({
+      uploadedBy: isAdminRequest(req) ? req.query.uploadedBy : req.user.accountId,
+      category: req.query.category,
+      search: req.query.search
+    }, page, limit);
+    res.json({ ...result, data: result.data.map(asset => digitalAssetService.serialize(asset)) });
+  } catch (error) {
+    console.error('List assets error:', error);
+    res.status(500).json({ message: 'Failed to list assets' });
+  }
+}
+
+/**
+ * Get the requester's storage usage and quota
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getUsage(req, res) {
+  try {
+    const usage = await digitalAssetService.getUsage(req.user.accountId);
+    res.json(usage);
+  } catch (error) {
+    console.error('Get asset usage error:', error);
+    res.status(500).json({ message: 'Failed to get storage usage' });
+  }
+}
+
+/**
+ * Get an asset
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getAsset(req, res) {
+  try {
+    const asset = await digitalAssetService.getAsset(req.params.assetId, viewerOf(req));
+
+    if (!asset) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+
+    res.json(digitalAssetService.serialize(asset));
+  } catch (error) {
+    console.error('Get asset error:', error);
+    res.status(500).json({ message: 'Failed to get asset' });
+  }
+}
+
+/**
+ * List the projects, articles, services, accounts and site settings using an asset
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getAssetUsages(req, res) {
+  try {
+    const usages = await digitalAssetService.getAssetUsages(req.params.assetId, viewerOf(req));
+
+    if (!usages) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+
+    res.json(usages);
+  } catch (error) {
+    console.error('Get asset usages error:', error);
+    res.status(500).json({ message: 'Failed to get asset usages' });
+  }
+}
+
+/**
+ * Update an asset's name, alternative text or visibility
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateAsset(req, res) {
+  try {
+    const asset = await digitalAssetService.updateAsset(req.params.assetId, viewerOf(req), req.body);
+
+    if (!asset) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+
+    res.json(digitalAssetService.serialize(asset));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update asset error:', error);
+    res.status(500).json({ message: 'Failed to update asset' });
+  }
+}
+
+/**
+ * Issue an expiring URL to an asset's file
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createSignedUrl(req, res) {
+  try {
+    const signed = await digitalAssetService.createSignedUrl(req.params.assetId, viewerOf(req), {
+      expiresIn: req.body.expiresIn,
+      disposition: req.body.disposition
+    });
+
+    if (!signed) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+
+    res.json(signed);
+  } catch (error) {
+    console.error('Create signed URL error:', error);
+    res.status(500).json({ message: 'Failed to create signed URL' });
+  }
+}
+
+/**
+ * Delete an asset
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function deleteAsset(req, res) {
+  try {
+    const deleted = await digitalAssetService.deleteAsset(req.params.assetId, viewerOf(req), { force: parseBoolean(req.query.force) });
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, usages: error.usages });
+    }
+    console.error('Delete asset error:', error);
+    res.status(500).json({ message: 'Failed to delete asset' });
+  }
+}
+
+/**
+ * Serve a resized or re-encoded image, rendered once and then cached
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function transformAsset(req, res) {
+  try {
+    const params = imageTransformService.normalizeParams(req.query);
+    if (!imageTransformService.authorize(req.params.assetId, params, req.query.sig)) {
+      return res.status(403).json({ message: 'Transformation is not allowed' });
+    }
+
+    const asset = await imageTransformService.findSource(req.params.assetId);
+    if (!asset) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    res.set({
+      'Cache-Control': IMMUTABLE_CACHE_CONTROL,
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      ETag: `"${imageTransformService.derivativeKey(asset.assetId, params).split('/').pop()}"`
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const derivative = await imageTransformService.getDerivative(asset, params);
+    res.type(derivative.contentType);
+    if (derivative.body) {
+      return res.send(derivative.body);
+    }
+    await pipeline(derivative.stream, res);
+  } catch (error) {
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    console.error('Transform asset error:', error);
+    res.status(500).json({ message: 'Failed to transform image' });
+  }
+}
+
+/**
+ * List groups of assets with identical content
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listDuplicates(req, res) {
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const result = await assetDuplicateService.listDuplicates(page, limit);
+    res.json(result);
+  } catch (error) {
+    console.error('List duplicate assets error:', error);
+    res.status(500).json({ message: 'Failed to list duplicate assets' });
+  }
+}
+
+/**
+ * Merge the assets sharing a content hash into one
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function mergeDuplicates(req, res) {
+  try {
+    const result = await assetDuplicateService.mergeDuplicates(req.params.contentHash, req.body.keepAssetId);
+
+    if (!result) {
+      return res.status(404).json({ message: 'No duplicates found for this content hash' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Merge duplicate assets error:', error);
+    res.status(500).json({ message: 'Failed to merge duplicate assets' });
+  }
+}
+
+/**
+ * Hash assets uploaded before content hashing
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function scanDuplicates(req, res) {
+  try {
+    const result = await assetDuplicateService.scanContentHashes();
+    res.json(result);
+  } catch (error) {
+    console.error('Scan asset hashes error:', error);
+    res.status(500).json({ message: 'Failed to scan assets' });
+  }
+}
+
+/**
+ * Run the orphaned asset cleanup now, optionally as a dry run
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function runCleanup(req, res) {
+  try {
+    const report = await cleanupOrphanedAssets({ dryRun: Boolean(req.body.dryRun) });
+    res.json(report);
+  } catch (error) {
+    console.error('Asset cleanup error:', error);
+    res.status(500).json({ message: 'Failed to clean up assets' });
+  }
+}
+
+module.exports = {
+  uploadAsset,
+  listAssets,
+  getUsage,
+  getAsset,
+  getAssetUsages,
+  updateAsset,
+  createSignedUrl,
+  deleteAsset,
+  transformAsset,
+  listDuplicates,
+  mergeDuplicates,
+  scanDuplicates,
+  runCleanup
+};
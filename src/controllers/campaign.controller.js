@@ -0,0 +1,179 @@
+const campaignService = require('../services/campaign.service');
+const newsletterService = require('../services/newsletter.service');
+const { parsePagination } = require('../utils/businessHelpers');
+
+/**
+ * List newsletter campaigns
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listCampaigns(req, res) {
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const result = await campaignService.listCampaigns(page, limit);
+    res.json(result);
+  } catch (error) {
+    console.error('List campaigns error:', error);
+    res.status(500).json({ message: 'Failed to list campaigns' });
+  }
+}
+
+/**
+ * Get a newsletter campaign
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getCampaign(req, res) {
+  try {
+    const campaign = await campaignService.getCampaign(req.params.campaignId);
+
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    res.json(campaign);
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({ message: 'Failed to get campaign' });
+  }
+}
+
+/**
+ * Create a draft campaign from recently published articles
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createCampaign(req, res) {
+  try {
+    const campaign = await campaignService.createCampaign(req.user.accountId, req.body);
+    res.status(201).json(campaign);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Create campaign error:', error);
+    res.status(500).json({ message: 'Failed to create campaign' });
+  }
+}
+
+/**
+ * Update a draft campaign
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateCampaign(req, res) {
+  try {
+    const campaign = await campaignService.updateCampaign(req.params.campaignId, req.body);
+
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    res.json(campaign);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update campaign error:', error);
+    res.status(500).json({ message: 'Failed to update campaign' });
+  }
+}
+
+/**
+ * Delete a draft campaign
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function deleteCampaign(req, res) {
+  try {
+    const deleted = await campaignService.deleteCampaign(req.params.campaignId);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Delete campaign error:', error);
+    res.status(500).json({ message: 'Failed to delete campaign' });
+  }
+}
+
+/**
+ * Preview a campaign as it will be sent
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function previewCampaign(req, res) {
+  try {
+    const preview = await campaignService.previewCampaign(req.params.campaignId);
+
+    if (!preview) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(preview.html);
+    }
+    res.json(preview);
+  } catch (error) {
+    console.error('Preview campaign error:', error);
+    res.status(500).json({ message: 'Failed to preview campaign' });
+  }
+}
+
+/**
+ * Count the recipients a segment would reach
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function previewSegment(req, res) {
+  try {
+    const segment = await newsletterService.normalizeSegment(req.body);
+    const recipientCount = await newsletterService.countSegment(segment);
+    res.json({ segment, recipientCount });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Preview segment error:', error);
+    res.status(500).json({ message: 'Failed to preview segment' });
+  }
+}
+
+/**
+ * Start or resume sending a campaign
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function sendCampaign(req, res) {
+  try {
+    const campaign = await campaignService.sendCampaign(req.params.campaignId);
+
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    res.status(202).json(campaign);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Send campaign error:', error);
+    res.status(500).json({ message: 'Failed to send campaign' });
+  }
+}
+
+module.exports = {
+  listCampaigns,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+  previewCampaign,
+  previewSegment,
+  sendCampaign
+};
@@ -0,0 +1,156 @@
+const catalogService = require('../services/catalog.service');
+const { isAdminRequest } = require('../middleware/auth.middleware');
+
+/**
+ * List services grouped by category
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listServices(req, res) {
+  try {
+    const groups = await catalogService.listServicesByCategory({
+      status: req.query.status,
+      includeInactive: isAdminRequest(req)
+    });
+
+    res.json({ data: groups });
+  } catch (error) {
+    console.error('List services error:', error);
+    res.status(500).json({ message: 'Failed to list services' });
+  }
+}
+
+/**
+ * List featured services
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listFeaturedServices(req, res) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '6', 10) || 6, 50);
+    const services = await catalogService.listFeaturedServices(limit);
+
+    res.json({ data: services });
+  } catch (error) {
+    console.error('List featured services error:', error);
+    res.status(500).json({ message: 'Failed to list featured services' });
+  }
+}
+
+/**
+ * Get a service by slug
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getServiceBySlug(req, res) {
+  try {
+    const service = await catalogService.getServiceBySlug(req.params.serviceSlug, isAdminRequest(req));
+
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+
+    res.json(service);
+  } catch (error) {
+    console.error('Get service error:', error);
+    res.status(500).json({ message: 'Failed to retrieve service' });
+  }
+}
+
+/**
+ * Create a service
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createService(req, res) {
+  try {
+    const service = await catalogService.createService(req.body);
+    res.status(201).json(service);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Create service error:', error);
+    res.status(500).json({ message: 'Failed to create service' });
+  }
+}
+
+/**
+ * Update a service
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateService(req, res) {
+  try {
+    const service = await catalogService.updateService(req.params.serviceId, req.body);
+
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+
+    res.json(service);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update service error:', error);
+    res.status(500).json({ message: 'Failed to update service' });
+  }
+}
+
+/**
+ * Build a handler that applies a lifecycle action to a service
+ * @param {string} action - One of activate, deactivate or archive
+ * @returns {Function} Express handler
+ */
+function transitionService(action) {
+  return async (req, res) => {
+    try {
+      const service = await catalogService.transitionService(req.params.serviceId, action);
+
+      if (!service) {
+        return res.status(404).json({ message: 'Service not found' });
+      }
+
+      res.json(service);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error(`Service ${action} error:`, error);
+      res.status(500).json({ message: `Failed to ${action} service` });
+    }
+  };
+}
+
+/**
+ * Delete a service
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function deleteService(req, res) {
+  try {
+    const deleted = await catalogService.deleteService(req.params.serviceId);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete service error:', error);
+    res.status(500).json({ message: 'Failed to delete service' });
+  }
+}
+
+module.exports = {
+  listServices,
+  listFeaturedServices,
+  getServiceBySlug,
+  createService,
+  updateService,
+  activateService: transitionService('activate'),
+  deactivateService: transitionService('deactivate'),
+  archiveService: transitionService('archive'),
+  deleteService
+};
@@ -0,0 +1,117 @@
+const categoryService = require('../services/category.service');
+
+/**
+ * Get the category trees of every category type
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getTrees(req, res) {
+  try {
+    const trees = await categoryService.getTrees();
+    res.json(trees);
+  } catch (error) {
+    console.error('Category tree error:', error);
+    res.status(500).json({ message: 'Failed to build category trees' });
+  }
+}
+
+/**
+ * Get the category tree of one category type
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getTree(req, res) {
+  try {
+    const tree = await categoryService.getTree(req.params.categoryType);
+    res.json({ categoryType: req.params.categoryType, data: tree });
+  } catch (error) {
+    console.error('Category tree error:', error);
+    res.status(500).json({ message: 'Failed to build category tree' });
+  }
+}
+
+/**
+ * Create a category
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createCategory(req, res) {
+  try {
+    const category = await categoryService.createCategory(req.body);
+    res.status(201).json(category);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Create category error:', error);
+    res.status(500).json({ message: 'Failed to create category' });
+  }
+}
+
+/**
+ * Move a category subtree below a new parent
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function moveCategory(req, res) {
+  try {
+    const subtree = await categoryService.moveCategory(req.params.categoryId, req.body.parentCategoryId || null);
+
+    if (!subtree) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    res.json(subtree);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Move category error:', error);
+    res.status(500).json({ message: 'Failed to move category' });
+  }
+}
+
+/**
+ * Report rows attached to a category of the wrong type
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getTypeMismatches(req, res) {
+  try {
+    const report = await categoryService.getTypeMismatches();
+    res.json(report);
+  } catch (error) {
+    console.error('Category mismatch report error:', error);
+    res.status(500).json({ message: 'Failed to build category mismatch report' });
+  }
+}
+
+/**
+ * Fix rows attached to a category of the wrong type
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function fixTypeMismatches(req, res) {
+  try {
+    const result = await categoryService.fixTypeMismatches({
+      modelNames: req.body.models || null,
+      reassignTo: req.body.reassignTo || {}
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Category mismatch fix error:', error);
+    res.status(500).json({ message: 'Failed to fix category mismatches' });
+  }
+}
+
+module.exports = {
+  getTrees,
+  getTree,
+  createCategory,
+  moveCategory,
+  getTypeMismatches,
+  fixTypeMismatches
+};
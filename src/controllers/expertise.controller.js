@@ -0,0 +1,186 @@
+const expertiseService = require('../services/expertise.service');
+
+/**
+ * List technical expertise with published project counts
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listTechnicalExpertise(req, res) {
+  try {
+    const technologies = await expertiseService.listTechnicalExpertise();
+    res.json({ data: technologies });
+  } catch (error) {
+    console.error('List technical expertise error:', error);
+    res.status(500).json({ message: 'Failed to list technical expertise' });
+  }
+}
+
+/**
+ * Create a technical expertise entry
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createTechnicalExpertise(req, res) {
+  try {
+    const expertise = await expertiseService.createTechnicalExpertise(req.body);
+    res.status(201).json(expertise);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Create technical expertise error:', error);
+    res.status(500).json({ message: 'Failed to create technical expertise' });
+  }
+}
+
+/**
+ * Update a technical expertise entry
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateTechnicalExpertise(req, res) {
+  try {
+    const expertise = await expertiseService.updateTechnicalExpertise(req.params.expertiseId, req.body);
+
+    if (!expertise) {
+      return res.status(404).json({ message: 'Expertise not found' });
+    }
+
+    res.json(expertise);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update technical expertise error:', error);
+    res.status(500).json({ message: 'Failed to update technical expertise' });
+  }
+}
+
+/**
+ * Delete a technical expertise entry
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function deleteTechnicalExpertise(req, res) {
+  try {
+    const deleted = await expertiseService.deleteTechnicalExpertise(req.params.expertiseId);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Expertise not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete technical expertise error:', error);
+    res.status(500).json({ message: 'Failed to delete technical expertise' });
+  }
+}
+
+/**
+ * List professional expertise
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listProfessionalExpertise(req, res) {
+  try {
+    const expertise = await expertiseService.listProfessionalExpertise(req.query.accountId);
+    res.json({ data: expertise });
+  } catch (error) {
+    console.error('List professional expertise error:', error);
+    res.status(500).json({ message: 'Failed to list professional expertise' });
+  }
+}
+
+/**
+ * Create a professional expertise entry
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createProfessionalExpertise(req, res) {
+  try {
+    const accountId = req.body.accountId || req.user.accountId;
+    const expertise = await expertiseService.createProfessionalExpertise(accountId, req.body);
+    res.status(201).json(expertise);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Create professional expertise error:', error);
+    res.status(500).json({ message: 'Failed to create professional expertise' });
+  }
+}
+
+/**
+ * Update a professional expertise entry
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateProfessionalExpertise(req, res) {
+  try {
+    const expertise = await expertiseService.updateProfessionalExpertise(req.params.expertiseId, req.body);
+
+    if (!expertise) {
+      return res.status(404).json({ message: 'Expertise not found' });
+    }
+
+    res.json(expertise);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update professional expertise error:', error);
+    res.status(500).json({ message: 'Failed to update professional expertise' });
+  }
+}
+
+/**
+ * Delete a professional expertise entry
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function deleteProfessionalExpertise(req, res) {
+  try {
+    const deleted = await expertiseService.deleteProfessionalExpertise(req.params.expertiseId);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Expertise not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete professional expertise error:', error);
+    res.status(500).json({ message: 'Failed to delete professional expertise' });
+  }
+}
+
+/**
+ * Get the skills matrix of an account
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getSkillsMatrix(req, res) {
+  try {
+    const matrix = await expertiseService.getSkillsMatrix(req.params.username);
+
+    if (!matrix) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    res.json(matrix);
+  } catch (error) {
+    console.error('Skills matrix error:', error);
+    res.status(500).json({ message: 'Failed to build skills matrix' });
+  }
+}
+
+module.exports = {
+  listTechnicalExpertise,
+  createTechnicalExpertise,
+  updateTechnicalExpertise,
+  deleteTechnicalExpertise,
+  listProfessionalExpertise,
+  createProfessionalExpertise,
+  updateProfessionalExpertise,
+  deleteProfessionalExpertise,
+  getSkillsMatrix
+};
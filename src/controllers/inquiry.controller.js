@@ -0,0 +1,257 @@
+const inquiryService = require('../services/inquiry.service');
+const { parsePagination, parseBoolean, parseDate } = require('../utils/businessHelpers');
+
+/**
+ * Issue a form token for the public contact form
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function getFormToken(req, res) {
+  res.json(inquiryService.issueFormToken());
+}
+
+/**
+ * Submit a public inquiry
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function submitInquiry(req, res) {
+  try {
+    const inquiry = await inquiryService.submitInquiry(req.body, req.ip);
+
+    // Quarantined submissions get the same answer so spammers learn nothing
+    res.status(201).json({
+      inquiryId: inquiry.inquiryId,
+      message: 'Thank you, your inquiry has been received'
+    });
+  } catch (error) {
+    console.error('Submit inquiry error:', error);
+    res.status(500).json({ message: 'Failed to submit inquiry' });
+  }
+}
+
+/**
+ * List quarantined inquiries
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listQuarantined(req, res) {
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const result = await inquiryService.listQuarantined(page, limit);
+    res.json(result);
+  } catch (error) {
+    console.error('List quarantined inquiries error:', error);
+    res.status(500).json({ message: 'Failed to list quarantined inquiries' });
+  }
+}
+
+/**
+ * Release a quarantined inquiry
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function releaseInquiry(req, res) {
+  try {
+    const inquiry = await inquiryService.releaseInquiry(req.params.inquiryId);
+
+    if (!inquiry) {
+      return res.status(404).json({ message: 'Inquiry not found' });
+    }
+
+    res.json(inquiry);
+  } catch (error) {
+    console.error('Release inquiry error:', error);
+    res.status(500).json({ message: 'Failed to release inquiry' });
+  }
+}
+
+/**
+ * List inbox inquiries
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listInbox(req, res) {
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const assignedTo = req.query.assignedTo === 'me' ? req.user.accountId : req.query.assignedTo;
+    const result = await inquiryService.listInbox({
+      status: req.query.status,
+      assignedTo,
+      search: req.query.search,
+      followUpDue: parseBoolean(req.query.followUpDue),
+      quarantined: parseBoolean(req.query.quarantined),
+      receivedFrom: parseDate(req.query.receivedFrom),
+      receivedTo: parseDate(req.query.receivedTo)
+    }, page, limit);
+    res.json(result);
+  } catch (error) {
+    console.error('List inquiries error:', error);
+    res.status(500).json({ message: 'Failed to list inquiries' });
+  }
+}
+
+/**
+ * Get an inquiry with notes and status history
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getInquiry(req, res) {
+  try {
+    const inquiry = await inquiryService.getInquiry(req.params.inquiryId, req.user.accountId);
+
+    if (!inquiry) {
+      return res.status(404).json({ message: 'Inquiry not found' });
+    }
+
+    res.json(inquiry);
+  } catch (error) {
+    console.error('Get inquiry error:', error);
+    res.status(500).json({ message: 'Failed to get inquiry' });
+  }
+}
+
+/**
+ * Update the assignee and follow-up date of an inquiry
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateInquiry(req, res) {
+  try {
+    const inquiry = await inquiryService.updateInquiry(req.params.inquiryId, req.body);
+
+    if (!inquiry) {
+      return res.status(404).json({ message: 'Inquiry not found' });
+    }
+
+    res.json(inquiry);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update inquiry error:', error);
+    res.status(500).json({ message: 'Failed to update inquiry' });
+  }
+}
+
+/**
+ * Change the status of an inquiry
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function changeStatus(req, res) {
+  try {
+    const inquiry = await inquiryService.changeStatus(req.params.inquiryId, req.body.inquiryStatus, req.user.accountId);
+
+    if (!inquiry) {
+      return res.status(404).json({ message: 'Inquiry not found' });
+    }
+
+    res.json(inquiry);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Change inquiry status error:', error);
+    res.status(500).json({ message: 'Failed to change inquiry status' });
+  }
+}
+
+/**
+ * Add an internal note to an inquiry
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function addNote(req, res) {
+  try {
+    const note = await inquiryService.addNote(req.params.inquiryId, req.user.accountId, req.body.noteContent);
+
+    if (!note) {
+      return res.status(404).json({ message: 'Inquiry not found' });
+    }
+
+    res.status(201).json(note);
+  } catch (error) {
+    console.error('Add inquiry note error:', error);
+    res.status(500).json({ message: 'Failed to add note' });
+  }
+}
+
+/**
+ * Email a reply to the client of an inquiry
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function replyToInquiry(req, res) {
+  try {
+    const message = await inquiryService.replyToInquiry(req.params.inquiryId, req.user.accountId, req.body);
+
+    if (!message) {
+      return res.status(404).json({ message: 'Inquiry not found' });
+    }
+
+    res.status(201).json(message);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Reply to inquiry error:', error);
+    res.status(500).json({ message: 'Failed to send reply' });
+  }
+}
+
+/**
+ * Ingest an inbound email posted by the mail provider's parse webhook
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function receiveInboundEmail(req, res) {
+  try {
+    const message = await inquiryService.ingestInboundMessage(req.inboundEmail);
+
+    // Unmatched mail is acknowledged so the provider does not retry it
+    if (!message) {
+      return res.status(202).json({ matched: false });
+    }
+
+    res.json({ matched: true, inquiryId: message.inquiryId, messageId: message.messageId });
+  } catch (error) {
+    console.error('Inbound email error:', error);
+    res.status(500).json({ message: 'Failed to process inbound email' });
+  }
+}
+
+/**
+ * Delete an inquiry
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function deleteInquiry(req, res) {
+  try {
+    const deleted = await inquiryService.deleteInquiry(req.params.inquiryId);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Inquiry not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete inquiry error:', error);
+    res.status(500).json({ message: 'Failed to delete inquiry' });
+  }
+}
+
+module.exports = {
+  getFormToken,
+  submitInquiry,
+  listQuarantined,
+  releaseInquiry,
+  listInbox,
+  getInquiry,
+  updateInquiry,
+  changeStatus,
+  addNote,
+  replyToInquiry,
+  receiveInboundEmail,
+  deleteInquiry
+};
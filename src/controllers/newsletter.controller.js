@@ -0,0 +1,212 @@
+const newsletterService = require('../services/newsletter.service');
+const subscriberCsvService = require('../services/subscriberCsv.service');
+const { parsePagination, parseDate } = require('../utils/businessHelpers');
+
+/**
+ * Subscribe an email address (double opt-in)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function subscribe(req, res) {
+  try {
+    await newsletterService.subscribe(req.body);
+
+    // Same answer for every address so subscriptions cannot be probed
+    res.status(202).json({ message: 'Please check your inbox to confirm your subscription' });
+  } catch (error) {
+    console.error('Newsletter subscribe error:', error);
+    res.status(500).json({ message: 'Failed to subscribe' });
+  }
+}
+
+/**
+ * Confirm a subscription
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function confirm(req, res) {
+  try {
+    const subscriber = await newsletterService.confirm(req.body.token);
+    res.json({
+      emailAddress: subscriber.emailAddress,
+      subscriptionStatus: subscriber.subscriptionStatus
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Newsletter confirm error:', error);
+    res.status(500).json({ message: 'Failed to confirm subscription' });
+  }
+}
+
+/**
+ * Unsubscribe with an unsubscribe token
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function unsubscribe(req, res) {
+  try {
+    const subscriber = await newsletterService.unsubscribe(req.body.token, req.body.reason);
+
+    if (!subscriber) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Newsletter unsubscribe error:', error);
+    res.status(500).json({ message: 'Failed to unsubscribe' });
+  }
+}
+
+/**
+ * RFC 8058 one-click unsubscribe posted by mail clients
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function unsubscribeOneClick(req, res) {
+  try {
+    await newsletterService.unsubscribeOneClick(req.query.token);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Newsletter one-click unsubscribe error:', error);
+    res.status(500).json({ message: 'Failed to unsubscribe' });
+  }
+}
+
+/**
+ * Get the preference center view for an unsubscribe token
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getPreferences(req, res) {
+  try {
+    const preferences = await newsletterService.getPreferences(req.query.token);
+
+    if (!preferences) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+
+    res.json(preferences);
+  } catch (error) {
+    console.error('Get newsletter preferences error:', error);
+    res.status(500).json({ message: 'Failed to get preferences' });
+  }
+}
+
+/**
+ * Update topic interests from the preference center
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updatePreferences(req, res) {
+  try {
+    const preferences = await newsletterService.updatePreferences(req.body.token, req.body);
+
+    if (!preferences) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+
+    res.json(preferences);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update newsletter preferences error:', error);
+    res.status(500).json({ message: 'Failed to update preferences' });
+  }
+}
+
+/**
+ * List subscribers
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listSubscribers(req, res) {
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const result = await newsletterService.listSubscribers({ status: req.query.status }, page, limit);
+    res.json(result);
+  } catch (error) {
+    console.error('List subscribers error:', error);
+    res.status(500).json({ message: 'Failed to list subscribers' });
+  }
+}
+
+/**
+ * Import subscribers from an uploaded CSV file
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function importSubscribers(req, res) {
+  if (!req.file) {
+    return res.status(400).json({ message: 'A CSV file is required' });
+  }
+
+  try {
+    const report = await subscriberCsvService.importSubscribers(req.file.path);
+    res.json(report);
+  } catch (error) {
+    if (error.code && error.code.startsWith('CSV_')) {
+      return res.status(400).json({ message: `Invalid CSV: ${error.message}` });
+    }
+    console.error('Import subscribers error:', error);
+    res.status(500).json({ message: 'Failed to import subscribers' });
+  }
+}
+
+/**
+ * Export subscribers as CSV
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function exportSubscribers(req, res) {
+  const { status, dateField } = req.query;
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+  const fileName = `newsletter-subscribers-${new Date().toISOString().slice(0, 10)}.csv`;
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  const csv = subscriberCsvService.exportSubscribers({ status, dateField, from, to });
+  csv.on('error', (error) => {
+    console.error('Export subscribers error:', error);
+    // Headers are gone once rows were streamed; cut the download short
+    res.destroy(error);
+  });
+  csv.pipe(res);
+}
+
+/**
+ * List logged unsubscribes
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listUnsubscribes(req, res) {
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const result = await newsletterService.listUnsubscribes({ reason: req.query.reason }, page, limit);
+    res.json(result);
+  } catch (error) {
+    console.error('List unsubscribes error:', error);
+    res.status(500).json({ message: 'Failed to list unsubscribes' });
+  }
+}
+
+module.exports = {
+  subscribe,
+  confirm,
+  unsubscribe,
+  unsubscribeOneClick,
+  getPreferences,
+  updatePreferences,
+  listSubscribers,
+  importSubscribers,
+  exportSubscribers,
+  listUnsubscribes
+};
@@ -0,0 +1,115 @@
+const portfolioService = require('../services/portfolio.service');
+const { isAdminRequest } = require('../middleware/auth.middleware');
+const { parsePagination, parseBoolean } = require('../utils/businessHelpers');
+
+/**
+ * List portfolio projects
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listProjects(req, res) {
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const result = await portfolioService.listProjects({
+      category: req.query.category,
+      technology: req.query.technology,
+      featured: parseBoolean(req.query.featured),
+      status: req.query.status,
+      includeUnpublished: isAdminRequest(req)
+    }, page, limit);
+
+    res.json(result);
+  } catch (error) {
+    console.error('List projects error:', error);
+    res.status(500).json({ message: 'Failed to list projects' });
+  }
+}
+
+/**
+ * Get a portfolio project by slug
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getProjectBySlug(req, res) {
+  try {
+    const project = await portfolioService.getProjectBySlug(req.params.projectSlug, isAdminRequest(req));
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    res.json(project);
+  } catch (error) {
+    console.error('Get project error:', error);
+    res.status(500).json({ message: 'Failed to retrieve project' });
+  }
+}
+
+/**
+ * Create a portfolio project
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createProject(req, res) {
+  try {
+    const project = await portfolioService.createProject(req.user.accountId, req.body);
+    res.status(201).json(project);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Create project error:', error);
+    res.status(500).json({ message: 'Failed to create project' });
+  }
+}
+
+/**
+ * Update a portfolio project
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateProject(req, res) {
+  try {
+    const project = await portfolioService.updateProject(req.params.projectId, req.body);
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    res.json(project);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update project error:', error);
+    res.status(500).json({ message: 'Failed to update project' });
+  }
+}
+
+/**
+ * Delete a portfolio project
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function deleteProject(req, res) {
+  try {
+    const deleted = await portfolioService.deleteProject(req.params.projectId);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({ message: 'Failed to delete project' });
+  }
+}
+
+module.exports = {
+  listProjects,
+  getProjectBySlug,
+  createProject,
+  updateProject,
+  deleteProject
+};
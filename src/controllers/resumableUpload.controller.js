@@ -0,0 +1,194 @@
+const resumableUploadService = require('../services/resumableUpload.service');
+const digitalAssetService = require('../services/digitalAssetService');
+const { isAdminRequest } = require('../middleware/auth.middleware');
+const config = require('../config');
+
+const OFFSET_CONTENT_TYPE = 'application/offset+octet-stream';
+
+/**
+ * Non-negative integer from a tus header
+ * @param {string} value - Header value
+ * @returns {number|null} Parsed value, or null when missing or malformed
+ */
+function parseByteHeader(value) {
+  return /^\d+$/.test(value || '') ? parseInt(value, 10) : null;
+}
+
+/**
+ * Set the headers describing an upload's state
+ * @param {Object} res - Express response
+ * @param {Object} upload - AssetUpload
+ */
+function setUploadHeaders(res, upload) {
+  res.set({
+    'Upload-Offset': String(upload.uploadOffset),
+    'Upload-Expires': upload.expiresAt.toUTCString(),
+    'Cache-Control': 'no-store'
+  });
+}
+
+/**
+ * Load the requester's upload, answering 404 or 410 when it cannot be used
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} AssetUpload, or null when a response was sent
+ */
+async function findUpload(req, res) {
+  const upload = await resumableUploadService.getUpload(req.params.uploadId, req.user.accountId);
+  if (!upload) {
+    res.status(404).json({ message: 'Upload not found' });
+    return null;
+  }
+  if (resumableUploadService.isExpired(upload)) {
+    res.status(410).json({ message: 'Upload has expired' });
+    return null;
+  }
+  return upload;
+}
+
+/**
+ * Create a resumable upload (tus creation)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createUpload(req, res) {
+  const uploadLength = parseByteHeader(req.get('Upload-Length'));
+  if (uploadLength === null) {
+    return res.status(400).json({ message: 'Upload-Length is required' });
+  }
+
+  try {
+    const metadata = resumableUploadService.parseMetadata(req.get('Upload-Metadata'));
+    const upload = await resumableUploadService.createUpload(req.user.accountId, uploadLength, metadata);
+
+    setUploadHeaders(res, upload);
+    res.set('Location', `${config.app.apiUrl}/api/digital-assets/uploads/${upload.uploadId}`);
+    res.status(201).end();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Create upload error:', error);
+    res.status(500).json({ message: 'Failed to create upload' });
+  }
+}
+
+/**
+ * Report how much of an upload has been received (tus HEAD)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getUploadOffset(req, res) {
+  try {
+    const upload = await findUpload(req, res);
+    if (!upload) {
+      return;
+    }
+
+    setUploadHeaders(res, upload);
+    res.set('Upload-Length', String(upload.uploadLength));
+    if (Object.keys(upload.metadata).length) {
+      res.set('Upload-Metadata', resumableUploadService.encodeMetadata(upload.metadata));
+    }
+    res.status(200).end();
+  } catch (error) {
+    console.error('Get upload offset error:', error);
+    res.status(500).json({ message: 'Failed to get upload' });
+  }
+}
+
+/**
+ * Append data at the current offset (tus PATCH); the request that completes
+ * the upload also creates the asset
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function appendUploadChunk(req, res) {
+  if (req.get('Content-Type') !== OFFSET_CONTENT_TYPE) {
+    return res.status(415).json({ message: `Content-Type must be ${OFFSET_CONTENT_TYPE}` });
+  }
+  const offset = parseByteHeader(req.get('Upload-Offset'));
+  if (offset === null) {
+    return res.status(400).json({ message: 'Upload-Offset is required' });
+  }
+
+  try {
+    const upload = await findUpload(req, res);
+    if (!upload) {
+      return;
+    }
+
+    const contentLength = parseByteHeader(req.get('Content-Length'));
+    if (contentLength !== null && offset + contentLength > upload.uploadLength) {
+      return res.status(413).json({ message: 'Data exceeds the declared Upload-Length' });
+    }
+
+    await resumableUploadService.appendChunk(upload, offset, req);
+    setUploadHeaders(res, upload);
+    res.status(204).end();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Append upload chunk error:', error);
+    res.status(500).json({ message: 'Failed to store upload data' });
+  }
+}
+
+/**
+ * Abandon an upload and discard its data (tus termination)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function terminateUpload(req, res) {
+  try {
+    const upload = await resumableUploadService.getUpload(req.params.uploadId, req.user.accountId);
+    if (!upload) {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+
+    await resumableUploadService.terminate(upload);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Terminate upload error:', error);
+    res.status(500).json({ message: 'Failed to terminate upload' });
+  }
+}
+
+/**
+ * Get an upload's progress and, once finalized, the asset it created
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getUploadStatus(req, res) {
+  try {
+    const upload = await resumableUploadService.getUpload(req.params.uploadId, req.user.accountId);
+    if (!upload) {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+
+    const asset = upload.assetId && await digitalAssetService.getAsset(upload.assetId, {
+      accountId: req.user.accountId,
+      isAdmin: isAdminRequest(req)
+    });
+    res.json({
+      uploadId: upload.uploadId,
+      uploadLength: upload.uploadLength,
+      uploadOffset: upload.uploadOffset,
+      metadata: upload.metadata,
+      expiresAt: upload.expiresAt,
+      asset: asset ? digitalAssetService.serialize(asset) : null
+    });
+  } catch (error) {
+    console.error('Get upload status error:', error);
+    res.status(500).json({ message: 'Failed to get upload' });
+  }
+}
+
+module.exports = {
+  createUpload,
+  getUploadOffset,
+  appendUploadChunk,
+  terminateUpload,
+  getUploadStatus
+};
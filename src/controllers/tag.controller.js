@@ -0,0 +1,127 @@
+const tagService = require('../services/tag.service');
+const { parsePagination } = require('../utils/businessHelpers');
+
+/**
+ * List every tag with article usage counts
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listTags(req, res) {
+  try {
+    const tags = await tagService.listTags();
+    res.json({ data: tags });
+  } catch (error) {
+    console.error('List tags error:', error);
+    res.status(500).json({ message: 'Failed to list tags' });
+  }
+}
+
+/**
+ * Get the public tag cloud
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getTagCloud(req, res) {
+  try {
+    // Every tag is returned unless a limit is asked for
+    const limit = req.query.limit ? parsePagination(req.query, 200).limit : null;
+    const tags = await tagService.getTagCloud(limit);
+    res.json({ data: tags });
+  } catch (error) {
+    console.error('Tag cloud error:', error);
+    res.status(500).json({ message: 'Failed to build tag cloud' });
+  }
+}
+
+/**
+ * Create a tag
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function createTag(req, res) {
+  try {
+    const tag = await tagService.createTag(req.body);
+    res.status(201).json(tag);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Create tag error:', error);
+    res.status(500).json({ message: 'Failed to create tag' });
+  }
+}
+
+/**
+ * Rename a tag
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function updateTag(req, res) {
+  try {
+    const tag = await tagService.updateTag(req.params.tagId, req.body);
+
+    if (!tag) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    res.json(tag);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update tag error:', error);
+    res.status(500).json({ message: 'Failed to update tag' });
+  }
+}
+
+/**
+ * Delete a tag
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function deleteTag(req, res) {
+  try {
+    const deleted = await tagService.deleteTag(req.params.tagId);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({ message: 'Failed to delete tag' });
+  }
+}
+
+/**
+ * Merge source tags into a target tag
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function mergeTags(req, res) {
+  try {
+    const result = await tagService.mergeTags(req.params.tagId, req.body.sourceTagIds);
+
+    if (!result) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Merge tags error:', error);
+    res.status(500).json({ message: 'Failed to merge tags' });
+  }
+}
+
+module.exports = {
+  listTags,
+  getTagCloud,
+  createTag,
+  updateTag,
+  deleteTag,
+  mergeTags
+};
@@ -0,0 +1,136 @@
+const suppressionService = require('../services/suppression.service');
+const { parsePagination } = require('../utils/businessHelpers');
+const { unescapeAngleBrackets } = require('../middleware/sanitization.middleware');
+
+/**
+ * Receive bounce and complaint events in the generic JSON format
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function receiveEmailFeedback(req, res) {
+  try {
+    const events = req.body.events.map(event => ({
+      type: event.type,
+      bounceType: event.bounceType || null,
+      emailAddress: suppressionService.extractAddress(event.email),
+      diagnostic: event.diagnostic || null,
+      occurredAt: event.timestamp ? new Date(event.timestamp) : new Date()
+    }));
+
+    const result = await suppressionService.processEvents(events, 'generic');
+    res.json(result);
+  } catch (error) {
+    console.error('Email feedback webhook error:', error);
+    res.status(500).json({ message: 'Failed to process email feedback' });
+  }
+}
+
+/**
+ * Receive SES bounce and complaint notifications, either posted directly
+ * or wrapped in an SNS envelope (which SNS sends as text/plain)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function receiveSesFeedback(req, res) {
+  let payload;
+  try {
+    payload = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  } catch {
+    return res.status(400).json({ message: 'Body must be JSON' });
+  }
+  if (!payload || typeof payload !== 'object') {
+    return res.status(400).json({ message: 'Body must be JSON' });
+  }
+
+  try {
+    if (payload.Type === 'SubscriptionConfirmation') {
+      await suppressionService.confirmSnsSubscription(payload.SubscribeURL);
+      return res.json({ confirmed: true });
+    }
+    if (payload.Type === 'UnsubscribeConfirmation') {
+      return res.json({ suppressed: 0, ignored: 0 });
+    }
+
+    let notification = payload;
+    if (payload.Type === 'Notification') {
+      try {
+        notification = JSON.parse(unescapeAngleBrackets(payload.Message));
+      } catch {
+        return res.status(400).json({ message: 'SNS Message must be JSON' });
+      }
+    }
+
+    const events = suppressionService.parseSesNotification(notification);
+    const result = await suppressionService.processEvents(events, 'ses');
+    res.json(result);
+  } catch (error) {
+    console.error('SES feedback webhook error:', error);
+    res.status(500).json({ message: 'Failed to process SES feedback' });
+  }
+}
+
+/**
+ * List suppressed addresses
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function listSuppressions(req, res) {
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const result = await suppressionService.listSuppressions({
+      reason: req.query.reason,
+      search: req.query.search
+    }, page, limit);
+    res.json(result);
+  } catch (error) {
+    console.error('List suppressions error:', error);
+    res.status(500).json({ message: 'Failed to list suppressions' });
+  }
+}
+
+/**
+ * Suppress an address by hand
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function addSuppression(req, res) {
+  try {
+    const suppression = await suppressionService.suppress(req.body.emailAddress, {
+      reason: 'manual',
+      source: 'admin',
+      diagnostic: req.body.diagnostic || null
+    });
+    res.status(201).json(suppression);
+  } catch (error) {
+    console.error('Add suppression error:', error);
+    res.status(500).json({ message: 'Failed to add suppression' });
+  }
+}
+
+/**
+ * Remove an address from the suppression list
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function deleteSuppression(req, res) {
+  try {
+    const removed = await suppressionService.unsuppress(req.params.emailAddress);
+
+    if (!removed) {
+      return res.status(404).json({ message: 'Suppression not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete suppression error:', error);
+    res.status(500).json({ message: 'Failed to delete suppression' });
+  }
+}
+
+module.exports = {
+  receiveEmailFeedback,
+  receiveSesFeedback,
+  listSuppressions,
+  addSuppression,
+  deleteSuppression
+};
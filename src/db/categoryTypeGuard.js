@@ -0,0 +1,59 @@
+const { ValidationError, ValidationErrorItem } = require('sequelize');
+
+/**
+ * Models whose categoryId is restricted to one category type.
+ * Filled by enforceCategoryType as the model files are loaded.
+ */
+const guardedModels = [];
+
+/**
+ * Restrict the categoryId of a model to categories of one type
+ * @param {Object} model - Sequelize model with a categoryId attribute
+ * @param {string} categoryType - Allowed ContentCategory.categoryType
+ * @param {Object} options - Options
+ * @param {string} options.onMismatch - How existing bad rows are fixed: 'remove' or 'reassign'
+ */
+function enforceCategoryType(model, categoryType, { onMismatch = 'remove' } = {}) {
+  guardedModels.push({ model, categoryType, onMismatch });
+
+  const check = async (categoryIds, options) => {
+    const uniqueIds = [...new Set(categoryIds.filter(Boolean))];
+    if (!uniqueIds.length) {
+      return;
+    }
+
+    const { ContentCategory } = model.sequelize.models;
+    const matching = await ContentCategory.count({
+      where: { categoryId: uniqueIds, categoryType },
+      transaction: options.transaction
+    });
+
+    if (matching !== uniqueIds.length) {
+      const message = `${model.name} only accepts ${categoryType} categories`;
+      throw new ValidationError(message, [
+        new ValidationErrorItem(message, 'Validation error', 'categoryId', null)
+      ]);
+    }
+  };
+
+  model.addHook('beforeSave', 'enforceCategoryType', (instance, options) => {
+    if (instance.isNewRecord || instance.changed('categoryId')) {
+      return check([instance.categoryId], options);
+    }
+  });
+
+  model.addHook('beforeBulkCreate', 'enforceCategoryType', (instances, options) => (
+    check(instances.map(instance => instance.categoryId), options)
+  ));
+
+  model.addHook('beforeBulkUpdate', 'enforceCategoryType', (options) => {
+    if (options.attributes && options.attributes.categoryId) {
+      return check([options.attributes.categoryId], options);
+    }
+  });
+}
+
+module.exports = {
+  enforceCategoryType,
+  guardedModels
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Rendered, sanitized HTML generated from the Markdown in article_content
+    await queryInterface.addColumn('article_publications', 'article_content_html', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('article_publications', 'article_content_html');
+  }
+};
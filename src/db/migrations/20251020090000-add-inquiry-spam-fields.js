@@ -0,0 +1,45 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('client_inquiries', 'spam_score', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('client_inquiries', 'spam_reasons', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: []
+    });
+    // Suspected spam is kept for review instead of being dropped
+    await queryInterface.addColumn('client_inquiries', 'is_quarantined', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+    await queryInterface.addColumn('client_inquiries', 'submitter_ip', {
+      type: Sequelize.STRING(45),
+      allowNull: true
+    });
+    // SHA-256 of the normalized message, used to spot repeated submissions
+    await queryInterface.addColumn('client_inquiries', 'message_fingerprint', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('client_inquiries', ['is_quarantined']);
+    await queryInterface.addIndex('client_inquiries', ['message_fingerprint']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('client_inquiries', ['message_fingerprint']);
+    await queryInterface.removeIndex('client_inquiries', ['is_quarantined']);
+    await queryInterface.removeColumn('client_inquiries', 'message_fingerprint');
+    await queryInterface.removeColumn('client_inquiries', 'submitter_ip');
+    await queryInterface.removeColumn('client_inquiries', 'is_quarantined');
+    await queryInterface.removeColumn('client_inquiries', 'spam_reasons');
+    await queryInterface.removeColumn('client_inquiries', 'spam_score');
+  }
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('client_inquiries', 'assigned_account_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'professional_accounts',
+        key: 'account_id'
+      },
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('client_inquiries', 'follow_up_date', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    // Set when the follow-up reminder has been emailed, cleared when the date changes
+    await queryInterface.addColumn('client_inquiries', 'follow_up_reminded_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.createTable('inquiry_notes', {
+      note_id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      inquiry_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'client_inquiries',
+          key: 'inquiry_id'
+        },
+        onDelete: 'CASCADE'
+      },
+      author_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'professional_accounts',
+          key: 'account_id'
+        },
+        onDelete: 'SET NULL'
+      },
+      note_content: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.createTable('inquiry_status_changes', {
+      change_id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      inquiry_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'client_inquiries',
+          key: 'inquiry_id'
+        },
+        onDelete: 'CASCADE'
+      },
+      from_status: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      to_status: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      changed_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'professional_accounts',
+          key: 'account_id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('client_inquiries', ['assigned_account_id']);
+    await queryInterface.addIndex('client_inquiries', ['follow_up_date']);
+    await queryInterface.addIndex('inquiry_notes', ['inquiry_id']);
+    await queryInterface.addIndex('inquiry_status_changes', ['inquiry_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('inquiry_status_changes');
+    await queryInterface.dropTable('inquiry_notes');
+    await queryInterface.removeIndex('client_inquiries', ['follow_up_date']);
+    await queryInterface.removeIndex('client_inquiries', ['assigned_account_id']);
+    await queryInterface.removeColumn('client_inquiries', 'follow_up_reminded_at');
+    await queryInterface.removeColumn('client_inquiries', 'follow_up_date');
+    await queryInterface.removeColumn('client_inquiries', 'assigned_account_id');
+  }
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('inquiry_messages', {
+      message_id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      inquiry_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'client_inquiries',
+          key: 'inquiry_id'
+        },
+        onDelete: 'CASCADE'
+      },
+      message_direction: {
+        type: Sequelize.ENUM('outbound', 'inbound'),
+        allowNull: false
+      },
+      // RFC 5322 Message-ID header, angle brackets included
+      email_message_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      in_reply_to: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      sender_email: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      recipient_email: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      message_subject: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      message_body: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      sent_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'professional_accounts',
+          key: 'account_id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('inquiry_messages', ['inquiry_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('inquiry_messages');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_inquiry_messages_message_direction";');
+  }
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // New subscribers wait in 'pending' until they confirm their address
+    await queryInterface.sequelize.query(
+      'ALTER TYPE "enum_newsletter_subscribers_subscription_status" ADD VALUE IF NOT EXISTS \'pending\' BEFORE \'active\';'
+    );
+    await queryInterface.sequelize.query(
+      'ALTER TABLE newsletter_subscribers ALTER COLUMN subscription_status SET DEFAULT \'pending\';'
+    );
+
+    await queryInterface.addColumn('newsletter_subscribers', 'confirmation_sent_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('newsletter_subscribers', 'confirmed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('newsletter_subscribers', 'unsubscribed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('newsletter_subscribers', 'unsubscribed_at');
+    await queryInterface.removeColumn('newsletter_subscribers', 'confirmed_at');
+    await queryInterface.removeColumn('newsletter_subscribers', 'confirmation_sent_at');
+
+    // Postgres cannot drop an enum value; unconfirmed subscribers become inactive instead
+    await queryInterface.sequelize.query(
+      'ALTER TABLE newsletter_subscribers ALTER COLUMN subscription_status SET DEFAULT \'active\';'
+    );
+    await queryInterface.sequelize.query(
+      'UPDATE newsletter_subscribers SET subscription_status = \'inactive\' WHERE subscription_status = \'pending\';'
+    );
+  }
+};
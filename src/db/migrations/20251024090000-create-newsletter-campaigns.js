@@ -0,0 +1,125 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('newsletter_campaigns', {
+      campaign_id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      campaign_subject: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      intro_text: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      // Articles published after this date were pulled into the issue
+      articles_since: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      article_ids: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      campaign_status: {
+        type: Sequelize.ENUM('draft', 'sending', 'sent'),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'professional_accounts',
+          key: 'account_id'
+        },
+        onDelete: 'SET NULL'
+      },
+      send_started_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.createTable('newsletter_deliveries', {
+      delivery_id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      campaign_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'newsletter_campaigns',
+          key: 'campaign_id'
+        },
+        onDelete: 'CASCADE'
+      },
+      subscriber_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'newsletter_subscribers',
+          key: 'subscriber_id'
+        },
+        onDelete: 'CASCADE'
+      },
+      delivery_status: {
+        type: Sequelize.ENUM('pending', 'sending', 'sent', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempt_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('newsletter_campaigns', ['campaign_status']);
+    await queryInterface.addIndex('newsletter_deliveries', ['campaign_id', 'subscriber_id'], { unique: true });
+    await queryInterface.addIndex('newsletter_deliveries', ['campaign_id', 'delivery_status']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('newsletter_deliveries');
+    await queryInterface.dropTable('newsletter_campaigns');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_newsletter_deliveries_delivery_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_newsletter_campaigns_campaign_status";');
+  }
+};
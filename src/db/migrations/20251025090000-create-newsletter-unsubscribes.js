@@ -0,0 +1,51 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('newsletter_unsubscribes', {
+      unsubscribe_id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      subscriber_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'newsletter_subscribers',
+          key: 'subscriber_id'
+        },
+        onDelete: 'CASCADE'
+      },
+      campaign_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'newsletter_campaigns',
+          key: 'campaign_id'
+        },
+        onDelete: 'SET NULL'
+      },
+      unsubscribe_reason: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      reason_detail: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('newsletter_unsubscribes', ['subscriber_id']);
+    await queryInterface.addIndex('newsletter_unsubscribes', ['unsubscribe_reason']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('newsletter_unsubscribes');
+  }
+};
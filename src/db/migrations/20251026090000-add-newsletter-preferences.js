@@ -0,0 +1,50 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('newsletter_subscriber_categories', {
+      assignment_id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      subscriber_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'newsletter_subscribers',
+          key: 'subscriber_id'
+        },
+        onDelete: 'CASCADE'
+      },
+      category_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'content_categories',
+          key: 'category_id'
+        },
+        onDelete: 'CASCADE'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('newsletter_subscriber_categories', ['category_id']);
+    await queryInterface.addIndex('newsletter_subscriber_categories', ['subscriber_id', 'category_id'], { unique: true });
+
+    // { categoryIds, subscribedAfter }; null sends to every active subscriber
+    await queryInterface.addColumn('newsletter_campaigns', 'target_segment', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('newsletter_campaigns', 'target_segment');
+    await queryInterface.dropTable('newsletter_subscriber_categories');
+  }
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('email_suppressions', {
+      suppression_id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      email_address: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      // hard-bounce, complaint or manual
+      suppression_reason: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      // Where the notification came from: ses, generic or admin
+      feedback_source: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      diagnostic: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      event_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      last_event_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('email_suppressions', ['suppression_reason']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('email_suppressions');
+  }
+};
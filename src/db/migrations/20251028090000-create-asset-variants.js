@@ -0,0 +1,58 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('asset_variants', {
+      variant_id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      asset_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'digital_assets',
+          key: 'asset_id'
+        },
+        onDelete: 'CASCADE'
+      },
+      // "thumbnail" or the target width, e.g. "w640"
+      variant_name: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      format: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      width: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      height: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      file_size: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      file_path: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('asset_variants', ['asset_id', 'variant_name', 'format'], { unique: true });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('asset_variants');
+  }
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // One row per object in storage, counting the assets that use it
+    await queryInterface.createTable('stored_files', {
+      file_path: {
+        type: Sequelize.STRING,
+        primaryKey: true
+      },
+      // Hex SHA-256 of the content
+      content_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      file_size: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      reference_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+    await queryInterface.addIndex('stored_files', ['content_hash']);
+
+    // Null for assets uploaded before hashing until a duplicate scan fills it in
+    await queryInterface.addColumn('digital_assets', 'content_hash', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+    await queryInterface.addIndex('digital_assets', ['content_hash']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('digital_assets', 'content_hash');
+    await queryInterface.dropTable('stored_files');
+  }
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Set by the cleanup job when an asset is found unused; cleared if it is used again
+    await queryInterface.addColumn('digital_assets', 'orphaned_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addIndex('digital_assets', ['orphaned_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('digital_assets', 'orphaned_at');
+  }
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Private assets are stored under private/ and only served through signed URLs
+    await queryInterface.addColumn('digital_assets', 'visibility', {
+      type: Sequelize.ENUM('public', 'private'),
+      allowNull: false,
+      defaultValue: 'public'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('digital_assets', 'visibility');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_digital_assets_visibility";');
+  }
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('asset_uploads', {
+      upload_id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      uploaded_by: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'professional_accounts',
+          key: 'account_id'
+        },
+        onDelete: 'CASCADE'
+      },
+      upload_length: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      upload_offset: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      // Set once the upload has been finalized into an asset
+      asset_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'digital_assets',
+          key: 'asset_id'
+        },
+        onDelete: 'SET NULL'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('asset_uploads', ['uploaded_by']);
+    await queryInterface.addIndex('asset_uploads', ['expires_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('asset_uploads');
+  }
+};
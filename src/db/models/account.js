@@ -154,26 +154,7 @@ module.exports = (sequelize) => {
     ]
   });
 
-  // Define associations
-  ProfessionalAccount.hasMany(AuthenticationToken, { 
-    foreignKey: 'accountId', 
-    as: 'authenticationTokens',
-    onDelete: 'CASCADE'
-  });
-  AuthenticationToken.belongsTo(ProfessionalAccount, { 
-    foreignKey: 'accountId', 
-    as: 'account' 
-  });
-
-  ProfessionalAccount.hasMany(PasswordRecoveryRequest, { 
-    foreignKey: 'accountId', 
-    as: 'recoveryRequests',
-    onDelete: 'CASCADE'
-  });
-  PasswordRecoveryRequest.belongsTo(ProfessionalAccount, { 
-    foreignKey: 'accountId', 
-    as: 'account' 
-  });
+  // Association tables and relationships will be defined in associations.js
 
   return {
     ProfessionalAccount,
@@ -1,4 +1,6 @@
 const { DataTypes } = require('sequelize');
+const { enforceCategoryType } = require('../categoryTypeGuard');
+const { renderMarkdown } = require('../../utils/markdown');
 
 module.exports = (sequelize) => {
   const ArticlePublication = sequelize.define('ArticlePublication', {
@@ -34,6 +36,11 @@ module.exports = (sequelize) => {
       allowNull: false,
       field: 'article_content'
     },
+    articleContentHtml: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'article_content_html'
+    },
     articleSummary: {
       type: DataTypes.TEXT,
       allowNull: false,
@@ -69,6 +76,12 @@ module.exports = (sequelize) => {
       }
     ],
     hooks: {
+      beforeSave: (article) => {
+        // Keep the rendered HTML in step with the Markdown source
+        if (article.isNewRecord || article.changed('articleContent')) {
+          article.articleContentHtml = renderMarkdown(article.articleContent);
+        }
+      },
       beforeUpdate: (article) => {
         // Set publication_date when status changes to published
         if (article.publicationStatus === 'published' && 
@@ -119,6 +132,8 @@ module.exports = (sequelize) => {
     ]
   });
 
+  enforceCategoryType(ArticleCategoryAssignment, 'article');
+
   const ArticleTagAssignment = sequelize.define('ArticleTagAssignment', {
     assignmentId: {
       type: DataTypes.UUID,
@@ -43,6 +43,12 @@ module.exports = (sequelize) => {
       allowNull: false,
       field: 'file_path'
     },
+    // SHA-256 of the content; assets with the same hash share one stored file
+    contentHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      field: 'content_hash'
+    },
     thumbnailPath: {
       type: DataTypes.STRING,
       allowNull: true,
@@ -52,6 +58,17 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: true,
       field: 'alternative_text'
+    },
+    // When the cleanup job found the asset unused; deleted after the grace period
+    orphanedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'orphaned_at'
+    },
+    visibility: {
+      type: DataTypes.ENUM('public', 'private'),
+      allowNull: false,
+      defaultValue: 'public'
     }
   }, {
     tableName: 'digital_assets',
@@ -59,7 +76,156 @@ module.exports = (sequelize) => {
     underscored: true,
     indexes: [
       { fields: ['uploaded_by'] },
-      { fields: ['mime_type'] }
+      { fields: ['mime_type'] },
+      { fields: ['content_hash'] }
+    ]
+  });
+
+  const StoredFile = sequelize.define('StoredFile', {
+    filePath: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      field: 'file_path'
+    },
+    contentHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      field: 'content_hash'
+    },
+    fileSize: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'file_size'
+    },
+    // Assets using this file; the file is deleted when it drops to zero
+    referenceCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      field: 'reference_count'
+    }
+  }, {
+    tableName: 'stored_files',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['content_hash'] }
+    ]
+  });
+
+  const AssetVariant = sequelize.define('AssetVariant', {
+    variantId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      field: 'variant_id'
+    },
+    assetId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'digital_assets',
+        key: 'asset_id'
+      },
+      onDelete: 'CASCADE',
+      field: 'asset_id'
+    },
+    // "thumbnail" or the target width, e.g. "w640"
+    variantName: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      field: 'variant_name'
+    },
+    format: {
+      type: DataTypes.STRING(10),
+      allowNull: false
+    },
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    fileSize: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'file_size'
+    },
+    filePath: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'file_path'
+    }
+  }, {
+    tableName: 'asset_variants',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['asset_id', 'variant_name', 'format'] }
+    ]
+  });
+
+  // A resumable (tus) upload; the data is staged on local disk until complete
+  const AssetUpload = sequelize.define('AssetUpload', {
+    uploadId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      field: 'upload_id'
+    },
+    uploadedBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'professional_accounts',
+        key: 'account_id'
+      },
+      onDelete: 'CASCADE',
+      field: 'uploaded_by'
+    },
+    uploadLength: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'upload_length'
+    },
+    uploadOffset: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'upload_offset'
+    },
+    // Decoded Upload-Metadata: filename, assetName, alternativeText, visibility
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    // Set once the upload has been finalized into an asset
+    assetId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'digital_assets',
+        key: 'asset_id'
+      },
+      onDelete: 'SET NULL',
+      field: 'asset_id'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expires_at'
+    }
+  }, {
+    tableName: 'asset_uploads',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['uploaded_by'] },
+      { fields: ['expires_at'] }
     ]
   });
 
@@ -202,6 +368,9 @@ module.exports = (sequelize) => {
 
   return {
     DigitalAsset,
+    AssetVariant,
+    StoredFile,
+    AssetUpload,
     ProjectAssetAssociation,
     ArticleAssetAssociation,
     ServiceAssetAssociation
@@ -1,11 +1,33 @@
-const { ProfessionalAccount, AuthenticationToken, PasswordRecoveryRequest } = require('./account');
-const { ContentCategory, ContentTag, SiteConfiguration } = require('./configuration');
-const { PortfolioProject, ProjectCategoryAssignment } = require('./portfolio');
-const { ArticlePublication, ArticleCategoryAssignment, ArticleTagAssignment } = require('./article');
-const { ProfessionalService } = require('./service');
-const { TechnicalExpertise, ProfessionalExpertise, ProjectTechnologyAssignment } = require('./expertise');
-
-module.exports = (sequelize) => {
+module.exports = (models) => {
+  const {
+    ProfessionalAccount,
+    AuthenticationToken,
+    PasswordRecoveryRequest,
+    ContentCategory,
+    ContentTag,
+    SiteConfiguration,
+    PortfolioProject,
+    ProjectCategoryAssignment,
+    ArticlePublication,
+    ArticleCategoryAssignment,
+    ArticleTagAssignment,
+    ProfessionalService,
+    TechnicalExpertise,
+    ProfessionalExpertise,
+    ProjectTechnologyAssignment,
+    ClientInquiry,
+    InquiryNote,
+    InquiryStatusChange,
+    InquiryMessage,
+    NewsletterSubscriber,
+    NewsletterSubscriberCategory,
+    NewsletterCampaign,
+    NewsletterDelivery,
+    NewsletterUnsubscribe,
+    DigitalAsset,
+    AssetVariant
+  } = models;
+
   // Account associations
   ProfessionalAccount.hasMany(AuthenticationToken, { 
     foreignKey: 'accountId', 
@@ -147,4 +169,124 @@ module.exports = (sequelize) => {
     foreignKey: 'lastUpdatedBy',
     as: 'updatedConfigurations'
   });
-}; 
\ No newline at end of file
+
+  // Inquiry inbox associations
+  ClientInquiry.belongsTo(ProfessionalAccount, {
+    foreignKey: 'assignedAccountId',
+    as: 'assignee'
+  });
+  ProfessionalAccount.hasMany(ClientInquiry, {
+    foreignKey: 'assignedAccountId',
+    as: 'assignedInquiries'
+  });
+
+  ClientInquiry.hasMany(InquiryNote, {
+    foreignKey: 'inquiryId',
+    as: 'notes',
+    onDelete: 'CASCADE'
+  });
+  InquiryNote.belongsTo(ClientInquiry, {
+    foreignKey: 'inquiryId',
+    as: 'inquiry'
+  });
+  InquiryNote.belongsTo(ProfessionalAccount, {
+    foreignKey: 'authorId',
+    as: 'author'
+  });
+
+  ClientInquiry.hasMany(InquiryStatusChange, {
+    foreignKey: 'inquiryId',
+    as: 'statusHistory',
+    onDelete: 'CASCADE'
+  });
+  InquiryStatusChange.belongsTo(ClientInquiry, {
+    foreignKey: 'inquiryId',
+    as: 'inquiry'
+  });
+  InquiryStatusChange.belongsTo(ProfessionalAccount, {
+    foreignKey: 'changedBy',
+    as: 'changedByAccount'
+  });
+
+  ClientInquiry.hasMany(InquiryMessage, {
+    foreignKey: 'inquiryId',
+    as: 'messages',
+    onDelete: 'CASCADE'
+  });
+  InquiryMessage.belongsTo(ClientInquiry, {
+    foreignKey: 'inquiryId',
+    as: 'inquiry'
+  });
+  InquiryMessage.belongsTo(ProfessionalAccount, {
+    foreignKey: 'sentBy',
+    as: 'sender'
+  });
+
+  // Newsletter associations
+  NewsletterSubscriber.belongsToMany(ContentCategory, {
+    through: NewsletterSubscriberCategory,
+    foreignKey: 'subscriberId',
+    otherKey: 'categoryId',
+    as: 'interests'
+  });
+  ContentCategory.belongsToMany(NewsletterSubscriber, {
+    through: NewsletterSubscriberCategory,
+    foreignKey: 'categoryId',
+    otherKey: 'subscriberId',
+    as: 'subscribers'
+  });
+  NewsletterCampaign.belongsTo(ProfessionalAccount, {
+    foreignKey: 'createdBy',
+    as: 'creator'
+  });
+  NewsletterCampaign.hasMany(NewsletterDelivery, {
+    foreignKey: 'campaignId',
+    as: 'deliveries',
+    onDelete: 'CASCADE'
+  });
+  NewsletterDelivery.belongsTo(NewsletterCampaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign'
+  });
+  NewsletterSubscriber.hasMany(NewsletterDelivery, {
+    foreignKey: 'subscriberId',
+    as: 'deliveries',
+    onDelete: 'CASCADE'
+  });
+  NewsletterDelivery.belongsTo(NewsletterSubscriber, {
+    foreignKey: 'subscriberId',
+    as: 'subscriber'
+  });
+  NewsletterSubscriber.hasMany(NewsletterUnsubscribe, {
+    foreignKey: 'subscriberId',
+    as: 'unsubscribes',
+    onDelete: 'CASCADE'
+  });
+  NewsletterUnsubscribe.belongsTo(NewsletterSubscriber, {
+    foreignKey: 'subscriberId',
+    as: 'subscriber'
+  });
+  NewsletterUnsubscribe.belongsTo(NewsletterCampaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign'
+  });
+
+  // Digital asset associations
+  DigitalAsset.belongsTo(ProfessionalAccount, {
+    foreignKey: 'uploadedBy',
+    as: 'uploader'
+  });
+  ProfessionalAccount.hasMany(DigitalAsset, {
+    foreignKey: 'uploadedBy',
+    as: 'assets'
+  });
+  DigitalAsset.hasMany(AssetVariant, {
+    foreignKey: 'assetId',
+    as: 'variants',
+    onDelete: 'CASCADE'
+  });
+  AssetVariant.belongsTo(DigitalAsset, {
+    foreignKey: 'assetId',
+    as: 'asset'
+  });
+};
@@ -156,15 +156,7 @@ module.exports = (sequelize) => {
     underscored: true
   });
 
-  // Self-referencing relationship for categories
-  ContentCategory.belongsTo(ContentCategory, {
-    as: 'parent',
-    foreignKey: 'parentCategoryId'
-  });
-  ContentCategory.hasMany(ContentCategory, {
-    as: 'children',
-    foreignKey: 'parentCategoryId'
-  });
+  // Association tables and relationships will be defined in associations.js
 
   return {
     ContentCategory,
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const EmailSuppression = sequelize.define('EmailSuppression', {
+    suppressionId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      field: 'suppression_id'
+    },
+    emailAddress: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      field: 'email_address'
+    },
+    suppressionReason: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['hard-bounce', 'complaint', 'manual']]
+      },
+      field: 'suppression_reason'
+    },
+    feedbackSource: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      field: 'feedback_source'
+    },
+    diagnostic: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'diagnostic'
+    },
+    eventCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      field: 'event_count'
+    },
+    lastEventAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'last_event_at'
+    }
+  }, {
+    tableName: 'email_suppressions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { unique: true, fields: ['email_address'] },
+      { fields: ['suppression_reason'] }
+    ]
+  });
+
+  return {
+    EmailSuppression
+  };
+};
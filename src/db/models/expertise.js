@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const { enforceCategoryType } = require('../categoryTypeGuard');
 
 module.exports = (sequelize) => {
   const TechnicalExpertise = sequelize.define('TechnicalExpertise', {
@@ -96,6 +97,8 @@ module.exports = (sequelize) => {
     ]
   });
 
+  enforceCategoryType(ProfessionalExpertise, 'expertise', { onMismatch: 'reassign' });
+
   const ProjectTechnologyAssignment = sequelize.define('ProjectTechnologyAssignment', {
     assignmentId: {
       type: DataTypes.UUID,
@@ -33,6 +33,54 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: 'unread',
       field: 'inquiry_status'
+    },
+    spamScore: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'spam_score'
+    },
+    spamReasons: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      field: 'spam_reasons'
+    },
+    isQuarantined: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'is_quarantined'
+    },
+    submitterIp: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+      field: 'submitter_ip'
+    },
+    messageFingerprint: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      field: 'message_fingerprint'
+    },
+    assignedAccountId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'professional_accounts',
+        key: 'account_id'
+      },
+      onDelete: 'SET NULL',
+      field: 'assigned_account_id'
+    },
+    followUpDate: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'follow_up_date'
+    },
+    followUpRemindedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'follow_up_reminded_at'
     }
   }, {
     tableName: 'client_inquiries',
@@ -40,11 +88,180 @@ module.exports = (sequelize) => {
     underscored: true,
     indexes: [
       { fields: ['client_email'] },
-      { fields: ['inquiry_status'] }
+      { fields: ['inquiry_status'] },
+      { fields: ['is_quarantined'] },
+      { fields: ['message_fingerprint'] },
+      { fields: ['assigned_account_id'] },
+      { fields: ['follow_up_date'] }
+    ]
+  });
+
+  const InquiryNote = sequelize.define('InquiryNote', {
+    noteId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      field: 'note_id'
+    },
+    inquiryId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'client_inquiries',
+        key: 'inquiry_id'
+      },
+      onDelete: 'CASCADE',
+      field: 'inquiry_id'
+    },
+    authorId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'professional_accounts',
+        key: 'account_id'
+      },
+      onDelete: 'SET NULL',
+      field: 'author_id'
+    },
+    noteContent: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      field: 'note_content'
+    }
+  }, {
+    tableName: 'inquiry_notes',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['inquiry_id'] }
+    ]
+  });
+
+  const InquiryStatusChange = sequelize.define('InquiryStatusChange', {
+    changeId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      field: 'change_id'
+    },
+    inquiryId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'client_inquiries',
+        key: 'inquiry_id'
+      },
+      onDelete: 'CASCADE',
+      field: 'inquiry_id'
+    },
+    fromStatus: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      field: 'from_status'
+    },
+    toStatus: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      field: 'to_status'
+    },
+    changedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'professional_accounts',
+        key: 'account_id'
+      },
+      onDelete: 'SET NULL',
+      field: 'changed_by'
+    }
+  }, {
+    tableName: 'inquiry_status_changes',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      { fields: ['inquiry_id'] }
+    ]
+  });
+
+  const InquiryMessage = sequelize.define('InquiryMessage', {
+    messageId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      field: 'message_id'
+    },
+    inquiryId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'client_inquiries',
+        key: 'inquiry_id'
+      },
+      onDelete: 'CASCADE',
+      field: 'inquiry_id'
+    },
+    messageDirection: {
+      type: DataTypes.ENUM('outbound', 'inbound'),
+      allowNull: false,
+      field: 'message_direction'
+    },
+    emailMessageId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      field: 'email_message_id'
+    },
+    inReplyTo: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'in_reply_to'
+    },
+    senderEmail: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'sender_email'
+    },
+    recipientEmail: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'recipient_email'
+    },
+    messageSubject: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'message_subject'
+    },
+    messageBody: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      field: 'message_body'
+    },
+    sentBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'professional_accounts',
+        key: 'account_id'
+      },
+      onDelete: 'SET NULL',
+      field: 'sent_by'
+    }
+  }, {
+    tableName: 'inquiry_messages',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      { fields: ['inquiry_id'] },
+      { unique: true, fields: ['email_message_id'] }
     ]
   });
 
   return {
-    ClientInquiry
+    ClientInquiry,
+    InquiryNote,
+    InquiryStatusChange,
+    InquiryMessage
   };
 }; 
\ No newline at end of file
@@ -1,49 +1,286 @@
 const { DataTypes } = require('sequelize');
+const { enforceCategoryType } = require('../categoryTypeGuard');
 
 module.exports = (sequelize) => {
-  const NewsletterSubscription = sequelize.define('NewsletterSubscription', {
-    subscriptionId: {
+  const NewsletterSubscriber = sequelize.define('NewsletterSubscriber', {
+    subscriberId: {
       type: DataTypes.UUID,
       defaultValue: DataTypes.UUIDV4,
       primaryKey: true,
-      field: 'subscription_id'
+      field: 'subscriber_id'
     },
-    email: {
+    emailAddress: {
       type: DataTypes.STRING,
       allowNull: false,
       unique: true,
       validate: {
         isEmail: true
-      }
+      },
+      field: 'email_address'
     },
-    isActive: {
-      type: DataTypes.BOOLEAN,
+    subscriberName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'subscriber_name'
+    },
+    unsubscribeToken: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      field: 'unsubscribe_token'
+    },
+    subscriptionStatus: {
+      type: DataTypes.ENUM('pending', 'active', 'inactive', 'unsubscribed'),
       allowNull: false,
-      defaultValue: true,
-      field: 'is_active'
+      defaultValue: 'pending',
+      field: 'subscription_status'
     },
-    subscriptionDate: {
+    confirmationSentAt: {
       type: DataTypes.DATE,
+      allowNull: true,
+      field: 'confirmation_sent_at'
+    },
+    confirmedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'confirmed_at'
+    },
+    unsubscribedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'unsubscribed_at'
+    }
+  }, {
+    tableName: 'newsletter_subscribers',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { unique: true, fields: ['email_address'] },
+      { unique: true, fields: ['unsubscribe_token'] },
+      { fields: ['subscription_status'] }
+    ]
+  });
+
+  const NewsletterSubscriberCategory = sequelize.define('NewsletterSubscriberCategory', {
+    assignmentId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      field: 'assignment_id'
+    },
+    subscriberId: {
+      type: DataTypes.UUID,
       allowNull: false,
-      defaultValue: DataTypes.NOW,
-      field: 'subscription_date'
+      references: {
+        model: 'newsletter_subscribers',
+        key: 'subscriber_id'
+      },
+      onDelete: 'CASCADE',
+      field: 'subscriber_id'
     },
-    unsubscribeDate: {
+    categoryId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'content_categories',
+        key: 'category_id'
+      },
+      onDelete: 'CASCADE',
+      field: 'category_id'
+    }
+  }, {
+    tableName: 'newsletter_subscriber_categories',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      { fields: ['category_id'] },
+      { unique: true, fields: ['subscriber_id', 'category_id'] }
+    ]
+  });
+
+  enforceCategoryType(NewsletterSubscriberCategory, 'article');
+
+  const NewsletterCampaign = sequelize.define('NewsletterCampaign', {
+    campaignId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      field: 'campaign_id'
+    },
+    campaignSubject: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'campaign_subject'
+    },
+    introText: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'intro_text'
+    },
+    articlesSince: {
       type: DataTypes.DATE,
+      allowNull: false,
+      field: 'articles_since'
+    },
+    articleIds: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      field: 'article_ids'
+    },
+    campaignStatus: {
+      type: DataTypes.ENUM('draft', 'sending', 'sent'),
+      allowNull: false,
+      defaultValue: 'draft',
+      field: 'campaign_status'
+    },
+    targetSegment: {
+      type: DataTypes.JSONB,
       allowNull: true,
-      field: 'unsubscribe_date'
+      field: 'target_segment'
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'professional_accounts',
+        key: 'account_id'
+      },
+      onDelete: 'SET NULL',
+      field: 'created_by'
+    },
+    sendStartedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'send_started_at'
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'sent_at'
     }
   }, {
-    tableName: 'newsletter_subscriptions',
+    tableName: 'newsletter_campaigns',
     timestamps: true,
     underscored: true,
     indexes: [
-      { fields: ['email'] },
-      { fields: ['is_active'] }
+      { fields: ['campaign_status'] }
+    ]
+  });
+
+  const NewsletterDelivery = sequelize.define('NewsletterDelivery', {
+    deliveryId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      field: 'delivery_id'
+    },
+    campaignId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'newsletter_campaigns',
+        key: 'campaign_id'
+      },
+      onDelete: 'CASCADE',
+      field: 'campaign_id'
+    },
+    subscriberId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'newsletter_subscribers',
+        key: 'subscriber_id'
+      },
+      onDelete: 'CASCADE',
+      field: 'subscriber_id'
+    },
+    deliveryStatus: {
+      type: DataTypes.ENUM('pending', 'sending', 'sent', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending',
+      field: 'delivery_status'
+    },
+    attemptCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'attempt_count'
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'last_error'
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'sent_at'
+    }
+  }, {
+    tableName: 'newsletter_deliveries',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { unique: true, fields: ['campaign_id', 'subscriber_id'] },
+      { fields: ['campaign_id', 'delivery_status'] }
+    ]
+  });
+
+  const NewsletterUnsubscribe = sequelize.define('NewsletterUnsubscribe', {
+    unsubscribeId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      field: 'unsubscribe_id'
+    },
+    subscriberId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'newsletter_subscribers',
+        key: 'subscriber_id'
+      },
+      onDelete: 'CASCADE',
+      field: 'subscriber_id'
+    },
+    campaignId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'newsletter_campaigns',
+        key: 'campaign_id'
+      },
+      onDelete: 'SET NULL',
+      field: 'campaign_id'
+    },
+    unsubscribeReason: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      field: 'unsubscribe_reason'
+    },
+    reasonDetail: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'reason_detail'
+    }
+  }, {
+    tableName: 'newsletter_unsubscribes',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      { fields: ['subscriber_id'] },
+      { fields: ['unsubscribe_reason'] }
     ]
   });
 
   return {
-    NewsletterSubscription
+    NewsletterSubscriber,
+    NewsletterSubscriberCategory,
+    NewsletterCampaign,
+    NewsletterDelivery,
+    NewsletterUnsubscribe
   };
-}; 
\ No newline at end of file
+};
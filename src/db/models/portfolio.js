@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const { enforceCategoryType } = require('../categoryTypeGuard');
 
 module.exports = (sequelize) => {
   const PortfolioProject = sequelize.define('PortfolioProject', {
@@ -130,6 +131,8 @@ module.exports = (sequelize) => {
     ]
   });
 
+  enforceCategoryType(ProjectCategoryAssignment, 'project');
+
   // Association tables and relationships will be defined in associations.js
 
   return {
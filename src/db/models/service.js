@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const { enforceCategoryType } = require('../categoryTypeGuard');
 
 module.exports = (sequelize) => {
   const ProfessionalService = sequelize.define('ProfessionalService', {
@@ -78,6 +79,8 @@ module.exports = (sequelize) => {
     ]
   });
 
+  enforceCategoryType(ProfessionalService, 'service', { onMismatch: 'reassign' });
+
   // Association tables and relationships will be defined in associations.js
 
   return {
@@ -52,6 +52,46 @@ async function authenticate(req, res, next) {
   }
 }
 
+/**
+ * Middleware that attaches the user when a valid access token is present,
+ * but lets anonymous requests through
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function optionalAuthenticate(req, res, next) {
+  try {
+    const token = extractTokenFromRequest(req);
+    const payload = token ? verifyToken(token) : null;
+
+    if (payload && payload.type === 'access') {
+      const user = await ProfessionalAccount.findByPk(payload.sub);
+      if (user && user.isAccountActive) {
+        req.user = {
+          accountId: user.accountId,
+          username: user.username,
+          emailAddress: user.emailAddress,
+          accountRole: user.accountRole
+        };
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ message: 'Authentication error' });
+  }
+}
+
+/**
+ * Check whether the request was made by an administrator
+ * @param {Object} req - Express request object
+ * @returns {boolean} True for admin users
+ */
+function isAdminRequest(req) {
+  return Boolean(req.user && req.user.accountRole === 'admin');
+}
+
 /**
  * Middleware to check if user has required role
  * @param {Array} roles - Allowed roles
@@ -77,6 +117,8 @@ const requireUser = requireRoles(['admin', 'user']);
 
 module.exports = {
   authenticate,
+  optionalAuthenticate,
+  isAdminRequest,
   requireRoles,
   requireAdmin,
   requireUser
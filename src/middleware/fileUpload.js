@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const multer = require('multer');
+const { createHttpError } = require('../utils/businessHelpers');
+const config = require('../config');
+
+const CSV_MIME_TYPES = ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'];
+
+/**
+ * Wrap a multer middleware so upload errors are answered with JSON and the
+ * temporary file is removed once the response is done, whatever the outcome
+ * @param {Function} upload - Multer middleware
+ * @returns {Function} Express middleware
+ */
+function handleUploadErrors(upload) {
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (req.file && req.file.path) {
+        res.on('close', () => fs.promises.rm(req.file.path, { force: true }).catch(() => {}));
+      }
+      if (!error) {
+        return next();
+      }
+      if (error instanceof multer.MulterError) {
+        const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return res.status(status).json({ message: error.message });
+      }
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      next(error);
+    });
+  };
+}
+
+/**
+ * Accept a single CSV file, written to a temporary file so large
+ * uploads can be streamed instead of held in memory
+ * @param {string} fieldName - Multipart field name
+ * @param {number} maxBytes - Maximum file size
+ * @returns {Function} Express middleware
+ */
+function csvUpload(fieldName, maxBytes) {
+  const upload = multer({
+    dest: os.tmpdir(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!CSV_MIME_TYPES.includes(file.mimetype) && path.extname(file.originalname).toLowerCase() !== '.csv') {
+        return cb(createHttpError(400, 'Only CSV files are accepted'));
+      }
+      cb(null, true);
+    }
+  }).single(fieldName);
+
+  return handleUploadErrors(upload);
+}
+
+/**
+ * Multer storage engine writing each file to the temporary directory while
+ * hashing it, so the SHA-256 digest (file.sha256) costs no second read
+ * @returns {Object} Multer storage engine
+ */
+function hashingDiskStorage() {
+  return {
+    _handleFile(req, file, cb) {
+      const filePath = path.join(os.tmpdir(), `upload-${crypto.randomUUID()}`);
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+
+      const hasher = new Transform({
+        transform(chunk, encoding, callback) {
+          hash.update(chunk);
+          size += chunk.length;
+          callback(null, chunk);
+        }
+      });
+
+      pipeline(file.stream, hasher, fs.createWriteStream(filePath))
+        .then(() => cb(null, { path: filePath, size, sha256: hash.digest('hex') }))
+        .catch(error => fs.promises.rm(filePath, { force: true }).finally(() => cb(error)));
+    },
+
+    _removeFile(req, file, cb) {
+      fs.promises.rm(file.path, { force: true }).then(() => cb(null), cb);
+    }
+  };
+}
+
+/**
+ * Accept a single asset file into a hashed temporary file. Multer only
+ * enforces the largest per-type limit; the real type and its limit are
+ * checked from the file's magic bytes once it is on disk.
+ * @param {string} fieldName - Multipart field name
+ * @returns {Function} Express middleware
+ */
+function assetUpload(fieldName) {
+  const upload = multer({
+    storage: hashingDiskStorage(),
+    limits: {
+      fileSize: Math.max(...Object.values(config.storage.maxFileSize)),
+      files: 1
+    }
+  }).single(fieldName);
+
+  return handleUploadErrors(upload);
+}
+
+module.exports = {
+  handleUploadErrors,
+  csvUpload,
+  assetUpload
+};
@@ -30,6 +30,20 @@ function sanitizeRequestBody(req, res, next) {
   next();
 }
 
+/**
+ * Undo the angle bracket escaping applied by the global request sanitizers,
+ * for fields that are stored as typed and escaped wherever they are rendered
+ * @param {string} value - Escaped value
+ * @returns {string} Original value; non-strings are returned unchanged
+ */
+function unescapeAngleBrackets(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return value.replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+}
+
 module.exports = {
-  sanitizeRequestBody
+  sanitizeRequestBody,
+  unescapeAngleBrackets
 }; 
\ No newline at end of file
@@ -16,9 +16,13 @@ function setupSecurityMiddleware(app) {
   // Enable CORS
   app.use(cors({
     origin: config.app.corsOrigins || '*',
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
-    exposedHeaders: ['Content-Length', 'X-Request-Id'],
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Tus-Resumable', 'Upload-Length', 'Upload-Metadata', 'Upload-Offset'],
+    exposedHeaders: [
+      'Content-Length', 'X-Request-Id', 'Location',
+      'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+      'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'Upload-Metadata'
+    ],
     credentials: true,
     maxAge: 86400
   }));
@@ -29,7 +33,10 @@ function setupSecurityMiddleware(app) {
     max: 100, // limit each IP to 100 requests per windowMs
     standardHeaders: true,
     legacyHeaders: false,
-    message: 'Too many requests from this IP, please try again later'
+    message: 'Too many requests from this IP, please try again later',
+    // Chunks of a resumable upload are authenticated and bounded by the
+    // upload's declared length; a large file needs many of them
+    skip: (req) => req.method === 'PATCH' && req.path.startsWith('/api/digital-assets/uploads/')
   });
 
   // Apply global rate limiting to all routes
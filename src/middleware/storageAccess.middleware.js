@@ -0,0 +1,85 @@
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const storageService = require('../services/storageService');
+const { createHttpError } = require('../utils/businessHelpers');
+const { logger } = require('./logging.middleware');
+
+const { PRIVATE_KEY_PREFIX, SIGNED_CACHE_CONTROL, normalizeKey } = storageService;
+
+/**
+ * Storage key of a request to the local uploads mount, normalized the way
+ * the static handler resolves it so "//private", "./private" or
+ * "assets/../private" cannot slip past the private prefix check
+ * @param {Object} req - Express request
+ * @returns {string} Storage key
+ * @throws {Error} 400 when the path is not a valid storage key
+ */
+function requestedKey(req) {
+  let key;
+  try {
+    key = decodeURIComponent(req.path.slice(1));
+  } catch {
+    throw createHttpError(400, 'Invalid storage key');
+  }
+  return normalizeKey(path.posix.normalize(key));
+}
+
+/**
+ * Guard the local uploads mount. Private keys, and any request carrying a
+ * signature, are only served when the signature is valid and unexpired;
+ * the response then takes its type and disposition from the signed query.
+ * Everything else falls through to the static file handler.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function serveSignedFiles(req, res, next) {
+  let key;
+  try {
+    key = requestedKey(req);
+  } catch (error) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  if (!key.startsWith(`${PRIVATE_KEY_PREFIX}/`) && req.query.sig === undefined) {
+    return next();
+  }
+
+  try {
+    if (!['GET', 'HEAD'].includes(req.method) || !storageService.verifySignedUrl(key, req.query)) {
+      return res.status(403).json({ message: 'A valid signed URL is required' });
+    }
+    if (!await storageService.exists(key)) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    res.set({
+      'Cache-Control': SIGNED_CACHE_CONTROL,
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    if (req.query.type) {
+      res.type(req.query.type);
+    } else {
+      res.type(key.split('/').pop());
+    }
+    if (req.query.disposition) {
+      res.set('Content-Disposition', req.query.disposition);
+    }
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+    await pipeline(storageService.getStream(key), res);
+  } catch (error) {
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    logger.error('Signed file request failed', { key, error: error.message });
+    res.status(500).json({ message: 'Failed to read file' });
+  }
+}
+
+module.exports = {
+  serveSignedFiles
+};
@@ -0,0 +1,38 @@
+const { TUS_VERSION, TUS_EXTENSIONS, MAX_UPLOAD_SIZE } = require('../services/resumableUpload.service');
+
+/**
+ * Answer tus capability discovery. cors ends every OPTIONS request itself,
+ * so this runs ahead of it and only sets the headers.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+function tusDiscovery(req, res, next) {
+  res.set({
+    'Tus-Resumable': TUS_VERSION,
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS.join(','),
+    'Tus-Max-Size': String(MAX_UPLOAD_SIZE)
+  });
+  next();
+}
+
+/**
+ * Require the tus protocol version on a request and state it on the response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+function requireTusResumable(req, res, next) {
+  res.set('Tus-Resumable', TUS_VERSION);
+  if (req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return res.status(412).json({ message: `Tus-Resumable ${TUS_VERSION} is required` });
+  }
+  next();
+}
+
+module.exports = {
+  tusDiscovery,
+  requireTusResumable
+};
@@ -0,0 +1,91 @@
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const { models } = require('../db/models');
+const assetUsageService = require('../services/assetUsage.service');
+const digitalAssetService = require('../services/digitalAssetService');
+const { logger } = require('../middleware/logging.middleware');
+const config = require('../config');
+
+const { DigitalAsset } = models;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Summary of an asset for the cleanup report
+ * @param {Object} asset - DigitalAsset
+ * @returns {Object} assetId, assetName, filePath and orphanedAt
+ */
+function reportEntry(asset) {
+  return {
+    assetId: asset.assetId,
+    assetName: asset.assetName,
+    filePath: asset.filePath,
+    orphanedAt: asset.orphanedAt
+  };
+}
+
+/**
+ * Flag assets that are no longer used, clear the flag of flagged assets
+ * that are used again, and delete assets that stayed unused for the grace
+ * period, together with their stored files and variants.
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - Only report what would change
+ * @param {Date} options.now - Reference time
+ * @returns {Promise<Object>} Report with the flagged, restored and deleted assets
+ */
+async function cleanupOrphanedAssets({ dryRun = false, now = new Date() } = {}) {
+  const orphanIds = new Set(await assetUsageService.findOrphanIds());
+  const cutoff = new Date(now.getTime() - config.storage.cleanup.graceDays * DAY_MS);
+  const report = { dryRun, graceDays: config.storage.cleanup.graceDays, flagged: [], restored: [], deleted: [] };
+
+  const flaggedAssets = await DigitalAsset.findAll({
+    where: { orphanedAt: { [Op.ne]: null } },
+    include: [{ association: 'variants' }]
+  });
+
+  for (const asset of flaggedAssets) {
+    if (!orphanIds.has(asset.assetId)) {
+      report.restored.push(reportEntry(asset));
+      if (!dryRun) {
+        await asset.update({ orphanedAt: null });
+      }
+    } else if (asset.orphanedAt <= cutoff) {
+      report.deleted.push(reportEntry(asset));
+      if (!dryRun) {
+        await digitalAssetService.destroyAsset(asset);
+      }
+    }
+    orphanIds.delete(asset.assetId);
+  }
+
+  // What is left in orphanIds was not flagged before
+  if (orphanIds.size) {
+    const newOrphans = await DigitalAsset.findAll({ where: { assetId: [...orphanIds] } });
+    report.flagged = newOrphans.map(reportEntry);
+    if (!dryRun) {
+      await DigitalAsset.update({ orphanedAt: now }, { where: { assetId: [...orphanIds] } });
+    }
+  }
+
+  logger.info(`${dryRun ? 'Dry run: ' : ''}Asset cleanup flagged ${report.flagged.length}, restored ${report.restored.length}, deleted ${report.deleted.length}`);
+  return report;
+}
+
+/**
+ * Schedule the orphaned asset cleanup job
+ * @returns {Object} node-cron task
+ */
+function scheduleAssetCleanup() {
+  return cron.schedule(config.storage.cleanup.cron, async () => {
+    try {
+      await cleanupOrphanedAssets();
+    } catch (error) {
+      logger.error('Asset cleanup job failed', { error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  cleanupOrphanedAssets,
+  scheduleAssetCleanup
+};
@@ -0,0 +1,77 @@
+const cron = require('node-cron');
+const { models } = require('../db/models');
+const inquiryService = require('../services/inquiry.service');
+const emailService = require('../services/email.service');
+const { logger } = require('../middleware/logging.middleware');
+const config = require('../config');
+
+const { ProfessionalAccount } = models;
+
+/**
+ * Email a reminder for every open inquiry whose follow-up date has passed.
+ * Assigned inquiries go to the assignee, unassigned ones to every active admin.
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+async function sendFollowUpReminders(now = new Date()) {
+  const inquiries = await inquiryService.findDueFollowUps(now);
+  if (!inquiries.length) {
+    return 0;
+  }
+
+  let adminEmails = null;
+  let sent = 0;
+
+  for (const inquiry of inquiries) {
+    let recipients;
+    if (inquiry.assignee) {
+      recipients = [inquiry.assignee.emailAddress];
+    } else {
+      if (!adminEmails) {
+        const admins = await ProfessionalAccount.findAll({
+          where: { accountRole: 'admin', isAccountActive: true },
+          attributes: ['emailAddress']
+        });
+        adminEmails = admins.map(admin => admin.emailAddress);
+      }
+      recipients = adminEmails;
+    }
+
+    if (!recipients.length) {
+      logger.warn('No recipient for inquiry follow-up reminder', { inquiryId: inquiry.inquiryId });
+      continue;
+    }
+
+    try {
+      const inquiryUrl = `${config.app.frontendUrl}/admin/inquiries/${inquiry.inquiryId}`;
+      await emailService.sendInquiryFollowUpReminder(recipients, inquiry, inquiryUrl);
+      await inquiry.update({ followUpRemindedAt: now });
+      sent += 1;
+    } catch (error) {
+      // Left unmarked so the next run retries it
+      logger.error('Inquiry follow-up reminder failed', { inquiryId: inquiry.inquiryId, error: error.message });
+    }
+  }
+
+  logger.info(`Sent ${sent} inquiry follow-up reminders`);
+  return sent;
+}
+
+/**
+ * Schedule the follow-up reminder job
+ * @returns {Object} node-cron task
+ */
+function scheduleFollowUpReminders() {
+  return cron.schedule(config.inquiry.followUpCron, async () => {
+    try {
+      await sendFollowUpReminders();
+    } catch (error) {
+      logger.error('Inquiry follow-up job failed', { error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  sendFollowUpReminders,
+  scheduleFollowUpReminders
+};
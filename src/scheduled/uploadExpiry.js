@@ -0,0 +1,37 @@
+const cron = require('node-cron');
+const resumableUploadService = require('../services/resumableUpload.service');
+const { logger } = require('../middleware/logging.middleware');
+const config = require('../config');
+
+/**
+ * Remove resumable uploads that were not resumed before their expiry,
+ * together with their staged data
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Uploads removed
+ */
+async function expireAbandonedUploads(now = new Date()) {
+  const removed = await resumableUploadService.expireUploads(now);
+  if (removed) {
+    logger.info(`Removed ${removed} expired resumable upload(s)`);
+  }
+  return removed;
+}
+
+/**
+ * Schedule the expired upload removal job
+ * @returns {Object} node-cron task
+ */
+function scheduleUploadExpiry() {
+  return cron.schedule(config.storage.resumableUploads.cron, async () => {
+    try {
+      await expireAbandonedUploads();
+    } catch (error) {
+      logger.error('Upload expiry job failed', { error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  expireAbandonedUploads,
+  scheduleUploadExpiry
+};
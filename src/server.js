@@ -2,6 +2,10 @@ require('dotenv').config();
 const http = require('http');
 const app = require('./app');
 const { sequelize } = require('./db/models');
+const { scheduleFollowUpReminders } = require('./scheduled/inquiryFollowUps');
+const { scheduleAssetCleanup } = require('./scheduled/assetCleanup');
+const { scheduleUploadExpiry } = require('./scheduled/uploadExpiry');
+const campaignService = require('./services/campaign.service');
 
 const PORT = process.env.APP_PORT || 8000;
 const HOST = process.env.APP_HOST || '0.0.0.0';
@@ -18,6 +22,17 @@ async function startServer() {
     server.listen(PORT, HOST, () => {
       console.log(`Server running at http://${HOST}:${PORT}/`);
     });
+
+    // Start scheduled jobs
+    scheduleFollowUpReminders();
+    scheduleAssetCleanup();
+    scheduleUploadExpiry();
+
+    // Finish newsletter sends interrupted by a crash or restart
+    const resumed = await campaignService.resumeInterruptedSends();
+    if (resumed) {
+      console.log(`Resumed ${resumed} interrupted newsletter campaign(s)`);
+    }
   } catch (error) {
     console.error('Unable to connect to the database:', error);
     process.exit(1);
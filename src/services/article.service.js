@@ -0,0 +1,310 @@
+const { sequelize, models } = require('../db/models');
+const { Op } = require('sequelize');
+const BaseRepository = require('../repositories/base.repository');
+const categoryService = require('./category.service');
+const { createHttpError, resolveSlug, isUuid, syncAssignments } = require('../utils/businessHelpers');
+
+const {
+  ArticlePublication,
+  ContentCategory,
+  ContentTag,
+  ProfessionalAccount,
+  ArticleCategoryAssignment,
+  ArticleTagAssignment
+} = models;
+
+const EDITABLE_FIELDS = [
+  'articleTitle',
+  'articleContent',
+  'articleSummary',
+  'featuredImage'
+];
+
+const ARTICLE_INCLUDES = [
+  {
+    model: ProfessionalAccount,
+    as: 'author',
+    attributes: ['accountId', 'username', 'profileImage']
+  },
+  {
+    model: ContentCategory,
+    as: 'categories',
+    attributes: ['categoryId', 'categoryName', 'categorySlug'],
+    through: { attributes: [] }
+  },
+  {
+    model: ContentTag,
+    as: 'tags',
+    attributes: ['tagId', 'tagName', 'tagSlug'],
+    through: { attributes: [] }
+  }
+];
+
+/**
+ * Service for managing article publications
+ */
+class ArticleService {
+  constructor() {
+    this.repository = new BaseRepository(ArticlePublication);
+  }
+
+  /**
+   * List articles without their bodies
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.category - Category ID or slug
+   * @param {string} filters.tag - Tag ID or slug
+   * @param {string} filters.status - Publication status (ignored for public listings)
+   * @param {boolean} filters.includeUnpublished - Whether non-published articles may be returned
+   * @param {number} page - Page number
+   * @param {number} limit - Records per page
+   * @returns {Promise<Object>} Paginated articles
+   */
+  async listArticles(filters = {}, page = 1, limit = 10) {
+    const where = {};
+    const conditions = [];
+
+    if (!filters.includeUnpublished) {
+      where.publicationStatus = 'published';
+    } else if (filters.status) {
+      where.publicationStatus = filters.status;
+    }
+
+    if (filters.category) {
+      const articleIds = await this.findArticleIdsByCategory(filters.category);
+      conditions.push({ articleId: { [Op.in]: articleIds } });
+    }
+
+    if (filters.tag) {
+      const articleIds = await this.findArticleIdsByTag(filters.tag);
+      conditions.push({ articleId: { [Op.in]: articleIds } });
+    }
+
+    if (conditions.length) {
+      where[Op.and] = conditions;
+    }
+
+    return this.repository.findAll({
+      where,
+      attributes: { exclude: ['articleContent', 'articleContentHtml'] },
+      include: ARTICLE_INCLUDES,
+      distinct: true,
+      order: [['publicationDate', 'DESC NULLS LAST'], ['createdAt', 'DESC']]
+    }, page, limit);
+  }
+
+  /**
+   * Get an article by its slug
+   * @param {string} articleSlug - Article slug
+   * @param {boolean} includeUnpublished - Whether non-published articles may be returned
+   * @returns {Promise<Object|null>} Article or null
+   */
+  async getArticleBySlug(articleSlug, includeUnpublished = false) {
+    const where = { articleSlug };
+    if (!includeUnpublished) {
+      where.publicationStatus = 'published';
+    }
+
+    return ArticlePublication.findOne({ where, include: ARTICLE_INCLUDES });
+  }
+
+  /**
+   * Get an article by ID
+   * @param {string} articleId - Article ID
+   * @returns {Promise<Object|null>} Article or null
+   */
+  async getArticleById(articleId) {
+    return ArticlePublication.findByPk(articleId, { include: ARTICLE_INCLUDES });
+  }
+
+  /**
+   * Create an article. Articles always start as drafts; a requested
+   * published status is applied as an update so the publication hook runs.
+   * @param {string} authorId - Author account ID
+   * @param {Object} data - Article data
+   * @returns {Promise<Object>} Created article
+   */
+  async createArticle(authorId, data) {
+    const articleId = await sequelize.transaction(async (transaction) => {
+      const attributes = this.pickEditableFields(data);
+      attributes.authorId = authorId;
+      attributes.publicationStatus = 'draft';
+      attributes.articleSlug = await resolveSlug(ArticlePublication, 'articleSlug', {
+        requestedSlug: data.articleSlug,
+        text: data.articleTitle,
+        transaction
+      });
+
+      const article = await ArticlePublication.create(attributes, { transaction });
+
+      if (data.categoryIds) {
+        await this.syncCategories(article.articleId, data.categoryIds, transaction);
+      }
+      if (data.tagIds) {
+        await this.syncTags(article.articleId, data.tagIds, transaction);
+      }
+
+      if (data.publicationStatus && data.publicationStatus !== 'draft') {
+        await article.update({ publicationStatus: data.publicationStatus }, { transaction });
+      }
+
+      return article.articleId;
+    });
+
+    return this.getArticleById(articleId);
+  }
+
+  /**
+   * Update an article
+   * @param {string} articleId - Article ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object|null>} Updated article or null when not found
+   */
+  async updateArticle(articleId, data) {
+    const updated = await sequelize.transaction(async (transaction) => {
+      const article = await ArticlePublication.findByPk(articleId, { transaction });
+      if (!article) {
+        return false;
+      }
+
+      const attributes = this.pickEditableFields(data);
+      if (data.publicationStatus !== undefined) {
+        attributes.publicationStatus = data.publicationStatus;
+      }
+      if (data.articleSlug !== undefined && data.articleSlug !== article.articleSlug) {
+        attributes.articleSlug = await resolveSlug(ArticlePublication, 'articleSlug', {
+          requestedSlug: data.articleSlug,
+          exclude: { articleId },
+          transaction
+        });
+      }
+
+      // Instance update so the beforeUpdate hook can stamp publicationDate
+      await article.update(attributes, { transaction });
+
+      if (data.categoryIds) {
+        await this.syncCategories(articleId, data.categoryIds, transaction);
+      }
+      if (data.tagIds) {
+        await this.syncTags(articleId, data.tagIds, transaction);
+      }
+
+      return true;
+    });
+
+    return updated ? this.getArticleById(articleId) : null;
+  }
+
+  /**
+   * Publish an article
+   * @param {string} articleId - Article ID
+   * @returns {Promise<Object|null>} Published article or null when not found
+   */
+  async publishArticle(articleId) {
+    return this.updateArticle(articleId, { publicationStatus: 'published' });
+  }
+
+  /**
+   * Delete an article
+   * @param {string} articleId - Article ID
+   * @returns {Promise<boolean>} Whether an article was deleted
+   */
+  async deleteArticle(articleId) {
+    const deleted = await ArticlePublication.destroy({ where: { articleId } });
+    return deleted > 0;
+  }
+
+  /**
+   * Copy the editable attributes present in the payload
+   * @param {Object} data - Request payload
+   * @returns {Object} Model attributes
+   */
+  pickEditableFields(data) {
+    return EDITABLE_FIELDS.reduce((attributes, field) => {
+      if (data[field] !== undefined) {
+        attributes[field] = data[field];
+      }
+      return attributes;
+    }, {});
+  }
+
+  /**
+   * Replace the category assignments of an article
+   * @param {string} articleId - Article ID
+   * @param {Array<string>} categoryIds - Category IDs to keep
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async syncCategories(articleId, categoryIds, transaction) {
+    const uniqueIds = [...new Set(categoryIds)];
+    await categoryService.assertCategoryType(uniqueIds, 'article', transaction);
+
+    await syncAssignments(ArticleCategoryAssignment, {
+      ownerKey: 'articleId',
+      ownerId: articleId,
+      key: 'categoryId',
+      ids: uniqueIds,
+      transaction
+    });
+  }
+
+  /**
+   * Replace the tag assignments of an article
+   * @param {string} articleId - Article ID
+   * @param {Array<string>} tagIds - Tag IDs to keep
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async syncTags(articleId, tagIds, transaction) {
+    const uniqueIds = [...new Set(tagIds)];
+    const found = await ContentTag.count({ where: { tagId: uniqueIds }, transaction });
+    if (found !== uniqueIds.length) {
+      throw createHttpError(400, 'One or more tags do not exist');
+    }
+
+    await syncAssignments(ArticleTagAssignment, {
+      ownerKey: 'articleId',
+      ownerId: articleId,
+      key: 'tagId',
+      ids: uniqueIds,
+      transaction
+    });
+  }
+
+  /**
+   * Find IDs of articles assigned to a category
+   * @param {string} category - Category ID or slug
+   * @returns {Promise<Array<string>>} Article IDs
+   */
+  async findArticleIdsByCategory(category) {
+    const where = isUuid(category) ? { categoryId: category } : { categorySlug: category };
+    const record = await ContentCategory.findOne({ where, attributes: ['categoryId'] });
+    if (!record) {
+      return [];
+    }
+
+    const rows = await ArticleCategoryAssignment.findAll({
+      where: { categoryId: record.categoryId },
+      attributes: ['articleId']
+    });
+    return rows.map(row => row.articleId);
+  }
+
+  /**
+   * Find IDs of articles carrying a tag
+   * @param {string} tag - Tag ID or slug
+   * @returns {Promise<Array<string>>} Article IDs
+   */
+  async findArticleIdsByTag(tag) {
+    const where = isUuid(tag) ? { tagId: tag } : { tagSlug: tag };
+    const record = await ContentTag.findOne({ where, attributes: ['tagId'] });
+    if (!record) {
+      return [];
+    }
+
+    const rows = await ArticleTagAssignment.findAll({
+      where: { tagId: record.tagId },
+      attributes: ['articleId']
+    });
+    return rows.map(row => row.articleId);
+  }
+}
+
+module.exports = new ArticleService();
@@ -0,0 +1,198 @@
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize, models } = require('../db/models');
+const digitalAssetService = require('./digitalAssetService');
+const assetUsageService = require('./assetUsage.service');
+const storageService = require('./storageService');
+const { createHttpError } = require('../utils/businessHelpers');
+
+const {
+  DigitalAsset,
+  StoredFile,
+  ProjectAssetAssociation,
+  ArticleAssetAssociation,
+  ServiceAssetAssociation
+} = models;
+
+// Association tables rewritten by a merge, with the column naming their owner
+const ASSET_ASSOCIATIONS = [
+  { name: 'projects', model: ProjectAssetAssociation, ownerKey: 'projectId' },
+  { name: 'articles', model: ArticleAssetAssociation, ownerKey: 'articleId' },
+  { name: 'services', model: ServiceAssetAssociation, ownerKey: 'serviceId' }
+];
+const SCAN_BATCH_SIZE = 100;
+
+/**
+ * Service for finding and merging assets with identical content
+ */
+class AssetDuplicateService {
+  /**
+   * List groups of assets sharing a content hash, largest groups first
+   * @param {number} page - Page number
+   * @param {number} limit - Groups per page
+   * @returns {Promise<Object>} Paginated groups with contentHash, fileSize and their assets
+   */
+  async listDuplicates(page = 1, limit = 20) {
+    const groups = await sequelize.query(`
+      SELECT
+        content_hash AS "contentHash",
+        MAX(file_size) AS "fileSize",
+        COUNT(*)::int AS "assetCount"
+      FROM digital_assets
+      WHERE content_hash IS NOT NULL
+      GROUP BY content_hash
+      HAVING COUNT(*) > 1
+      ORDER BY "assetCount" DESC, content_hash ASC
+      LIMIT :limit OFFSET :offset
+    `, {
+      replacements: { limit, offset: (page - 1) * limit },
+      type: QueryTypes.SELECT
+    });
+
+    const [{ total }] = await sequelize.query(`
+      SELECT COUNT(*)::int AS total FROM (
+        SELECT 1 FROM digital_assets
+        WHERE content_hash IS NOT NULL
+        GROUP BY content_hash
+        HAVING COUNT(*) > 1
+      ) duplicates
+    `, { type: QueryTypes.SELECT });
+
+    const assets = await DigitalAsset.findAll({
+      where: { contentHash: groups.map(group => group.contentHash) },
+      attributes: ['assetId', 'assetName', 'fileName', 'uploadedBy', 'visibility', 'filePath', 'contentHash', 'createdAt'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    return {
+      data: groups.map(group => ({
+        ...group,
+        assets: assets.filter(asset => asset.contentHash === group.contentHash)
+      })),
+      pagination: {
+        total,
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        limit
+      }
+    };
+  }
+
+  /**
+   * Merge every asset with a content hash into one. Association rows of the
+   * duplicates are moved to the kept asset (or dropped where it is already
+   * associated with the same owner), image fields pointing at a duplicate
+   * are rewritten to the kept asset, then the duplicates are deleted.
+   * Only assets with the kept asset's visibility are merged, and private
+   * assets only with those of the same account; the rest are left alone.
+   * @param {string} contentHash - Content hash of the group
+   * @param {string} keepAssetId - Asset to keep; defaults to the oldest
+   * @returns {Promise<Object|null>} Merge summary, or null when the hash has no duplicates
+   * @throws {Error} 409 when no asset of the group can be merged into the kept asset
+   */
+  async mergeDuplicates(contentHash, keepAssetId = null) {
+    const assets = await DigitalAsset.findAll({
+      where: { contentHash },
+      include: [{ association: 'variants' }],
+      order: [['createdAt', 'ASC']]
+    });
+    if (assets.length < 2) {
+      return null;
+    }
+
+    const keeper = keepAssetId ? assets.find(asset => asset.assetId === keepAssetId) : assets[0];
+    if (!keeper) {
+      throw createHttpError(400, 'The asset to keep does not have this content hash');
+    }
+    const mergeable = asset => asset.visibility === keeper.visibility
+      && (asset.visibility !== 'private' || asset.uploadedBy === keeper.uploadedBy);
+    const others = assets.filter(asset => asset !== keeper);
+    const duplicates = others.filter(mergeable);
+    const skippedAssetIds = others.filter(asset => !mergeable(asset)).map(asset => asset.assetId);
+    if (!duplicates.length) {
+      throw createHttpError(409, 'No asset with this content hash has the visibility and owner of the asset to keep');
+    }
+    const duplicateIds = duplicates.map(asset => asset.assetId);
+
+    const reassigned = await sequelize.transaction(async (transaction) => {
+      const counts = {};
+      for (const { name, model, ownerKey } of ASSET_ASSOCIATIONS) {
+        const linked = await model.findAll({ where: { assetId: keeper.assetId }, transaction });
+        const owners = new Set(linked.map(row => row[ownerKey]));
+        const rows = await model.findAll({ where: { assetId: duplicateIds }, transaction });
+
+        counts[name] = 0;
+        for (const row of rows) {
+          if (owners.has(row[ownerKey])) {
+            await row.destroy({ transaction });
+            continue;
+          }
+          await row.update({ assetId: keeper.assetId }, { transaction });
+          owners.add(row[ownerKey]);
+          counts[name] += 1;
+        }
+      }
+
+      counts.imageFields = 0;
+      for (const duplicate of duplicates) {
+        counts.imageFields += await assetUsageService.replaceReferences(duplicate, keeper, transaction);
+      }
+      return counts;
+    });
+
+    for (const duplicate of duplicates) {
+      await digitalAssetService.destroyAsset(duplicate);
+    }
+
+    return { keptAssetId: keeper.assetId, mergedAssetIds: duplicateIds, skippedAssetIds, reassigned };
+  }
+
+  /**
+   * Hash assets uploaded before content hashing so they show up as
+   * duplicates and can be shared by new uploads
+   * @returns {Promise<Object>} Counts of hashed assets and of assets whose file is missing
+   */
+  async scanContentHashes() {
+    const result = { hashed: 0, missing: 0 };
+    let lastAssetId = null;
+
+    for (;;) {
+      const where = { contentHash: null };
+      if (lastAssetId) {
+        where.assetId = { [Op.gt]: lastAssetId };
+      }
+      const assets = await DigitalAsset.findAll({ where, order: [['assetId', 'ASC']], limit: SCAN_BATCH_SIZE });
+      if (!assets.length) {
+        break;
+      }
+
+      for (const asset of assets) {
+        lastAssetId = asset.assetId;
+
+        let contentHash;
+        try {
+          contentHash = await digitalAssetService.hashStream(storageService.getStream(asset.filePath));
+        } catch (error) {
+          if (!storageService.isNotFoundError(error)) {
+            throw error;
+          }
+          result.missing += 1;
+          continue;
+        }
+
+        await sequelize.transaction(async (transaction) => {
+          await StoredFile.findOrCreate({
+            where: { filePath: asset.filePath },
+            defaults: { contentHash, fileSize: asset.fileSize },
+            transaction
+          });
+          await asset.update({ contentHash }, { transaction });
+        });
+        result.hashed += 1;
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new AssetDuplicateService();
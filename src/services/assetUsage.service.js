@@ -0,0 +1,118 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../db/models');
+
+// Tables linking an asset to its owner by asset_id
+const ASSOCIATIONS = [
+  { type: 'project', table: 'project_asset_associations', ownerTable: 'portfolio_projects', ownerKey: 'project_id', titleColumn: 'project_title' },
+  { type: 'article', table: 'article_asset_associations', ownerTable: 'article_publications', ownerKey: 'article_id', titleColumn: 'article_title' },
+  { type: 'service', table: 'service_asset_associations', ownerTable: 'professional_services', ownerKey: 'service_id', titleColumn: 'service_title' }
+];
+
+// Free-form image fields that may hold an asset's URL or storage key
+const IMAGE_REFERENCES = [
+  { type: 'project', table: 'portfolio_projects', idColumn: 'project_id', titleColumn: 'project_title', column: 'thumbnail_image', field: 'thumbnailImage' },
+  { type: 'article', table: 'article_publications', idColumn: 'article_id', titleColumn: 'article_title', column: 'featured_image', field: 'featuredImage' },
+  { type: 'account', table: 'professional_accounts', idColumn: 'account_id', titleColumn: 'username', column: 'profile_image', field: 'profileImage' },
+  { type: 'siteConfiguration', table: 'site_configuration', idColumn: 'config_id', titleColumn: 'site_name', column: 'logo_path', field: 'logoPath' },
+  { type: 'siteConfiguration', table: 'site_configuration', idColumn: 'config_id', titleColumn: 'site_name', column: 'favicon_path', field: 'faviconPath' }
+];
+
+/**
+ * SQL condition matching an image field that points at the asset aliased
+ * "da": by asset ID (API and transform URLs) or by its storage key without
+ * the extension, which also matches its variants and thumbnail
+ * @param {string} column - Qualified column name
+ * @returns {string} SQL condition
+ */
+function referencesAsset(column) {
+  return `(strpos(${column}, da.asset_id::text) > 0
+    OR strpos(${column}, regexp_replace(da.file_path, '\\.[^./]+$', '')) > 0)`;
+}
+
+/**
+ * Service answering where digital assets are used
+ */
+class AssetUsageService {
+  /**
+   * Every record using an asset, through an association table or an image field
+   * @param {string} assetId - Asset ID
+   * @returns {Promise<Array<Object>>} Usages with type, id, title and field ("association" for association rows)
+   */
+  async getUsages(assetId) {
+    const queries = [
+      ...ASSOCIATIONS.map(({ type, table, ownerTable, ownerKey, titleColumn }) => `
+        SELECT '${type}' AS "type", o.${ownerKey} AS "id", o.${titleColumn} AS "title", 'association' AS "field"
+        FROM ${table} a
+        JOIN ${ownerTable} o ON o.${ownerKey} = a.${ownerKey}
+        WHERE a.asset_id = :assetId`),
+      ...IMAGE_REFERENCES.map(({ type, table, idColumn, titleColumn, column, field }) => `
+        SELECT '${type}' AS "type", r.${idColumn} AS "id", r.${titleColumn} AS "title", '${field}' AS "field"
+        FROM ${table} r
+        JOIN digital_assets da ON da.asset_id = :assetId
+        WHERE ${referencesAsset(`r.${column}`)}`)
+    ];
+
+    return sequelize.query(`${queries.join('\n      UNION ALL')}
+      ORDER BY "type", "title"
+    `, {
+      replacements: { assetId },
+      type: QueryTypes.SELECT
+    });
+  }
+
+  /**
+   * Point image fields referencing one asset at another, matching them the
+   * way referencesAsset does: the asset ID and the storage key without its
+   * extension are both replaced
+   * @param {Object} from - DigitalAsset being replaced
+   * @param {Object} to - DigitalAsset taking its place
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<number>} Fields rewritten
+   */
+  async replaceReferences(from, to, transaction = null) {
+    const replacements = {
+      fromId: from.assetId,
+      toId: to.assetId,
+      fromKey: from.filePath.replace(/\.[^./]+$/, ''),
+      toKey: to.filePath.replace(/\.[^./]+$/, '')
+    };
+
+    let rewritten = 0;
+    for (const { table, column } of IMAGE_REFERENCES) {
+      rewritten += await sequelize.query(`
+        UPDATE ${table}
+        SET ${column} = replace(replace(${column}, :fromId, :toId), :fromKey, :toKey)
+        WHERE strpos(${column}, :fromId) > 0 OR strpos(${column}, :fromKey) > 0
+      `, {
+        replacements,
+        type: QueryTypes.BULKUPDATE,
+        transaction
+      });
+    }
+    return rewritten;
+  }
+
+  /**
+   * IDs of assets with no association and no image field pointing at them.
+   * Private assets are handed out through signed URLs rather than linked
+   * from content, so they are never orphans.
+   * @returns {Promise<Array<string>>} Asset IDs
+   */
+  async findOrphanIds() {
+    const conditions = [
+      'da.visibility <> \'private\'',
+      ...ASSOCIATIONS.map(({ table }) => `NOT EXISTS (SELECT 1 FROM ${table} a WHERE a.asset_id = da.asset_id)`),
+      ...IMAGE_REFERENCES.map(({ table, column }) => `NOT EXISTS (SELECT 1 FROM ${table} r WHERE ${referencesAsset(`r.${column}`)})`)
+    ];
+
+    const rows = await sequelize.query(`
+      SELECT da.asset_id AS "assetId"
+      FROM digital_assets da
+      WHERE ${conditions.join('\n        AND ')}
+    `, { type: QueryTypes.SELECT });
+
+    return rows.map(row => row.assetId);
+  }
+}
+
+module.exports = new AssetUsageService();
@@ -0,0 +1,397 @@
+const { Op } = require('sequelize');
+const { sequelize, models } = require('../db/models');
+const BaseRepository = require('../repositories/base.repository');
+const emailService = require('./email.service');
+const newsletterService = require('./newsletter.service');
+const { logger } = require('../middleware/logging.middleware');
+const { createHttpError } = require('../utils/businessHelpers');
+const config = require('../config');
+
+const {
+  NewsletterCampaign,
+  NewsletterDelivery,
+  NewsletterSubscriber,
+  ArticlePublication
+} = models;
+
+const ARTICLE_ATTRIBUTES = ['articleId', 'articleTitle', 'articleSlug', 'articleSummary', 'featuredImage', 'publicationDate'];
+
+/**
+ * Service for composing and sending newsletter campaigns
+ */
+class CampaignService {
+  constructor() {
+    this.repository = new BaseRepository(NewsletterCampaign);
+    // Campaign ID -> promise of the send running in this process
+    this.activeSends = new Map();
+  }
+
+  /**
+   * List campaigns, newest first
+   * @param {number} page - Page number
+   * @param {number} limit - Records per page
+   * @returns {Promise<Object>} Paginated campaigns
+   */
+  async listCampaigns(page = 1, limit = 20) {
+    return this.repository.findAll({
+      order: [['createdAt', 'DESC']]
+    }, page, limit);
+  }
+
+  /**
+   * Get a campaign with its articles and delivery counts
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object|null>} Campaign or null when not found
+   */
+  async getCampaign(campaignId) {
+    const campaign = await NewsletterCampaign.findByPk(campaignId);
+    if (!campaign) {
+      return null;
+    }
+
+    return {
+      ...campaign.toJSON(),
+      articles: await this.loadArticles(campaign.articleIds),
+      deliveries: await this.countDeliveries(campaignId)
+    };
+  }
+
+  /**
+   * Create a draft campaign from the articles published since the last issue
+   * @param {string} accountId - Creating account
+   * @param {Object} data - campaignSubject, introText, optional articlesSince and segment
+   * @returns {Promise<Object>} Created campaign with articles
+   */
+  async createCampaign(accountId, data) {
+    const targetSegment = await newsletterService.normalizeSegment(data.segment);
+    const articlesSince = data.articlesSince || await this.lastIssueDate();
+    const articles = await ArticlePublication.findAll({
+      where: {
+        publicationStatus: 'published',
+        publicationDate: { [Op.gt]: articlesSince }
+      },
+      attributes: ['articleId'],
+      order: [['publicationDate', 'DESC']]
+    });
+
+    const campaign = await NewsletterCampaign.create({
+      campaignSubject: data.campaignSubject,
+      introText: data.introText || null,
+      articlesSince,
+      articleIds: articles.map(article => article.articleId),
+      targetSegment,
+      createdBy: accountId
+    });
+
+    return this.getCampaign(campaign.campaignId);
+  }
+
+  /**
+   * Update a draft campaign
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} data - campaignSubject, introText, articleIds and/or segment
+   * @returns {Promise<Object|null>} Updated campaign or null when not found
+   */
+  async updateCampaign(campaignId, data) {
+    const campaign = await NewsletterCampaign.findByPk(campaignId);
+    if (!campaign) {
+      return null;
+    }
+    if (campaign.campaignStatus !== 'draft') {
+      throw createHttpError(409, 'Only draft campaigns can be edited');
+    }
+
+    const attributes = {};
+    ['campaignSubject', 'introText'].forEach(field => {
+      if (data[field] !== undefined) {
+        attributes[field] = data[field];
+      }
+    });
+
+    if (data.articleIds !== undefined) {
+      const articleIds = [...new Set(data.articleIds)];
+      const published = await ArticlePublication.count({
+        where: { articleId: articleIds, publicationStatus: 'published' }
+      });
+      if (published !== articleIds.length) {
+        throw createHttpError(400, 'Only published articles can be included');
+      }
+      attributes.articleIds = articleIds;
+    }
+
+    if (data.segment !== undefined) {
+      attributes.targetSegment = await newsletterService.normalizeSegment(data.segment);
+    }
+
+    await campaign.update(attributes);
+    return this.getCampaign(campaignId);
+  }
+
+  /**
+   * Delete a draft campaign
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<boolean>} Whether a campaign was deleted
+   */
+  async deleteCampaign(campaignId) {
+    const campaign = await NewsletterCampaign.findByPk(campaignId);
+    if (!campaign) {
+      return false;
+    }
+    if (campaign.campaignStatus !== 'draft') {
+      throw createHttpError(409, 'Only draft campaigns can be deleted');
+    }
+
+    await campaign.destroy();
+    return true;
+  }
+
+  /**
+   * Render a campaign as it will be sent
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object|null>} Subject, HTML and recipient count, or null when not found
+   */
+  async previewCampaign(campaignId) {
+    const campaign = await NewsletterCampaign.findByPk(campaignId);
+    if (!campaign) {
+      return null;
+    }
+
+    const articles = await this.loadArticles(campaign.articleIds);
+    const recipientCount = campaign.campaignStatus === 'draft'
+      ? await newsletterService.countSegment(campaign.targetSegment)
+      : await NewsletterDelivery.count({ where: { campaignId } });
+
+    return {
+      subject: campaign.campaignSubject,
+      html: emailService.renderNewsletterIssue(
+        campaign,
+        articles,
+        `${config.newsletter.unsubscribeUrl}?token=preview`,
+        `${config.newsletter.preferencesUrl}?token=preview`
+      ),
+      recipientCount
+    };
+  }
+
+  /**
+   * Start sending a campaign to its target segment. The recipient list is
+   * fixed on the first call; later calls resume a send that was interrupted.
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object|null>} Campaign with delivery counts, or null when not found
+   */
+  async sendCampaign(campaignId) {
+    const campaign = await sequelize.transaction(async (transaction) => {
+      const record = await NewsletterCampaign.findByPk(campaignId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!record) {
+        return null;
+      }
+      if (record.campaignStatus === 'sent') {
+        throw createHttpError(409, 'Campaign has already been sent');
+      }
+      if (!record.articleIds.length) {
+        throw createHttpError(400, 'Campaign has no articles');
+      }
+
+      if (record.campaignStatus === 'draft') {
+        const subscribers = await NewsletterSubscriber.findAll({
+          ...newsletterService.segmentQuery(record.targetSegment),
+          attributes: ['subscriberId'],
+          transaction
+        });
+        await NewsletterDelivery.bulkCreate(
+          subscribers.map(subscriber => ({ campaignId, subscriberId: subscriber.subscriberId })),
+          { ignoreDuplicates: true, transaction }
+        );
+        await record.update({ campaignStatus: 'sending', sendStartedAt: new Date() }, { transaction });
+      }
+
+      return record;
+    });
+
+    if (!campaign) {
+      return null;
+    }
+
+    this.startDelivery(campaignId);
+    return this.getCampaign(campaignId);
+  }
+
+  /**
+   * Run the delivery loop in the background unless it already runs here
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise} Running delivery
+   */
+  startDelivery(campaignId) {
+    if (!this.activeSends.has(campaignId)) {
+      const delivery = this.deliverCampaign(campaignId)
+        .catch(error => logger.error('Newsletter campaign send failed', { campaignId, error: error.message }))
+        .finally(() => this.activeSends.delete(campaignId));
+      this.activeSends.set(campaignId, delivery);
+    }
+    return this.activeSends.get(campaignId);
+  }
+
+  /**
+   * Send pending deliveries in throttled batches until none are left.
+   * Each delivery is claimed before its email goes out, so a crash can
+   * leave at most the in-flight emails unconfirmed and never resends them.
+   * @param {string} campaignId - Campaign ID
+   */
+  async deliverCampaign(campaignId) {
+    const campaign = await NewsletterCampaign.findByPk(campaignId);
+    const articles = await this.loadArticles(campaign.articleIds);
+
+    for (;;) {
+      const batch = await NewsletterDelivery.findAll({
+        where: { campaignId, deliveryStatus: 'pending' },
+        include: [{ model: NewsletterSubscriber, as: 'subscriber' }],
+        order: [['createdAt', 'ASC']],
+        limit: config.newsletter.batchSize
+      });
+      if (!batch.length) {
+        break;
+      }
+
+      for (const delivery of batch) {
+        await this.deliver(campaign, articles, delivery);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, config.newsletter.batchDelayMs));
+    }
+
+    await campaign.update({ campaignStatus: 'sent', sentAt: new Date() });
+    logger.info('Newsletter campaign sent', { campaignId, deliveries: await this.countDeliveries(campaignId) });
+  }
+
+  /**
+   * Claim and send one delivery
+   * @param {Object} campaign - Newsletter campaign
+   * @param {Array<Object>} articles - Campaign articles
+   * @param {Object} delivery - Pending delivery with its subscriber
+   */
+  async deliver(campaign, articles, delivery) {
+    const [claimed] = await NewsletterDelivery.update(
+      { deliveryStatus: 'sending', attemptCount: delivery.attemptCount + 1 },
+      { where: { deliveryId: delivery.deliveryId, deliveryStatus: 'pending' } }
+    );
+    if (!claimed) {
+      return;
+    }
+
+    const { subscriber } = delivery;
+    const where = { deliveryId: delivery.deliveryId };
+
+    // Subscribers who left after the send started are skipped
+    if (subscriber.subscriptionStatus !== 'active') {
+      await NewsletterDelivery.update(
+        { deliveryStatus: 'failed', lastError: `Subscriber is ${subscriber.subscriptionStatus}` },
+        { where }
+      );
+      return;
+    }
+
+    try {
+      await emailService.sendEmail({
+        to: subscriber.emailAddress,
+        subject: campaign.campaignSubject,
+        html: emailService.renderNewsletterIssue(
+          campaign,
+          articles,
+          newsletterService.unsubscribeUrl(subscriber),
+          newsletterService.preferencesUrl(subscriber)
+        ),
+        listUnsubscribe: newsletterService.oneClickUnsubscribeUrl(subscriber, campaign.campaignId)
+      });
+      await NewsletterDelivery.update({ deliveryStatus: 'sent', sentAt: new Date(), lastError: null }, { where });
+    } catch (error) {
+      const attempts = delivery.attemptCount + 1;
+      const retry = error.code !== 'EMAIL_SUPPRESSED' && attempts < config.newsletter.maxSendAttempts;
+      await NewsletterDelivery.update({
+        deliveryStatus: retry ? 'pending' : 'failed',
+        lastError: error.message
+      }, { where });
+    }
+  }
+
+  /**
+   * Resume campaigns left in 'sending' by a crash or restart. Deliveries
+   * stuck mid-send may already have gone out, so they are marked failed
+   * rather than sent twice.
+   * @returns {Promise<number>} Number of campaigns resumed
+   */
+  async resumeInterruptedSends() {
+    const campaigns = await NewsletterCampaign.findAll({
+      where: { campaignStatus: 'sending' },
+      attributes: ['campaignId']
+    });
+
+    for (const { campaignId } of campaigns) {
+      if (this.activeSends.has(campaignId)) {
+        continue;
+      }
+      await NewsletterDelivery.update(
+        { deliveryStatus: 'failed', lastError: 'Interrupted while sending; not retried to avoid a duplicate' },
+        { where: { campaignId, deliveryStatus: 'sending' } }
+      );
+      this.startDelivery(campaignId);
+    }
+
+    return campaigns.length;
+  }
+
+  /**
+   * When the last issue started sending, or the start of the initial
+   * lookback window when nothing has been sent yet
+   * @returns {Promise<Date>} Lower bound for new articles
+   */
+  async lastIssueDate() {
+    const lastIssue = await NewsletterCampaign.findOne({
+      where: { campaignStatus: { [Op.ne]: 'draft' } },
+      order: [['sendStartedAt', 'DESC']]
+    });
+
+    if (lastIssue) {
+      return lastIssue.sendStartedAt;
+    }
+    return new Date(Date.now() - config.newsletter.initialLookbackDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Load published articles in campaign order
+   * @param {Array<string>} articleIds - Article IDs
+   * @returns {Promise<Array>} Articles
+   */
+  async loadArticles(articleIds) {
+    if (!articleIds.length) {
+      return [];
+    }
+
+    const articles = await ArticlePublication.findAll({
+      where: { articleId: articleIds, publicationStatus: 'published' },
+      attributes: ARTICLE_ATTRIBUTES
+    });
+    const byId = new Map(articles.map(article => [article.articleId, article.toJSON()]));
+    return articleIds.map(articleId => byId.get(articleId)).filter(Boolean);
+  }
+
+  /**
+   * Count deliveries of a campaign by status
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} Counts keyed by delivery status
+   */
+  async countDeliveries(campaignId) {
+    const rows = await NewsletterDelivery.findAll({
+      where: { campaignId },
+      attributes: ['deliveryStatus', [sequelize.fn('COUNT', sequelize.col('delivery_id')), 'count']],
+      group: ['deliveryStatus'],
+      raw: true
+    });
+
+    return rows.reduce((counts, row) => {
+      counts[row.deliveryStatus] = parseInt(row.count, 10);
+      return counts;
+    }, { pending: 0, sending: 0, sent: 0, failed: 0 });
+  }
+}
+
+module.exports = new CampaignService();
@@ -0,0 +1,194 @@
+const { models } = require('../db/models');
+const categoryService = require('./category.service');
+const { createHttpError, resolveSlug } = require('../utils/businessHelpers');
+
+const { ProfessionalService, ContentCategory } = models;
+
+const EDITABLE_FIELDS = [
+  'categoryId',
+  'serviceTitle',
+  'serviceDescription',
+  'serviceOverview',
+  'priceRange',
+  'serviceFeatures',
+  'isFeatured',
+  'serviceIcon'
+];
+
+/**
+ * Allowed lifecycle transitions, keyed by action
+ */
+const STATUS_TRANSITIONS = {
+  activate: { from: ['inactive', 'archived'], to: 'active' },
+  deactivate: { from: ['active'], to: 'inactive' },
+  archive: { from: ['active', 'inactive'], to: 'archived' }
+};
+
+const CATEGORY_ATTRIBUTES = ['categoryId', 'categoryName', 'categorySlug', 'parentCategoryId', 'hierarchyLevel'];
+
+/**
+ * Service for managing the professional services catalog
+ */
+class CatalogService {
+  /**
+   * List services grouped by their service category
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.status - Service status (ignored for public listings)
+   * @param {boolean} filters.includeInactive - Whether non-active services may be returned
+   * @returns {Promise<Array>} Categories with their services
+   */
+  async listServicesByCategory(filters = {}) {
+    const where = {};
+    if (!filters.includeInactive) {
+      where.serviceStatus = 'active';
+    } else if (filters.status) {
+      where.serviceStatus = filters.status;
+    }
+
+    const categories = await ContentCategory.findAll({
+      where: { categoryType: 'service' },
+      attributes: CATEGORY_ATTRIBUTES,
+      include: [{
+        model: ProfessionalService,
+        as: 'services',
+        where,
+        required: true
+      }],
+      order: [
+        ['hierarchyLevel', 'ASC'],
+        ['categoryName', 'ASC'],
+        [{ model: ProfessionalService, as: 'services' }, 'isFeatured', 'DESC'],
+        [{ model: ProfessionalService, as: 'services' }, 'serviceTitle', 'ASC']
+      ]
+    });
+
+    return categories.map(category => {
+      const { services, ...details } = category.toJSON();
+      return { category: details, services };
+    });
+  }
+
+  /**
+   * List featured, active services
+   * @param {number} limit - Maximum number of services
+   * @returns {Promise<Array>} Featured services
+   */
+  async listFeaturedServices(limit = 6) {
+    return ProfessionalService.findAll({
+      where: { isFeatured: true, serviceStatus: 'active' },
+      include: [{ model: ContentCategory, as: 'category', attributes: CATEGORY_ATTRIBUTES }],
+      order: [['updatedAt', 'DESC']],
+      limit
+    });
+  }
+
+  /**
+   * Get a service by its slug
+   * @param {string} serviceSlug - Service slug
+   * @param {boolean} includeInactive - Whether non-active services may be returned
+   * @returns {Promise<Object|null>} Service or null
+   */
+  async getServiceBySlug(serviceSlug, includeInactive = false) {
+    const where = { serviceSlug };
+    if (!includeInactive) {
+      where.serviceStatus = 'active';
+    }
+
+    return ProfessionalService.findOne({
+      where,
+      include: [{ model: ContentCategory, as: 'category', attributes: CATEGORY_ATTRIBUTES }]
+    });
+  }
+
+  /**
+   * Create a service
+   * @param {Object} data - Service data
+   * @returns {Promise<Object>} Created service
+   */
+  async createService(data) {
+    const attributes = this.pickEditableFields(data);
+    await categoryService.assertCategoryType([attributes.categoryId], 'service');
+    attributes.serviceSlug = await resolveSlug(ProfessionalService, 'serviceSlug', {
+      requestedSlug: data.serviceSlug,
+      text: data.serviceTitle
+    });
+
+    return ProfessionalService.create(attributes);
+  }
+
+  /**
+   * Update a service. The status is changed through the lifecycle actions only.
+   * @param {string} serviceId - Service ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object|null>} Updated service or null when not found
+   */
+  async updateService(serviceId, data) {
+    const service = await ProfessionalService.findByPk(serviceId);
+    if (!service) {
+      return null;
+    }
+
+    const attributes = this.pickEditableFields(data);
+    if (attributes.categoryId && attributes.categoryId !== service.categoryId) {
+      await categoryService.assertCategoryType([attributes.categoryId], 'service');
+    }
+    if (data.serviceSlug !== undefined && data.serviceSlug !== service.serviceSlug) {
+      attributes.serviceSlug = await resolveSlug(ProfessionalService, 'serviceSlug', {
+        requestedSlug: data.serviceSlug,
+        exclude: { serviceId }
+      });
+    }
+
+    return service.update(attributes);
+  }
+
+  /**
+   * Apply a lifecycle action to a service
+   * @param {string} serviceId - Service ID
+   * @param {string} action - One of activate, deactivate or archive
+   * @returns {Promise<Object|null>} Updated service or null when not found
+   */
+  async transitionService(serviceId, action) {
+    const transition = STATUS_TRANSITIONS[action];
+    if (!transition) {
+      throw createHttpError(400, `Unknown service action: ${action}`);
+    }
+
+    const service = await ProfessionalService.findByPk(serviceId);
+    if (!service) {
+      return null;
+    }
+
+    if (!transition.from.includes(service.serviceStatus)) {
+      throw createHttpError(409, `Cannot ${action} a service that is ${service.serviceStatus}`);
+    }
+
+    return service.update({ serviceStatus: transition.to });
+  }
+
+  /**
+   * Delete a service
+   * @param {string} serviceId - Service ID
+   * @returns {Promise<boolean>} Whether a service was deleted
+   */
+  async deleteService(serviceId) {
+    const deleted = await ProfessionalService.destroy({ where: { serviceId } });
+    return deleted > 0;
+  }
+
+  /**
+   * Copy the editable attributes present in the payload
+   * @param {Object} data - Request payload
+   * @returns {Object} Model attributes
+   */
+  pickEditableFields(data) {
+    return EDITABLE_FIELDS.reduce((attributes, field) => {
+      if (data[field] !== undefined) {
+        attributes[field] = data[field];
+      }
+      return attributes;
+    }, {});
+  }
+}
+
+module.exports = new CatalogService();
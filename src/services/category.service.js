@@ -0,0 +1,296 @@
+const { sequelize, models } = require('../db/models');
+const { Op } = require('sequelize');
+const { guardedModels } = require('../db/categoryTypeGuard');
+const { createHttpError, resolveSlug } = require('../utils/businessHelpers');
+
+const { ContentCategory } = models;
+
+const CATEGORY_TYPES = ['project', 'article', 'service', 'expertise'];
+const MAX_HIERARCHY_LEVEL = 10;
+
+const TREE_ATTRIBUTES = ['categoryId', 'parentCategoryId', 'categoryName', 'categorySlug', 'categoryType', 'hierarchyLevel'];
+
+/**
+ * Service for the hierarchical content category tree
+ */
+class CategoryService {
+  /**
+   * Build the nested category tree for every category type
+   * @returns {Promise<Object>} Trees keyed by category type
+   */
+  async getTrees() {
+    const categories = await ContentCategory.findAll({
+      attributes: TREE_ATTRIBUTES,
+      order: [['hierarchyLevel', 'ASC'], ['categoryName', 'ASC']],
+      raw: true
+    });
+
+    return CATEGORY_TYPES.reduce((trees, type) => {
+      trees[type] = this.buildTree(categories.filter(category => category.categoryType === type));
+      return trees;
+    }, {});
+  }
+
+  /**
+   * Build the nested category tree for one category type
+   * @param {string} categoryType - Category type
+   * @returns {Promise<Array>} Root categories with nested children
+   */
+  async getTree(categoryType) {
+    const categories = await ContentCategory.findAll({
+      where: { categoryType },
+      attributes: TREE_ATTRIBUTES,
+      order: [['hierarchyLevel', 'ASC'], ['categoryName', 'ASC']],
+      raw: true
+    });
+
+    return this.buildTree(categories);
+  }
+
+  /**
+   * Create a category, optionally below a parent of the same type
+   * @param {Object} data - Category data
+   * @returns {Promise<Object>} Created category
+   */
+  async createCategory(data) {
+    let hierarchyLevel = 0;
+
+    if (data.parentCategoryId) {
+      const parent = await ContentCategory.findByPk(data.parentCategoryId);
+      if (!parent) {
+        throw createHttpError(400, 'Parent category does not exist');
+      }
+      if (parent.categoryType !== data.categoryType) {
+        throw createHttpError(400, 'Parent category must have the same category type');
+      }
+      hierarchyLevel = parent.hierarchyLevel + 1;
+      if (hierarchyLevel > MAX_HIERARCHY_LEVEL) {
+        throw createHttpError(400, `Category depth cannot exceed ${MAX_HIERARCHY_LEVEL}`);
+      }
+    }
+
+    const categorySlug = await resolveSlug(ContentCategory, 'categorySlug', {
+      requestedSlug: data.categorySlug,
+      text: data.categoryName
+    });
+
+    return ContentCategory.create({
+      categoryName: data.categoryName,
+      categorySlug,
+      categoryType: data.categoryType,
+      parentCategoryId: data.parentCategoryId || null,
+      hierarchyLevel
+    });
+  }
+
+  /**
+   * Move a category and its subtree below a new parent (or to the root)
+   * and recompute hierarchyLevel for every descendant
+   * @param {string} categoryId - Category to move
+   * @param {string|null} newParentId - New parent category ID, null for root
+   * @returns {Promise<Object|null>} Moved subtree or null when the category is unknown
+   */
+  async moveCategory(categoryId, newParentId) {
+    return sequelize.transaction(async (transaction) => {
+      const categories = await ContentCategory.findAll({
+        attributes: TREE_ATTRIBUTES,
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      const byId = new Map(categories.map(category => [category.categoryId, category]));
+
+      const category = byId.get(categoryId);
+      if (!category) {
+        return null;
+      }
+
+      const subtree = this.collectSubtree(category, categories);
+      let baseLevel = 0;
+
+      if (newParentId) {
+        const parent = byId.get(newParentId);
+        if (!parent) {
+          throw createHttpError(400, 'Parent category does not exist');
+        }
+        if (parent.categoryType !== category.categoryType) {
+          throw createHttpError(400, 'Parent category must have the same category type');
+        }
+        if (subtree.some(node => node.category.categoryId === newParentId)) {
+          throw createHttpError(409, 'A category cannot be moved below itself or one of its descendants');
+        }
+        baseLevel = parent.hierarchyLevel + 1;
+      }
+
+      const deepest = Math.max(...subtree.map(node => node.depth));
+      if (baseLevel + deepest > MAX_HIERARCHY_LEVEL) {
+        throw createHttpError(400, `Category depth cannot exceed ${MAX_HIERARCHY_LEVEL}`);
+      }
+
+      // Parents are updated before their children so the depth trigger sees final levels
+      for (const node of subtree) {
+        const changes = { hierarchyLevel: baseLevel + node.depth };
+        if (node.category.categoryId === categoryId) {
+          changes.parentCategoryId = newParentId || null;
+        }
+        await node.category.update(changes, { transaction });
+      }
+
+      return this.buildTree(subtree.map(node => node.category.get({ plain: true })), categoryId)[0];
+    });
+  }
+
+  /**
+   * Ensure every category exists and has the expected type
+   * @param {Array<string>} categoryIds - Category IDs
+   * @param {string} categoryType - Expected category type
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async assertCategoryType(categoryIds, categoryType, transaction) {
+    const uniqueIds = [...new Set(categoryIds)];
+    const categories = await ContentCategory.findAll({
+      where: { categoryId: uniqueIds },
+      attributes: ['categoryId', 'categoryType'],
+      transaction
+    });
+
+    if (categories.length !== uniqueIds.length) {
+      throw createHttpError(400, 'One or more categories do not exist');
+    }
+    if (categories.some(category => category.categoryType !== categoryType)) {
+      throw createHttpError(400, `Only ${categoryType} categories can be assigned`);
+    }
+  }
+
+  /**
+   * Report rows whose category has the wrong type for the table
+   * @returns {Promise<Object>} Mismatched rows grouped by model
+   */
+  async getTypeMismatches() {
+    const report = [];
+
+    for (const { model, categoryType, onMismatch } of guardedModels) {
+      const wrongCategories = await ContentCategory.findAll({
+        where: { categoryType: { [Op.ne]: categoryType } },
+        attributes: ['categoryId', 'categoryName', 'categorySlug', 'categoryType'],
+        raw: true
+      });
+      const categoriesById = new Map(wrongCategories.map(category => [category.categoryId, category]));
+
+      const rows = wrongCategories.length
+        ? await model.findAll({ where: { categoryId: [...categoriesById.keys()] } })
+        : [];
+
+      report.push({
+        model: model.name,
+        expectedType: categoryType,
+        fix: onMismatch,
+        rows: rows.map(row => ({ ...row.toJSON(), category: categoriesById.get(row.categoryId) }))
+      });
+    }
+
+    return {
+      total: report.reduce((sum, entry) => sum + entry.rows.length, 0),
+      models: report
+    };
+  }
+
+  /**
+   * Fix rows whose category has the wrong type. Assignment rows are removed;
+   * rows that must keep a category are moved to the given replacement category.
+   * @param {Object} options - Options
+   * @param {Array<string>} options.modelNames - Limit the fix to these models
+   * @param {Object} options.reassignTo - Replacement category ID keyed by category type
+   * @returns {Promise<Object>} Counts of removed, reassigned and skipped rows per model
+   */
+  async fixTypeMismatches({ modelNames = null, reassignTo = {} } = {}) {
+    return sequelize.transaction(async (transaction) => {
+      const result = { removed: {}, reassigned: {}, skipped: {} };
+
+      for (const { model, categoryType, onMismatch } of guardedModels) {
+        if (modelNames && !modelNames.includes(model.name)) {
+          continue;
+        }
+
+        const wrongCategories = await ContentCategory.findAll({
+          where: { categoryType: { [Op.ne]: categoryType } },
+          attributes: ['categoryId'],
+          transaction
+        });
+        const wrongIds = wrongCategories.map(category => category.categoryId);
+        if (!wrongIds.length) {
+          continue;
+        }
+
+        const where = { categoryId: wrongIds };
+
+        if (onMismatch === 'remove') {
+          result.removed[model.name] = await model.destroy({ where, transaction });
+        } else if (reassignTo[categoryType]) {
+          await this.assertCategoryType([reassignTo[categoryType]], categoryType, transaction);
+          const [count] = await model.update({ categoryId: reassignTo[categoryType] }, { where, transaction });
+          result.reassigned[model.name] = count;
+        } else {
+          result.skipped[model.name] = await model.count({ where, transaction });
+        }
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Collect a category and its descendants in breadth-first order
+   * @param {Object} root - Root category
+   * @param {Array<Object>} categories - All categories
+   * @returns {Array<Object>} Nodes with category and depth relative to root
+   */
+  collectSubtree(root, categories) {
+    const childrenByParent = new Map();
+    categories.forEach(category => {
+      if (!childrenByParent.has(category.parentCategoryId)) {
+        childrenByParent.set(category.parentCategoryId, []);
+      }
+      childrenByParent.get(category.parentCategoryId).push(category);
+    });
+
+    const nodes = [{ category: root, depth: 0 }];
+    const visited = new Set([root.categoryId]);
+
+    for (let index = 0; index < nodes.length; index += 1) {
+      const { category, depth } = nodes[index];
+      (childrenByParent.get(category.categoryId) || []).forEach(child => {
+        if (!visited.has(child.categoryId)) {
+          visited.add(child.categoryId);
+          nodes.push({ category: child, depth: depth + 1 });
+        }
+      });
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Nest flat category rows into a tree
+   * @param {Array<Object>} categories - Plain category rows
+   * @param {string} rootId - Treat this category as the only root
+   * @returns {Array<Object>} Root categories with children arrays
+   */
+  buildTree(categories, rootId = null) {
+    const nodes = new Map(categories.map(category => [category.categoryId, { ...category, children: [] }]));
+    const roots = [];
+
+    nodes.forEach(node => {
+      const parent = node.categoryId !== rootId ? nodes.get(node.parentCategoryId) : null;
+      if (parent) {
+        parent.children.push(node);
+      } else if (!rootId || node.categoryId === rootId) {
+        roots.push(node);
+      }
+    });
+
+    return roots;
+  }
+}
+
+module.exports = new CategoryService();
+module.exports.CATEGORY_TYPES = CATEGORY_TYPES;
@@ -0,0 +1,509 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize, models } = require('../db/models');
+const BaseRepository = require('../repositories/base.repository');
+const storageService = require('./storageService');
+const imageVariantService = require('./imageVariant.service');
+const imageTransformService = require('./imageTransform.service');
+const assetUsageService = require('./assetUsage.service');
+const { logger } = require('../middleware/logging.middleware');
+const { detectFileTypeFromFile } = require('../utils/fileType');
+const { createHttpError } = require('../utils/businessHelpers');
+const config = require('../config');
+
+const { DigitalAsset, AssetVariant, StoredFile, ProfessionalAccount } = models;
+const { IMMUTABLE_CACHE_CONTROL, PRIVATE_KEY_PREFIX } = storageService;
+
+const ASSET_CATEGORIES = Object.keys(config.storage.maxFileSize);
+const CATEGORY_MIME_PREFIXES = {
+  image: 'image/',
+  video: 'video/',
+  audio: 'audio/',
+  document: 'application/'
+};
+const VARIANT_INCLUDE = { model: AssetVariant, as: 'variants' };
+const ASSET_VISIBILITIES = ['public', 'private'];
+// Top-level storage prefix per visibility; only private/ requires a signed URL
+const VISIBILITY_KEY_PREFIXES = {
+  public: 'assets',
+  private: PRIVATE_KEY_PREFIX
+};
+const DISPOSITIONS = ['inline', 'attachment'];
+
+/**
+ * Service for uploaded digital assets
+ */
+class DigitalAssetService {
+  constructor() {
+    this.repository = new BaseRepository(DigitalAsset);
+  }
+
+  /**
+   * Store an uploaded file and create its asset row. The type comes from the
+   * file's magic bytes, never from the client's name or Content-Type. When
+   * identical content is already stored with the same visibility, the new
+   * asset shares that file (and its variants) instead of storing a copy.
+   * Images also get their responsive variants; a failure there is logged
+   * and leaves the original usable.
+   * @param {string} accountId - Uploading account
+   * @param {Object} file - Multer file written to a temporary path, with its sha256 when hashed on upload
+   * @param {Object} data - Optional assetName, alternativeText and visibility
+   * @returns {Promise<Object>} Created asset
+   */
+  async createAsset(accountId, file, data = {}) {
+    const fileType = await detectFileTypeFromFile(file.path);
+    if (!fileType) {
+      throw createHttpError(415, 'Unsupported file type');
+    }
+
+    const maxSize = config.storage.maxFileSize[fileType.category];
+    if (file.size > maxSize) {
+      throw createHttpError(413, `${fileType.category} files may be at most ${Math.round(maxSize / 1024)} KB`);
+    }
+
+    const assetId = uuidv4();
+    const visibility = data.visibility || 'public';
+    const contentHash = file.sha256 || await this.hashStream(fs.createReadStream(file.path));
+
+    // Set once the file is in storage, so a transaction that fails to commit can remove it
+    let writtenKey = null;
+    let result;
+    try {
+      result = await sequelize.transaction(async (transaction) => {
+        // Serialise uploads per account so concurrent uploads cannot overrun the quota
+        await ProfessionalAccount.findByPk(accountId, { transaction, lock: transaction.LOCK.UPDATE });
+        const usedBytes = await this.usedBytes(accountId, transaction);
+        if (usedBytes + file.size > config.storage.accountQuota) {
+          throw createHttpError(413, 'Storage quota exceeded');
+        }
+
+        // Locked so a concurrent delete cannot release the file we are about to share
+        const stored = await StoredFile.findOne({
+          where: {
+            contentHash,
+            fileSize: file.size,
+            filePath: { [Op.startsWith]: `${VISIBILITY_KEY_PREFIXES[visibility]}/` }
+          },
+          order: [['createdAt', 'ASC']],
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+        const filePath = stored ? stored.filePath : this.buildStorageKey(assetId, fileType.extension, visibility);
+
+        const created = await DigitalAsset.create({
+          assetId,
+          uploadedBy: accountId,
+          assetName: data.assetName || this.defaultAssetName(file.originalname),
+          fileName: path.basename(file.originalname).slice(0, 255),
+          mimeType: fileType.mimeType,
+          fileSize: file.size,
+          filePath,
+          contentHash,
+          alternativeText: data.alternativeText || null,
+          visibility
+        }, { transaction });
+
+        if (stored) {
+          await stored.increment('referenceCount', { transaction });
+          return { asset: created, reused: true };
+        }
+
+        await StoredFile.create({ filePath, contentHash, fileSize: file.size }, { transaction });
+        // Moved last so a failed insert leaves nothing behind in storage
+        await storageService.putFile(filePath, file.path, {
+          contentType: fileType.mimeType,
+          cacheControl: IMMUTABLE_CACHE_CONTROL
+        });
+        writtenKey = filePath;
+        return { asset: created, reused: false };
+      });
+    } catch (error) {
+      if (writtenKey) {
+        await storageService.delete(writtenKey);
+      }
+      throw error;
+    }
+    const { asset, reused } = result;
+
+    if (imageVariantService.supports(asset.mimeType)) {
+      try {
+        const copied = reused && await this.copyVariants(asset);
+        if (!copied) {
+          await imageVariantService.generateVariants(asset);
+        }
+      } catch (error) {
+        logger.error('Image variant generation failed', { assetId, error: error.message });
+      }
+    }
+
+    return asset.reload({ include: [VARIANT_INCLUDE] });
+  }
+
+  /**
+   * Give an asset that shares its file the variants already made for that file
+   * @param {Object} asset - New DigitalAsset
+   * @returns {Promise<boolean>} Whether variants were found to copy
+   */
+  async copyVariants(asset) {
+    const sibling = await DigitalAsset.findOne({
+      where: { filePath: asset.filePath, assetId: { [Op.ne]: asset.assetId } },
+      include: [{ ...VARIANT_INCLUDE, required: true }]
+    });
+    if (!sibling) {
+      return false;
+    }
+
+    await AssetVariant.bulkCreate(sibling.variants.map(variant => ({
+      assetId: asset.assetId,
+      variantName: variant.variantName,
+      format: variant.format,
+      width: variant.width,
+      height: variant.height,
+      fileSize: variant.fileSize,
+      filePath: variant.filePath
+    })));
+    await asset.update({ thumbnailPath: sibling.thumbnailPath });
+    return true;
+  }
+
+  /**
+   * List assets
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.uploadedBy - Only assets of this account
+   * @param {string} filters.category - image, video, audio or document
+   * @param {string} filters.search - Part of the asset or file name
+   * @param {number} page - Page number
+   * @param {number} limit - Records per page
+   * @returns {Promise<Object>} Paginated assets
+   */
+  async listAssets(filters = {}, page = 1, limit = 20) {
+    const where = {};
+    if (filters.uploadedBy) {
+      where.uploadedBy = filters.uploadedBy;
+    }
+    if (filters.category) {
+      where.mimeType = { [Op.startsWith]: CATEGORY_MIME_PREFIXES[filters.category] };
+    }
+    if (filters.search) {
+      const pattern = `%${filters.search.replace(/[\\%_]/g, '\\$&')}%`;
+      where[Op.or] = [
+        { assetName: { [Op.iLike]: pattern } },
+        { fileName: { [Op.iLike]: pattern } }
+      ];
+    }
+
+    return this.repository.findAll({
+      where,
+      include: [VARIANT_INCLUDE],
+      distinct: true,
+      order: [['createdAt', 'DESC']]
+    }, page, limit);
+  }
+
+  /**
+   * Get an asset the viewer may access
+   * @param {string} assetId - Asset ID
+   * @param {Object} viewer - accountId and isAdmin of the requester
+   * @returns {Promise<Object|null>} Asset or null when missing or not accessible
+   */
+  async getAsset(assetId, viewer) {
+    const asset = await DigitalAsset.findByPk(assetId, { include: [VARIANT_INCLUDE] });
+    if (!asset || (!viewer.isAdmin && asset.uploadedBy !== viewer.accountId)) {
+      return null;
+    }
+    return asset;
+  }
+
+  /**
+   * Update an asset's name, alternative text or visibility
+   * @param {string} assetId - Asset ID
+   * @param {Object} viewer - accountId and isAdmin of the requester
+   * @param {Object} data - assetName, alternativeText and/or visibility
+   * @returns {Promise<Object|null>} Updated asset or null when not accessible
+   */
+  async updateAsset(assetId, viewer, data) {
+    const asset = await this.getAsset(assetId, viewer);
+    if (!asset) {
+      return null;
+    }
+
+    if (data.visibility && data.visibility !== asset.visibility) {
+      await this.changeVisibility(asset, data.visibility);
+    }
+
+    const attributes = {};
+    ['assetName', 'alternativeText'].forEach(field => {
+      if (data[field] !== undefined) {
+        attributes[field] = data[field];
+      }
+    });
+
+    return asset.update(attributes);
+  }
+
+  /**
+   * Delete an asset the viewer may access. An asset still in use is only
+   * deleted when forced; otherwise a 409 error carries its usages.
+   * @param {string} assetId - Asset ID
+   * @param {Object} viewer - accountId and isAdmin of the requester
+   * @param {Object} options - Delete options
+   * @param {boolean} options.force - Delete even when the asset is in use
+   * @returns {Promise<boolean>} Whether an asset was deleted
+   */
+  async deleteAsset(assetId, viewer, { force = false } = {}) {
+    const asset = await this.getAsset(assetId, viewer);
+    if (!asset) {
+      return false;
+    }
+
+    if (!force) {
+      const usages = await assetUsageService.getUsages(assetId);
+      if (usages.length) {
+        const error = createHttpError(409, 'Asset is in use');
+        error.usages = usages;
+        throw error;
+      }
+    }
+
+    await this.destroyAsset(asset);
+    return true;
+  }
+
+  /**
+   * Where an asset the viewer may access is used
+   * @param {string} assetId - Asset ID
+   * @param {Object} viewer - accountId and isAdmin of the requester
+   * @returns {Promise<Array<Object>|null>} Usages, or null when the asset is not accessible
+   */
+  async getAssetUsages(assetId, viewer) {
+    const asset = await this.getAsset(assetId, viewer);
+    if (!asset) {
+      return null;
+    }
+    return assetUsageService.getUsages(assetId);
+  }
+
+  /**
+   * Move an asset's file and variants under the prefix of another
+   * visibility. The asset gets its own copy, so assets sharing the old file
+   * keep theirs; cached derivatives are dropped as transformations only
+   * serve public assets.
+   * @param {Object} asset - DigitalAsset loaded with its variants
+   * @param {string} visibility - public or private
+   * @returns {Promise<void>}
+   */
+  async changeVisibility(asset, visibility) {
+    const oldBaseKey = asset.filePath.replace(/\.[^./]+$/, '');
+    // A fresh name: a file previously stored under this asset's ID may still be shared
+    const filePath = this.buildStorageKey(uuidv4(), path.extname(asset.filePath).slice(1), visibility);
+    const baseKey = filePath.replace(/\.[^./]+$/, '');
+    const moveKey = key => `${baseKey}${key.slice(oldBaseKey.length)}`;
+    const oldFiles = [asset.filePath, ...asset.variants.map(variant => variant.filePath)];
+
+    const copied = [];
+    let released;
+    try {
+      for (const key of oldFiles) {
+        await storageService.copy(key, moveKey(key));
+        copied.push(moveKey(key));
+      }
+      const contentHash = asset.contentHash || await this.hashStream(storageService.getStream(filePath));
+
+      released = await sequelize.transaction(async (transaction) => {
+        await StoredFile.create({ filePath, contentHash, fileSize: asset.fileSize }, { transaction });
+        for (const variant of asset.variants) {
+          await variant.update({ filePath: moveKey(variant.filePath) }, { transaction });
+        }
+        const wasReleased = await this.releaseStoredFile(asset.filePath, transaction);
+        await asset.update({
+          filePath,
+          contentHash,
+          visibility,
+          thumbnailPath: asset.thumbnailPath && moveKey(asset.thumbnailPath)
+        }, { transaction });
+        return wasReleased;
+      });
+    } catch (error) {
+      for (const key of copied) {
+        await storageService.delete(key);
+      }
+      throw error;
+    }
+
+    if (released) {
+      for (const key of oldFiles) {
+        await storageService.delete(key);
+      }
+    }
+    await storageService.deletePrefix(imageTransformService.derivativePrefix(asset.assetId));
+  }
+
+  /**
+   * Drop one asset's reference to a stored file
+   * @param {string} filePath - Storage key of the file
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<boolean>} Whether no asset uses the file any more
+   */
+  async releaseStoredFile(filePath, transaction) {
+    const stored = await StoredFile.findByPk(filePath, { transaction, lock: transaction.LOCK.UPDATE });
+
+    // Assets from before content hashing own their file outright
+    if (!stored) {
+      return true;
+    }
+    if (stored.referenceCount > 1) {
+      await stored.decrement('referenceCount', { transaction });
+      return false;
+    }
+    await stored.destroy({ transaction });
+    return true;
+  }
+
+  /**
+   * Delete an asset row and its cached derivatives, and release its stored
+   * file. The file and its variants are removed once no asset uses them.
+   * @param {Object} asset - DigitalAsset loaded with its variants
+   * @returns {Promise<void>}
+   */
+  async destroyAsset(asset) {
+    const released = await sequelize.transaction(async (transaction) => {
+      const wasReleased = await this.releaseStoredFile(asset.filePath, transaction);
+      await asset.destroy({ transaction });
+      return wasReleased;
+    });
+
+    if (released) {
+      await storageService.delete(asset.filePath);
+      await imageVariantService.removeFiles(asset.variants);
+    }
+    await storageService.deletePrefix(imageTransformService.derivativePrefix(asset.assetId));
+  }
+
+  /**
+   * Asset as returned by the API, with file URLs and a srcset per variant
+   * format. Files of private assets get signed URLs with the default lifetime.
+   * @param {Object} asset - DigitalAsset instance loaded with its variants
+   * @returns {Object} Plain asset
+   */
+  serialize(asset) {
+    const { variants = [], ...data } = asset.toJSON();
+    const expiresAt = new Date(Date.now() + config.storage.signedUrls.defaultTtl * 1000);
+    const fileUrl = key => (asset.visibility === 'private'
+      ? storageService.signedUrl(key, { expiresAt })
+      : storageService.publicUrl(key));
+    const withUrls = variants.map(variant => ({ ...variant, url: fileUrl(variant.filePath) }));
+
+    return {
+      ...data,
+      url: fileUrl(asset.filePath),
+      thumbnailUrl: asset.thumbnailPath ? fileUrl(asset.thumbnailPath) : null,
+      srcset: imageVariantService.buildSrcset(withUrls),
+      variants: withUrls
+    };
+  }
+
+  /**
+   * Expiring URL of an asset's file the viewer may access, for sharing a
+   * private asset or forcing a download
+   * @param {string} assetId - Asset ID
+   * @param {Object} viewer - accountId and isAdmin of the requester
+   * @param {Object} options - URL options
+   * @param {number} options.expiresIn - Lifetime in seconds; defaults to the configured one
+   * @param {string} options.disposition - inline or attachment
+   * @returns {Promise<Object|null>} url and expiresAt, or null when the asset is not accessible
+   */
+  async createSignedUrl(assetId, viewer, { expiresIn, disposition } = {}) {
+    const asset = await this.getAsset(assetId, viewer);
+    if (!asset) {
+      return null;
+    }
+
+    const expiresAt = new Date(Date.now() + (expiresIn || config.storage.signedUrls.defaultTtl) * 1000);
+    const url = storageService.signedUrl(asset.filePath, {
+      expiresAt,
+      contentType: asset.mimeType,
+      contentDisposition: disposition ? this.contentDisposition(disposition, asset.fileName) : undefined
+    });
+    return { url, expiresAt };
+  }
+
+  /**
+   * Content-Disposition header value naming the original file; the plain
+   * filename is an ASCII fallback for clients without RFC 6266 support
+   * @param {string} disposition - inline or attachment
+   * @param {string} fileName - Original file name
+   * @returns {string} Header value
+   */
+  contentDisposition(disposition, fileName) {
+    const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encoded = encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+  }
+
+  /**
+   * Storage used by an account against its quota
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object>} usedBytes, quotaBytes and remainingBytes
+   */
+  async getUsage(accountId) {
+    const usedBytes = await this.usedBytes(accountId);
+    const quotaBytes = config.storage.accountQuota;
+    return { usedBytes, quotaBytes, remainingBytes: Math.max(quotaBytes - usedBytes, 0) };
+  }
+
+  /**
+   * Total size of an account's assets
+   * @param {string} accountId - Account ID
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<number>} Bytes
+   */
+  async usedBytes(accountId, transaction = null) {
+    const total = await DigitalAsset.sum('fileSize', { where: { uploadedBy: accountId }, transaction });
+    return total || 0;
+  }
+
+  /**
+   * Hex SHA-256 of a stream's content
+   * @param {Object} stream - Readable stream
+   * @returns {Promise<string>} Digest
+   */
+  async hashStream(stream) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of stream) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Storage key of an asset's file, under its visibility's prefix and
+   * grouped by month
+   * @param {string} assetId - Asset ID, or another unique file name
+   * @param {string} extension - Extension of the detected type
+   * @param {string} visibility - public or private
+   * @returns {string} Relative storage key
+   */
+  buildStorageKey(assetId, extension, visibility = 'public') {
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+    return `${VISIBILITY_KEY_PREFIXES[visibility]}/${now.getUTCFullYear()}/${month}/${assetId}.${extension}`;
+  }
+
+  /**
+   * Asset name derived from an uploaded file name
+   * @param {string} originalName - Client file name
+   * @returns {string} Asset name
+   */
+  defaultAssetName(originalName) {
+    const baseName = path.basename(originalName, path.extname(originalName));
+    return (baseName || 'Untitled asset').slice(0, 255);
+  }
+}
+
+module.exports = new DigitalAssetService();
+module.exports.ASSET_CATEGORIES = ASSET_CATEGORIES;
+module.exports.ASSET_VISIBILITIES = ASSET_VISIBILITIES;
+module.exports.DISPOSITIONS = DISPOSITIONS;
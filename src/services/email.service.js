@@ -1,12 +1,42 @@
+const fs = require('fs');
+const path = require('path');
 const nodemailer = require('nodemailer');
+const { models } = require('../db/models');
+const { createHttpError, escapeHtml } = require('../utils/businessHelpers');
+const { unescapeAngleBrackets } = require('../middleware/sanitization.middleware');
 const config = require('../config');
 
+const { EmailSuppression } = models;
+
+/**
+ * Escape a stored text field for an HTML email. Fields saved through the API
+ * arrive with their angle brackets already escaped by the request
+ * sanitizers, inbound mail is stored as received; both come out escaped once.
+ * @param {string} value - Stored value
+ * @returns {string} HTML-safe text
+ */
+function escapeField(value) {
+  return escapeHtml(unescapeAngleBrackets(value));
+}
+
 /**
  * Email service for sending various emails
  */
 class EmailService {
   constructor() {
-    this.transporter = nodemailer.createTransport({
+    this.transporter = this.createTransporter();
+  }
+
+  /**
+   * Create the nodemailer transport selected by config.email.transport
+   * @returns {Object} Nodemailer transporter
+   */
+  createTransporter() {
+    if (config.email.transport === 'json') {
+      return nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    return nodemailer.createTransport({
       host: config.email.host,
       port: config.email.port,
       secure: config.email.secure,
@@ -20,24 +50,111 @@ class EmailService {
   /**
    * Send an email
    * @param {Object} options - Email options
+   * @param {string|Array<string>} options.to - Recipient(s)
+   * @param {string} options.subject - Subject line
+   * @param {string} options.html - HTML body
+   * @param {string} options.text - Optional plain text body
+   * @param {string} options.replyTo - Optional Reply-To address
+   * @param {string} options.messageId - Optional Message-ID header
+   * @param {string} options.inReplyTo - Optional In-Reply-To header
+   * @param {Array<string>} options.references - Optional References header
+   * @param {Object} options.headers - Optional extra headers
+   * @param {string} options.listUnsubscribe - One-click unsubscribe URL, required on bulk mail
    * @returns {Promise<Object>} Send result
    */
   async sendEmail(options) {
     try {
+      // Hard-bounced and complaining addresses are dropped; if nobody is left the send fails
+      const recipients = await this.withoutSuppressed(options.to);
+      if (!recipients.length) {
+        const error = createHttpError(422, 'Recipient address is on the suppression list');
+        error.code = 'EMAIL_SUPPRESSED';
+        throw error;
+      }
+
       const mailOptions = {
         from: `"${config.email.fromName}" <${config.email.fromEmail}>`,
-        to: options.to,
+        to: recipients,
         subject: options.subject,
         html: options.html
       };
 
-      return await this.transporter.sendMail(mailOptions);
+      ['text', 'replyTo', 'messageId', 'inReplyTo', 'references', 'headers'].forEach(option => {
+        if (options[option]) {
+          mailOptions[option] = options[option];
+        }
+      });
+
+      if (options.listUnsubscribe) {
+        // RFC 8058: mail clients POST "List-Unsubscribe=One-Click" to this URL
+        mailOptions.headers = {
+          ...mailOptions.headers,
+          'List-Unsubscribe': `<${options.listUnsubscribe}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        };
+      }
+
+      const info = await this.transporter.sendMail(mailOptions);
+
+      if (config.email.transport === 'json' && config.email.outboxDir) {
+        await this.writeToOutbox(info);
+      }
+
+      return info;
     } catch (error) {
-      console.error('Email sending error:', error);
+      if (error.code !== 'EMAIL_SUPPRESSED') {
+        console.error('Email sending error:', error);
+      }
       throw error;
     }
   }
 
+  /**
+   * Remove suppressed addresses from a recipient list
+   * @param {string|Array<string>} to - Recipient(s), plain or "Name <address>"
+   * @returns {Promise<Array<string>>} Recipients that may be mailed
+   */
+  async withoutSuppressed(to) {
+    const recipients = (Array.isArray(to) ? to : String(to).split(','))
+      .map(recipient => recipient.trim())
+      .filter(Boolean);
+    const addressOf = recipient => {
+      const match = recipient.match(/<([^>]+)>/);
+      return (match ? match[1] : recipient).trim().toLowerCase();
+    };
+
+    const suppressed = await EmailSuppression.findAll({
+      where: { emailAddress: recipients.map(addressOf) },
+      attributes: ['emailAddress']
+    });
+    if (!suppressed.length) {
+      return recipients;
+    }
+
+    const suppressedAddresses = new Set(suppressed.map(suppression => suppression.emailAddress));
+    return recipients.filter(recipient => !suppressedAddresses.has(addressOf(recipient)));
+  }
+
+  /**
+   * Write a message rendered by the json transport to the outbox directory
+   * @param {Object} info - Nodemailer send result
+   */
+  async writeToOutbox(info) {
+    await fs.promises.mkdir(config.email.outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.@-]/g, '')}.json`;
+    await fs.promises.writeFile(path.join(config.email.outboxDir, fileName), info.message);
+  }
+
+  /**
+   * Build a Message-ID for an outgoing message
+   * @param {string} localPart - Unique local part
+   * @returns {string} Message-ID including angle brackets
+   */
+  createMessageId(localPart) {
+    const domain = config.email.fromEmail.split('@')[1] || 'localhost';
+    return `<${localPart}@${domain}>`;
+  }
+
   /**
    * Send password reset email
    * @param {string} email - Recipient email
@@ -61,6 +178,84 @@ class EmailService {
 
     return this.sendEmail({ to: email, subject, html });
   }
+
+  /**
+   * Send a reminder that an inquiry's follow-up date has passed without a reply
+   * @param {string|Array<string>} email - Recipient email(s)
+   * @param {Object} inquiry - Client inquiry
+   * @param {string} inquiryUrl - Admin URL of the inquiry
+   * @returns {Promise<Object>} Send result
+   */
+  async sendInquiryFollowUpReminder(email, inquiry, inquiryUrl) {
+    const subject = `${config.app.name} - Follow up: ${inquiry.inquirySubject}`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Inquiry Follow-up Due</h2>
+        <p>The follow-up date for this inquiry has passed and it has not been replied to yet.</p>
+        <p><strong>From:</strong> ${escapeField(inquiry.clientName)} &lt;${escapeField(inquiry.clientEmail)}&gt;<br>
+        <strong>Subject:</strong> ${escapeField(inquiry.inquirySubject)}<br>
+        <strong>Follow-up date:</strong> ${inquiry.followUpDate.toISOString()}</p>
+        <a href="${inquiryUrl}" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px; margin: 20px 0;">Open Inquiry</a>
+        <p>Best regards,<br>${config.app.name} Team</p>
+      </div>
+    `;
+
+    return this.sendEmail({ to: email, subject, html });
+  }
+
+  /**
+   * Send the double opt-in confirmation for a newsletter subscription
+   * @param {string} email - Recipient email
+   * @param {string} confirmUrl - Signed confirmation URL
+   * @param {string} unsubscribeUrl - Unsubscribe URL
+   * @returns {Promise<Object>} Send result
+   */
+  async sendNewsletterConfirmationEmail(email, confirmUrl, unsubscribeUrl) {
+    const subject = `${config.app.name} - Confirm your subscription`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Confirm Your Subscription</h2>
+        <p>Thanks for subscribing to the ${config.app.name} newsletter. Please confirm your email address to start receiving it.</p>
+        <a href="${confirmUrl}" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px; margin: 20px 0;">Confirm Subscription</a>
+        <p>Or copy and paste this link in your browser:</p>
+        <p>${confirmUrl}</p>
+        <p>If you didn't subscribe, you can ignore this email or <a href="${unsubscribeUrl}">unsubscribe</a>.</p>
+        <p>Best regards,<br>${config.app.name} Team</p>
+      </div>
+    `;
+
+    return this.sendEmail({ to: email, subject, html });
+  }
+
+  /**
+   * Render a newsletter issue
+   * @param {Object} campaign - Newsletter campaign
+   * @param {Array<Object>} articles - Articles in the issue
+   * @param {string} unsubscribeUrl - Recipient's unsubscribe URL
+   * @param {string} preferencesUrl - Recipient's preference center URL
+   * @returns {string} HTML body
+   */
+  renderNewsletterIssue(campaign, articles, unsubscribeUrl, preferencesUrl) {
+    const absoluteUrl = (target) => (/^https?:\/\//.test(target) ? target : `${config.app.frontendUrl}/${target.replace(/^\//, '')}`);
+
+    const items = articles.map(article => `
+        <div style="margin: 0 0 30px;">
+          ${article.featuredImage ? `<img src="${absoluteUrl(article.featuredImage)}" alt="" style="max-width: 100%; border-radius: 4px;">` : ''}
+          <h3 style="color: #333; margin: 10px 0;">${escapeField(article.articleTitle)}</h3>
+          ${article.articleSummary ? `<p>${escapeField(article.articleSummary)}</p>` : ''}
+          <a href="${absoluteUrl(`articles/${article.articleSlug}`)}" style="color: #4CAF50;">Read more</a>
+        </div>`).join('');
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">${escapeField(campaign.campaignSubject)}</h2>
+        ${campaign.introText ? `<p>${escapeField(campaign.introText)}</p>` : ''}
+        ${items}
+        <p style="font-size: 12px; color: #777;">You are receiving this because you subscribed to the ${config.app.name} newsletter.
+        <a href="${preferencesUrl}">Choose your topics</a> or <a href="${unsubscribeUrl}">unsubscribe</a>.</p>
+      </div>
+    `;
+  }
 }
 
-module.exports = new EmailService(); 
\ No newline at end of file
+module.exports = new EmailService();
@@ -0,0 +1,227 @@
+const { sequelize, models } = require('../db/models');
+const { QueryTypes } = require('sequelize');
+const categoryService = require('./category.service');
+const { resolveSlug } = require('../utils/businessHelpers');
+
+const {
+  TechnicalExpertise,
+  ProfessionalExpertise,
+  ProfessionalAccount,
+  ContentCategory
+} = models;
+
+const TECHNICAL_FIELDS = ['expertiseName', 'iconIdentifier'];
+const PROFESSIONAL_FIELDS = ['categoryId', 'expertiseName', 'proficiencyLevel', 'expertiseIcon', 'isFeatured'];
+
+/**
+ * Copy the listed attributes present in the payload
+ * @param {Object} data - Request payload
+ * @param {Array<string>} fields - Allowed attribute names
+ * @returns {Object} Model attributes
+ */
+function pickFields(data, fields) {
+  return fields.reduce((attributes, field) => {
+    if (data[field] !== undefined) {
+      attributes[field] = data[field];
+    }
+    return attributes;
+  }, {});
+}
+
+/**
+ * Service for technical and professional expertise
+ */
+class ExpertiseService {
+  /**
+   * List technical expertise with the number of published projects using each
+   * @returns {Promise<Array>} Technologies with projectCount
+   */
+  async listTechnicalExpertise() {
+    return this.countPublishedProjectsByTechnology();
+  }
+
+  /**
+   * Create a technical expertise entry
+   * @param {Object} data - Expertise data
+   * @returns {Promise<Object>} Created expertise
+   */
+  async createTechnicalExpertise(data) {
+    const attributes = pickFields(data, TECHNICAL_FIELDS);
+    attributes.expertiseSlug = await resolveSlug(TechnicalExpertise, 'expertiseSlug', {
+      requestedSlug: data.expertiseSlug,
+      text: data.expertiseName
+    });
+
+    return TechnicalExpertise.create(attributes);
+  }
+
+  /**
+   * Update a technical expertise entry
+   * @param {string} expertiseId - Expertise ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object|null>} Updated expertise or null when not found
+   */
+  async updateTechnicalExpertise(expertiseId, data) {
+    const expertise = await TechnicalExpertise.findByPk(expertiseId);
+    if (!expertise) {
+      return null;
+    }
+
+    const attributes = pickFields(data, TECHNICAL_FIELDS);
+    if (data.expertiseSlug !== undefined && data.expertiseSlug !== expertise.expertiseSlug) {
+      attributes.expertiseSlug = await resolveSlug(TechnicalExpertise, 'expertiseSlug', {
+        requestedSlug: data.expertiseSlug,
+        exclude: { expertiseId }
+      });
+    }
+
+    return expertise.update(attributes);
+  }
+
+  /**
+   * Delete a technical expertise entry
+   * @param {string} expertiseId - Expertise ID
+   * @returns {Promise<boolean>} Whether an entry was deleted
+   */
+  async deleteTechnicalExpertise(expertiseId) {
+    const deleted = await TechnicalExpertise.destroy({ where: { expertiseId } });
+    return deleted > 0;
+  }
+
+  /**
+   * List professional expertise
+   * @param {string} accountId - Optional account filter
+   * @returns {Promise<Array>} Professional expertise
+   */
+  async listProfessionalExpertise(accountId = null) {
+    return ProfessionalExpertise.findAll({
+      where: accountId ? { accountId } : {},
+      include: [{
+        model: ContentCategory,
+        as: 'category',
+        attributes: ['categoryId', 'categoryName', 'categorySlug']
+      }],
+      order: [['proficiencyLevel', 'DESC'], ['expertiseName', 'ASC']]
+    });
+  }
+
+  /**
+   * Create a professional expertise entry
+   * @param {string} accountId - Owning account ID
+   * @param {Object} data - Expertise data
+   * @returns {Promise<Object>} Created expertise
+   */
+  async createProfessionalExpertise(accountId, data) {
+    const attributes = pickFields(data, PROFESSIONAL_FIELDS);
+    attributes.accountId = accountId;
+    await categoryService.assertCategoryType([attributes.categoryId], 'expertise');
+
+    return ProfessionalExpertise.create(attributes);
+  }
+
+  /**
+   * Update a professional expertise entry
+   * @param {string} expertiseId - Expertise ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object|null>} Updated expertise or null when not found
+   */
+  async updateProfessionalExpertise(expertiseId, data) {
+    const expertise = await ProfessionalExpertise.findByPk(expertiseId);
+    if (!expertise) {
+      return null;
+    }
+
+    const attributes = pickFields(data, PROFESSIONAL_FIELDS);
+    if (attributes.categoryId && attributes.categoryId !== expertise.categoryId) {
+      await categoryService.assertCategoryType([attributes.categoryId], 'expertise');
+    }
+
+    return expertise.update(attributes);
+  }
+
+  /**
+   * Delete a professional expertise entry
+   * @param {string} expertiseId - Expertise ID
+   * @returns {Promise<boolean>} Whether an entry was deleted
+   */
+  async deleteProfessionalExpertise(expertiseId) {
+    const deleted = await ProfessionalExpertise.destroy({ where: { expertiseId } });
+    return deleted > 0;
+  }
+
+  /**
+   * Build the public skills matrix of an account
+   * @param {string} username - Account username
+   * @returns {Promise<Object|null>} Skills matrix or null when the account is unknown
+   */
+  async getSkillsMatrix(username) {
+    const account = await ProfessionalAccount.findOne({
+      where: { username, isAccountActive: true },
+      attributes: ['accountId', 'username', 'profileImage']
+    });
+    if (!account) {
+      return null;
+    }
+
+    const expertise = await ProfessionalExpertise.findAll({
+      where: { accountId: account.accountId },
+      include: [{
+        model: ContentCategory,
+        as: 'category',
+        attributes: ['categoryId', 'categoryName', 'categorySlug', 'hierarchyLevel']
+      }],
+      order: [['isFeatured', 'DESC'], ['proficiencyLevel', 'DESC'], ['expertiseName', 'ASC']]
+    });
+
+    const groups = new Map();
+    expertise.forEach(item => {
+      const { category } = item;
+      if (!groups.has(category.categoryId)) {
+        groups.set(category.categoryId, { category: category.toJSON(), skills: [] });
+      }
+      groups.get(category.categoryId).skills.push({
+        expertiseId: item.expertiseId,
+        expertiseName: item.expertiseName,
+        proficiencyLevel: item.proficiencyLevel,
+        expertiseIcon: item.expertiseIcon,
+        isFeatured: item.isFeatured
+      });
+    });
+
+    const technologies = await this.countPublishedProjectsByTechnology(account.accountId);
+
+    return {
+      account: account.toJSON(),
+      categories: [...groups.values()].sort((a, b) => a.category.categoryName.localeCompare(b.category.categoryName)),
+      technologies: technologies.filter(technology => technology.projectCount > 0)
+    };
+  }
+
+  /**
+   * Count published projects per technology through ProjectTechnologyAssignment
+   * @param {string} accountId - Only count projects of this account when given
+   * @returns {Promise<Array>} Technologies with projectCount
+   */
+  async countPublishedProjectsByTechnology(accountId = null) {
+    return sequelize.query(`
+      SELECT
+        te.expertise_id AS "expertiseId",
+        te.expertise_name AS "expertiseName",
+        te.expertise_slug AS "expertiseSlug",
+        te.icon_identifier AS "iconIdentifier",
+        COUNT(pp.project_id)::int AS "projectCount"
+      FROM technical_expertise te
+      LEFT JOIN project_technology_assignments pta ON pta.expertise_id = te.expertise_id
+      LEFT JOIN portfolio_projects pp ON pp.project_id = pta.project_id
+        AND pp.publication_status = 'published'
+        ${accountId ? 'AND pp.account_id = :accountId' : ''}
+      GROUP BY te.expertise_id
+      ORDER BY "projectCount" DESC, te.expertise_name ASC
+    `, {
+      replacements: { accountId },
+      type: QueryTypes.SELECT
+    });
+  }
+}
+
+module.exports = new ExpertiseService();
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { models } = require('../db/models');
+const storageService = require('./storageService');
+const imageVariantService = require('./imageVariant.service');
+const config = require('../config');
+
+const { DigitalAsset } = models;
+const { IMMUTABLE_CACHE_CONTROL } = storageService;
+
+const TRANSFORM_FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const FORMAT_MIME_TYPES = {
+  webp: 'image/webp',
+  avif: 'image/avif',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+/**
+ * Service for on-the-fly image transformations. Each distinct derivative is
+ * rendered once and kept in storage under derivatives/<assetId>/.
+ */
+class ImageTransformService {
+  constructor() {
+    // Renders in progress by derivative key, so concurrent misses share one
+    this.pending = new Map();
+  }
+
+  /**
+   * Transformation parameters from a validated query
+   * @param {Object} query - w, h, fit and format
+   * @returns {Object} width, height, fit and format
+   */
+  normalizeParams(query) {
+    return {
+      width: query.w ? parseInt(query.w, 10) : null,
+      height: query.h ? parseInt(query.h, 10) : null,
+      fit: query.fit || 'cover',
+      format: query.format || 'webp'
+    };
+  }
+
+  /**
+   * Parameters in a fixed order; the basis of signatures and cache keys
+   * @param {Object} params - Normalized parameters
+   * @returns {string} Query string
+   */
+  canonicalQuery(params) {
+    const parts = [];
+    if (params.width) {
+      parts.push(`w=${params.width}`);
+    }
+    if (params.height) {
+      parts.push(`h=${params.height}`);
+    }
+    parts.push(`fit=${params.fit}`, `format=${params.format}`);
+    return parts.join('&');
+  }
+
+  /**
+   * HMAC signature permitting a transformation outside the presets
+   * @param {string} assetId - Asset ID
+   * @param {Object} params - Normalized parameters
+   * @returns {string} base64url signature
+   */
+  sign(assetId, params) {
+    if (!config.storage.imageTransform.secret) {
+      throw new Error('IMAGE_TRANSFORM_SECRET is not configured');
+    }
+    return crypto
+      .createHmac('sha256', config.storage.imageTransform.secret)
+      .update(`${assetId}?${this.canonicalQuery(params)}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Whether a transformation may be rendered: its size is a preset, or the
+   * request carries a valid signature
+   * @param {string} assetId - Asset ID
+   * @param {Object} params - Normalized parameters
+   * @param {string} signature - Optional sig query parameter
+   * @returns {boolean}
+   */
+  authorize(assetId, params, signature) {
+    if (!signature) {
+      const size = `${params.width || ''}x${params.height || ''}`;
+      return config.storage.imageTransform.presets.includes(size);
+    }
+    if (!config.storage.imageTransform.secret) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(assetId, params));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Signed URL of a transformation, for links the backend hands out
+   * @param {string} assetId - Asset ID
+   * @param {Object} params - Normalized parameters
+   * @returns {string} URL
+   */
+  buildUrl(assetId, params) {
+    const query = this.canonicalQuery(params);
+    return `${config.app.apiUrl}/api/digital-assets/${assetId}/transform?${query}&sig=${this.sign(assetId, params)}`;
+  }
+
+  /**
+   * Image asset a transformation can be rendered from. Derivatives are
+   * public, so private assets are never a source.
+   * @param {string} assetId - Asset ID
+   * @returns {Promise<Object|null>} Asset, or null when missing, private or not a supported image
+   */
+  async findSource(assetId) {
+    const asset = await DigitalAsset.findByPk(assetId);
+    if (!asset || asset.visibility !== 'public' || !imageVariantService.supports(asset.mimeType)) {
+      return null;
+    }
+    return asset;
+  }
+
+  /**
+   * Storage key of a derivative
+   * @param {string} assetId - Asset ID
+   * @param {Object} params - Normalized parameters
+   * @returns {string} Storage key
+   */
+  derivativeKey(assetId, params) {
+    const hash = crypto.createHash('sha256').update(this.canonicalQuery(params)).digest('hex').slice(0, 32);
+    return `${this.derivativePrefix(assetId)}/${hash}.${params.format}`;
+  }
+
+  /**
+   * Key prefix holding every derivative of an asset
+   * @param {string} assetId - Asset ID
+   * @returns {string} Key prefix
+   */
+  derivativePrefix(assetId) {
+    return `derivatives/${assetId}`;
+  }
+
+  /**
+   * A derivative from the cache, rendering and caching it on a miss
+   * @param {Object} asset - Source DigitalAsset
+   * @param {Object} params - Normalized parameters
+   * @returns {Promise<Object>} contentType plus either a stream (cached) or a body (just rendered)
+   */
+  async getDerivative(asset, params) {
+    const key = this.derivativeKey(asset.assetId, params);
+    const contentType = FORMAT_MIME_TYPES[params.format];
+
+    if (await storageService.exists(key)) {
+      return { contentType, stream: storageService.getStream(key) };
+    }
+
+    if (!this.pending.has(key)) {
+      const render = this.render(asset, params, key).finally(() => this.pending.delete(key));
+      this.pending.set(key, render);
+    }
+    return { contentType, body: await this.pending.get(key) };
+  }
+
+  /**
+   * Render a derivative and store it
+   * @param {Object} asset - Source DigitalAsset
+   * @param {Object} params - Normalized parameters
+   * @param {string} key - Derivative storage key
+   * @returns {Promise<Buffer>} Rendered image
+   */
+  async render(asset, params, key) {
+    const source = await storageService.getBuffer(asset.filePath);
+    const data = await sharp(source)
+      .rotate()
+      .resize({
+        width: params.width || undefined,
+        height: params.height || undefined,
+        fit: params.fit,
+        withoutEnlargement: true
+      })
+      .toFormat(params.format, { quality: config.storage.imageVariants.quality })
+      .toBuffer();
+
+    await storageService.put(key, data, {
+      contentType: FORMAT_MIME_TYPES[params.format],
+      cacheControl: IMMUTABLE_CACHE_CONTROL
+    });
+    return data;
+  }
+}
+
+module.exports = new ImageTransformService();
+module.exports.TRANSFORM_FITS = TRANSFORM_FITS;
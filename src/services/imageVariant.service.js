@@ -0,0 +1,140 @@
+const sharp = require('sharp');
+const { models } = require('../db/models');
+const storageService = require('./storageService');
+const config = require('../config');
+
+const { AssetVariant } = models;
+const { IMMUTABLE_CACHE_CONTROL } = storageService;
+
+// Uploaded types sharp can decode into variants
+const VARIANT_SOURCE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'image/gif'];
+const VARIANT_MIME_TYPES = {
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+const THUMBNAIL_VARIANT = 'thumbnail';
+
+/**
+ * Service generating responsive derivatives of uploaded images
+ */
+class ImageVariantService {
+  /**
+   * Whether variants can be generated for a file type
+   * @param {string} mimeType - Sniffed MIME type
+   * @returns {boolean}
+   */
+  supports(mimeType) {
+    return VARIANT_SOURCE_TYPES.includes(mimeType);
+  }
+
+  /**
+   * Generate the configured widths in every configured format plus a square
+   * thumbnail, store them next to the original and record them
+   * @param {Object} asset - DigitalAsset whose file is already stored
+   * @returns {Promise<Array<Object>>} Created variants
+   */
+  async generateVariants(asset) {
+    const { widths, formats, quality, thumbnailSize } = config.storage.imageVariants;
+    const source = await storageService.getBuffer(asset.filePath);
+    const baseKey = asset.filePath.replace(/\.[^./]+$/, '');
+    const metadata = await sharp(source).metadata();
+    // EXIF orientations 5-8 are rotated a quarter turn, swapping the sides
+    const sourceWidth = metadata.orientation >= 5 ? metadata.height : metadata.width;
+
+    const jobs = [];
+    for (const format of formats) {
+      for (const targetWidth of this.targetWidths(sourceWidth, widths)) {
+        jobs.push({
+          variantName: `w${targetWidth}`,
+          format,
+          pipeline: () => sharp(source).rotate().resize({ width: targetWidth, withoutEnlargement: true })
+        });
+      }
+    }
+    jobs.push({
+      variantName: THUMBNAIL_VARIANT,
+      format: 'webp',
+      pipeline: () => sharp(source).rotate().resize(thumbnailSize, thumbnailSize, { fit: 'cover', position: 'attention', withoutEnlargement: true })
+    });
+
+    const records = [];
+    try {
+      // One at a time: encoding AVIF is CPU-heavy and uploads should not starve requests
+      for (const job of jobs) {
+        const { data, info } = await job.pipeline()
+          .toFormat(job.format, { quality })
+          .toBuffer({ resolveWithObject: true });
+        const filePath = `${baseKey}-${job.variantName}.${job.format}`;
+
+        await storageService.put(filePath, data, {
+          contentType: VARIANT_MIME_TYPES[job.format],
+          cacheControl: IMMUTABLE_CACHE_CONTROL
+        });
+        records.push({
+          assetId: asset.assetId,
+          variantName: job.variantName,
+          format: job.format,
+          width: info.width,
+          height: info.height,
+          fileSize: info.size,
+          filePath
+        });
+      }
+    } catch (error) {
+      await this.removeFiles(records);
+      throw error;
+    }
+
+    const variants = await AssetVariant.bulkCreate(records);
+    const thumbnail = records.find(record => record.variantName === THUMBNAIL_VARIANT);
+    await asset.update({ thumbnailPath: thumbnail.filePath });
+    return variants;
+  }
+
+  /**
+   * Widths to generate for an image: the configured widths below its own
+   * width, plus its own width when it is narrower than the largest one
+   * @param {number} sourceWidth - Width of the original after orientation
+   * @param {Array<number>} widths - Configured widths
+   * @returns {Array<number>} Target widths
+   */
+  targetWidths(sourceWidth, widths) {
+    const targets = widths.filter(width => width < sourceWidth);
+    if (sourceWidth <= Math.max(...widths)) {
+      targets.push(sourceWidth);
+    }
+    return targets;
+  }
+
+  /**
+   * srcset strings per format, ready for <source type> elements
+   * @param {Array<Object>} variants - Plain variant records, with their url when not public
+   * @returns {Object} srcset keyed by format, e.g. { webp: 'url 320w, url 640w' }
+   */
+  buildSrcset(variants) {
+    const srcset = {};
+    variants
+      .filter(variant => variant.variantName !== THUMBNAIL_VARIANT)
+      .sort((a, b) => a.width - b.width)
+      .forEach(variant => {
+        const candidate = `${variant.url || storageService.publicUrl(variant.filePath)} ${variant.width}w`;
+        srcset[variant.format] = srcset[variant.format] ? `${srcset[variant.format]}, ${candidate}` : candidate;
+      });
+    return srcset;
+  }
+
+  /**
+   * Delete the stored files of variants
+   * @param {Array<Object>} variants - Variants or variant records
+   * @returns {Promise<void>}
+   */
+  async removeFiles(variants) {
+    for (const variant of variants) {
+      await storageService.delete(variant.filePath);
+    }
+  }
+}
+
+module.exports = new ImageVariantService();
+module.exports.VARIANT_SOURCE_TYPES = VARIANT_SOURCE_TYPES;
+module.exports.THUMBNAIL_VARIANT = THUMBNAIL_VARIANT;
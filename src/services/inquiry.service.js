@@ -0,0 +1,575 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize, models } = require('../db/models');
+const BaseRepository = require('../repositories/base.repository');
+const emailService = require('./email.service');
+const { createHttpError, escapeHtml } = require('../utils/businessHelpers');
+const config = require('../config');
+
+const {
+  ClientInquiry,
+  InquiryNote,
+  InquiryStatusChange,
+  InquiryMessage,
+  ProfessionalAccount
+} = models;
+
+const INQUIRY_STATUSES = ['unread', 'read', 'replied', 'archived'];
+
+// Statuses an inquiry may move to from each status
+const STATUS_TRANSITIONS = {
+  unread: ['read', 'replied', 'archived'],
+  read: ['unread', 'replied', 'archived'],
+  replied: ['unread', 'read', 'archived'],
+  archived: ['unread', 'read']
+};
+
+// Statuses that still await a reply
+const OPEN_STATUSES = ['unread', 'read'];
+
+const ROOT_MESSAGE_PATTERN = /^<inquiry\.([0-9a-f-]{36})@/i;
+
+const ACCOUNT_ATTRIBUTES = ['accountId', 'username', 'emailAddress'];
+
+const FORM_TOKEN_PURPOSE = 'inquiry-form';
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+const SPAM_WEIGHTS = {
+  honeypot: 100,
+  missingFormToken: 30,
+  submittedTooFast: 50,
+  extraLink: 20,
+  blocklistedTerm: 25,
+  duplicateMessage: 40
+};
+
+/**
+ * Service for client inquiries submitted through the public contact form
+ */
+class InquiryService {
+  constructor() {
+    this.repository = new BaseRepository(ClientInquiry);
+  }
+
+  /**
+   * Issue a signed token recording when the contact form was rendered
+   * @returns {Object} Form token and the minimum seconds before submitting
+   */
+  issueFormToken() {
+    const formToken = jwt.sign({ purpose: FORM_TOKEN_PURPOSE }, config.inquiry.formTokenSecret, {
+      expiresIn: config.inquiry.formTokenExpiration
+    });
+
+    return {
+      formToken,
+      minSubmitSeconds: config.inquiry.minSubmitSeconds,
+      honeypotFields: config.inquiry.honeypotFields
+    };
+  }
+
+  /**
+   * Store a public inquiry. Suspected spam is quarantined with its score.
+   * @param {Object} data - Submitted form fields
+   * @param {string} submitterIp - Client IP address
+   * @returns {Promise<Object>} Created inquiry
+   */
+  async submitInquiry(data, submitterIp) {
+    const messageFingerprint = this.fingerprint(data.inquiryMessage);
+    const { spamScore, spamReasons } = await this.scoreSubmission(data, messageFingerprint);
+
+    return ClientInquiry.create({
+      clientName: data.clientName,
+      clientEmail: data.clientEmail.toLowerCase(),
+      inquirySubject: data.inquirySubject,
+      inquiryMessage: data.inquiryMessage,
+      spamScore,
+      spamReasons,
+      isQuarantined: spamScore >= config.inquiry.spamThreshold,
+      submitterIp,
+      messageFingerprint
+    });
+  }
+
+  /**
+   * Score a submission against every spam rule
+   * @param {Object} data - Submitted form fields
+   * @param {string} messageFingerprint - Fingerprint of the message
+   * @returns {Promise<Object>} spamScore and the reasons that contributed to it
+   */
+  async scoreSubmission(data, messageFingerprint) {
+    const reasons = [];
+    const flag = (rule, score, detail) => reasons.push(detail === undefined ? { rule, score } : { rule, score, detail });
+
+    const filledHoneypots = config.inquiry.honeypotFields.filter(field => data[field]);
+    if (filledHoneypots.length) {
+      flag('honeypot', SPAM_WEIGHTS.honeypot, filledHoneypots);
+    }
+
+    const elapsed = this.secondsSinceFormIssued(data.formToken);
+    if (elapsed === null) {
+      flag('missing_form_token', SPAM_WEIGHTS.missingFormToken);
+    } else if (elapsed < config.inquiry.minSubmitSeconds) {
+      flag('submitted_too_fast', SPAM_WEIGHTS.submittedTooFast, elapsed);
+    }
+
+    const text = `${data.inquirySubject} ${data.inquiryMessage}`;
+    const links = (text.match(LINK_PATTERN) || []).length;
+    if (links > config.inquiry.allowedLinks) {
+      flag('too_many_links', (links - config.inquiry.allowedLinks) * SPAM_WEIGHTS.extraLink, links);
+    }
+
+    const lowered = text.toLowerCase();
+    const terms = config.inquiry.blocklist.filter(term => lowered.includes(term));
+    if (terms.length) {
+      flag('blocklisted_terms', terms.length * SPAM_WEIGHTS.blocklistedTerm, terms);
+    }
+
+    const since = new Date(Date.now() - config.inquiry.duplicateWindowDays * 24 * 60 * 60 * 1000);
+    const duplicates = await ClientInquiry.count({
+      where: { messageFingerprint, createdAt: { [Op.gte]: since } }
+    });
+    if (duplicates) {
+      flag('duplicate_message', SPAM_WEIGHTS.duplicateMessage, duplicates);
+    }
+
+    return {
+      spamScore: reasons.reduce((sum, reason) => sum + reason.score, 0),
+      spamReasons: reasons
+    };
+  }
+
+  /**
+   * Seconds elapsed since a form token was issued
+   * @param {string} formToken - Token from issueFormToken
+   * @returns {number|null} Elapsed seconds, null when the token is missing or invalid
+   */
+  secondsSinceFormIssued(formToken) {
+    if (!formToken) {
+      return null;
+    }
+
+    try {
+      const payload = jwt.verify(formToken, config.inquiry.formTokenSecret);
+      if (payload.purpose !== FORM_TOKEN_PURPOSE) {
+        return null;
+      }
+      return Math.floor(Date.now() / 1000) - payload.iat;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Fingerprint a message so copies differing only in whitespace or casing match
+   * @param {string} message - Inquiry message
+   * @returns {string} SHA-256 hex digest
+   */
+  fingerprint(message) {
+    const normalized = message.toLowerCase().replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * List quarantined inquiries, highest score first
+   * @param {number} page - Page number
+   * @param {number} limit - Records per page
+   * @returns {Promise<Object>} Paginated inquiries
+   */
+  async listQuarantined(page = 1, limit = 20) {
+    return this.repository.findAll({
+      where: { isQuarantined: true },
+      order: [['spamScore', 'DESC'], ['createdAt', 'DESC']]
+    }, page, limit);
+  }
+
+  /**
+   * Release a quarantined inquiry into the regular inbox
+   * @param {string} inquiryId - Inquiry ID
+   * @returns {Promise<Object|null>} Released inquiry or null when not found
+   */
+  async releaseInquiry(inquiryId) {
+    const inquiry = await ClientInquiry.findByPk(inquiryId);
+    if (!inquiry) {
+      return null;
+    }
+
+    return inquiry.update({ isQuarantined: false });
+  }
+
+  /**
+   * List inbox inquiries
+   * @param {Object} filters - Inbox filters
+   * @param {string} filters.status - Inquiry status
+   * @param {string} filters.assignedTo - Assignee account ID or 'unassigned'
+   * @param {string} filters.search - Text matched against sender, subject and message
+   * @param {boolean} filters.followUpDue - Only open inquiries whose follow-up date has passed
+   * @param {boolean} filters.quarantined - List quarantined instead of regular inquiries
+   * @param {Date} filters.receivedFrom - Received on or after
+   * @param {Date} filters.receivedTo - Received on or before
+   * @param {number} page - Page number
+   * @param {number} limit - Records per page
+   * @returns {Promise<Object>} Paginated inquiries
+   */
+  async listInbox(filters = {}, page = 1, limit = 20) {
+    const where = { isQuarantined: Boolean(filters.quarantined) };
+
+    if (filters.status) {
+      where.inquiryStatus = filters.status;
+    }
+    if (filters.assignedTo) {
+      where.assignedAccountId = filters.assignedTo === 'unassigned' ? null : filters.assignedTo;
+    }
+    if (filters.search) {
+      const pattern = `%${filters.search.replace(/[\\%_]/g, '\\$&')}%`;
+      where[Op.or] = ['clientName', 'clientEmail', 'inquirySubject', 'inquiryMessage']
+        .map(field => ({ [field]: { [Op.iLike]: pattern } }));
+    }
+    if (filters.followUpDue) {
+      where.followUpDate = { [Op.lte]: new Date() };
+      where.inquiryStatus = filters.status ? filters.status : OPEN_STATUSES;
+    }
+    if (filters.receivedFrom || filters.receivedTo) {
+      where.createdAt = {};
+      if (filters.receivedFrom) {
+        where.createdAt[Op.gte] = filters.receivedFrom;
+      }
+      if (filters.receivedTo) {
+        where.createdAt[Op.lte] = filters.receivedTo;
+      }
+    }
+
+    return this.repository.findAll({
+      where,
+      attributes: { exclude: ['messageFingerprint'] },
+      include: [{ model: ProfessionalAccount, as: 'assignee', attributes: ACCOUNT_ATTRIBUTES }],
+      order: [['createdAt', 'DESC']]
+    }, page, limit);
+  }
+
+  /**
+   * Get an inquiry with its notes and status history. Opening an unread
+   * inquiry marks it as read on behalf of the viewer.
+   * @param {string} inquiryId - Inquiry ID
+   * @param {string} viewerId - Account opening the inquiry
+   * @returns {Promise<Object|null>} Inquiry or null when not found
+   */
+  async getInquiry(inquiryId, viewerId = null) {
+    const inquiry = await ClientInquiry.findByPk(inquiryId, { attributes: ['inquiryId', 'inquiryStatus'] });
+    if (!inquiry) {
+      return null;
+    }
+
+    if (viewerId && inquiry.inquiryStatus === 'unread') {
+      await this.changeStatus(inquiryId, 'read', viewerId);
+    }
+
+    return ClientInquiry.findByPk(inquiryId, {
+      include: [
+        { model: ProfessionalAccount, as: 'assignee', attributes: ACCOUNT_ATTRIBUTES },
+        {
+          model: InquiryNote,
+          as: 'notes',
+          include: [{ model: ProfessionalAccount, as: 'author', attributes: ['accountId', 'username'] }]
+        },
+        {
+          model: InquiryStatusChange,
+          as: 'statusHistory',
+          include: [{ model: ProfessionalAccount, as: 'changedByAccount', attributes: ['accountId', 'username'] }]
+        },
+        {
+          model: InquiryMessage,
+          as: 'messages',
+          include: [{ model: ProfessionalAccount, as: 'sender', attributes: ['accountId', 'username'] }]
+        }
+      ],
+      order: [
+        [{ model: InquiryNote, as: 'notes' }, 'createdAt', 'ASC'],
+        [{ model: InquiryStatusChange, as: 'statusHistory' }, 'createdAt', 'ASC'],
+        [{ model: InquiryMessage, as: 'messages' }, 'createdAt', 'ASC']
+      ]
+    });
+  }
+
+  /**
+   * Move an inquiry to a new status and record who changed it
+   * @param {string} inquiryId - Inquiry ID
+   * @param {string} toStatus - New status
+   * @param {string} accountId - Account making the change, null for the system
+   * @param {Object} transaction - Optional outer transaction
+   * @returns {Promise<Object|null>} Updated inquiry or null when not found
+   */
+  async changeStatus(inquiryId, toStatus, accountId, transaction = null) {
+    const run = async (t) => {
+      const inquiry = await ClientInquiry.findByPk(inquiryId, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!inquiry) {
+        return null;
+      }
+
+      const fromStatus = inquiry.inquiryStatus;
+      if (fromStatus === toStatus) {
+        return inquiry;
+      }
+      if (!STATUS_TRANSITIONS[fromStatus].includes(toStatus)) {
+        throw createHttpError(409, `Cannot change status from ${fromStatus} to ${toStatus}`);
+      }
+
+      await inquiry.update({ inquiryStatus: toStatus }, { transaction: t });
+      await InquiryStatusChange.create({ inquiryId, fromStatus, toStatus, changedBy: accountId }, { transaction: t });
+
+      return inquiry;
+    };
+
+    return transaction ? run(transaction) : sequelize.transaction(run);
+  }
+
+  /**
+   * Update the assignee and follow-up date of an inquiry
+   * @param {string} inquiryId - Inquiry ID
+   * @param {Object} data - assignedAccountId and/or followUpDate (null clears them)
+   * @returns {Promise<Object|null>} Updated inquiry or null when not found
+   */
+  async updateInquiry(inquiryId, data) {
+    const inquiry = await ClientInquiry.findByPk(inquiryId);
+    if (!inquiry) {
+      return null;
+    }
+
+    const attributes = {};
+
+    if (data.assignedAccountId !== undefined) {
+      if (data.assignedAccountId) {
+        const account = await ProfessionalAccount.findOne({
+          where: { accountId: data.assignedAccountId, isAccountActive: true },
+          attributes: ['accountId']
+        });
+        if (!account) {
+          throw createHttpError(400, 'Assigned account does not exist');
+        }
+      }
+      attributes.assignedAccountId = data.assignedAccountId;
+    }
+
+    if (data.followUpDate !== undefined) {
+      attributes.followUpDate = data.followUpDate;
+      // A new date deserves a new reminder
+      attributes.followUpRemindedAt = null;
+    }
+
+    return inquiry.update(attributes);
+  }
+
+  /**
+   * Add an internal note to an inquiry
+   * @param {string} inquiryId - Inquiry ID
+   * @param {string} authorId - Note author account ID
+   * @param {string} noteContent - Note text
+   * @returns {Promise<Object|null>} Created note or null when the inquiry is unknown
+   */
+  async addNote(inquiryId, authorId, noteContent) {
+    const inquiry = await ClientInquiry.findByPk(inquiryId, { attributes: ['inquiryId'] });
+    if (!inquiry) {
+      return null;
+    }
+
+    return InquiryNote.create({ inquiryId, authorId, noteContent });
+  }
+
+  /**
+   * Email a reply to the client and store it in the inquiry thread
+   * @param {string} inquiryId - Inquiry ID
+   * @param {string} accountId - Replying account
+   * @param {Object} data - messageBody and optional messageSubject
+   * @returns {Promise<Object|null>} Stored message or null when the inquiry is unknown
+   */
+  async replyToInquiry(inquiryId, accountId, data) {
+    const inquiry = await ClientInquiry.findByPk(inquiryId);
+    if (!inquiry) {
+      return null;
+    }
+    if (inquiry.inquiryStatus !== 'replied' && !STATUS_TRANSITIONS[inquiry.inquiryStatus].includes('replied')) {
+      throw createHttpError(409, `Cannot reply to an inquiry with status ${inquiry.inquiryStatus}`);
+    }
+
+    const thread = await InquiryMessage.findAll({
+      where: { inquiryId },
+      attributes: ['emailMessageId'],
+      order: [['createdAt', 'ASC']]
+    });
+    const references = [this.threadRootId(inquiryId), ...thread.map(message => message.emailMessageId)];
+    const emailMessageId = emailService.createMessageId(uuidv4());
+    const inReplyTo = references[references.length - 1];
+    const messageSubject = data.messageSubject || this.replySubject(inquiry.inquirySubject);
+
+    await emailService.sendEmail({
+      to: inquiry.clientEmail,
+      subject: messageSubject,
+      text: data.messageBody,
+      html: `<div style="font-family: Arial, sans-serif;">${escapeHtml(data.messageBody).replace(/\n/g, '<br>')}</div>`,
+      replyTo: config.email.replyToAddress || undefined,
+      messageId: emailMessageId,
+      inReplyTo,
+      references
+    });
+
+    // The email is out; record it and the status change together
+    return sequelize.transaction(async (transaction) => {
+      const message = await InquiryMessage.create({
+        inquiryId,
+        messageDirection: 'outbound',
+        emailMessageId,
+        inReplyTo,
+        senderEmail: config.email.fromEmail,
+        recipientEmail: inquiry.clientEmail,
+        messageSubject,
+        messageBody: data.messageBody,
+        sentBy: accountId
+      }, { transaction });
+
+      await this.changeStatus(inquiryId, 'replied', accountId, transaction);
+
+      return message;
+    });
+  }
+
+  /**
+   * Store an inbound email in the thread it replies to. Threads are matched
+   * on In-Reply-To and References; a new message reopens the inquiry.
+   * @param {Object} email - Parsed inbound email
+   * @param {string} email.from - Sender address
+   * @param {string} email.to - Recipient address
+   * @param {string} email.subject - Subject line
+   * @param {string} email.text - Plain text body
+   * @param {string} email.messageId - Message-ID header
+   * @param {string} email.inReplyTo - In-Reply-To header
+   * @param {string} email.references - References header
+   * @returns {Promise<Object|null>} Stored message or null when no thread matches
+   */
+  async ingestInboundMessage(email) {
+    const emailMessageId = email.messageId || emailService.createMessageId(`inbound.${uuidv4()}`);
+
+    const existing = await InquiryMessage.findOne({ where: { emailMessageId } });
+    if (existing) {
+      return existing;
+    }
+
+    const inquiryId = await this.findThreadInquiryId([
+      email.inReplyTo,
+      ...String(email.references || '').split(/\s+/)
+    ].filter(Boolean));
+    if (!inquiryId) {
+      return null;
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const message = await InquiryMessage.create({
+        inquiryId,
+        messageDirection: 'inbound',
+        emailMessageId,
+        inReplyTo: email.inReplyTo || null,
+        senderEmail: this.extractAddress(email.from),
+        recipientEmail: this.extractAddress(email.to) || config.email.fromEmail,
+        messageSubject: email.subject || '(no subject)',
+        messageBody: email.text || ''
+      }, { transaction });
+
+      const inquiry = await ClientInquiry.findByPk(inquiryId, { attributes: ['inquiryStatus'], transaction });
+      if (['replied', 'archived'].includes(inquiry.inquiryStatus)) {
+        await this.changeStatus(inquiryId, 'unread', null, transaction);
+      }
+
+      return message;
+    });
+  }
+
+  /**
+   * Find the inquiry a set of referenced Message-IDs belongs to
+   * @param {Array<string>} messageIds - Message-IDs from In-Reply-To and References
+   * @returns {Promise<string|null>} Inquiry ID
+   */
+  async findThreadInquiryId(messageIds) {
+    if (!messageIds.length) {
+      return null;
+    }
+
+    const message = await InquiryMessage.findOne({
+      where: { emailMessageId: messageIds },
+      attributes: ['inquiryId']
+    });
+    if (message) {
+      return message.inquiryId;
+    }
+
+    for (const messageId of messageIds) {
+      const match = ROOT_MESSAGE_PATTERN.exec(messageId);
+      if (match && await ClientInquiry.count({ where: { inquiryId: match[1] } })) {
+        return match[1];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Message-ID every reply thread of an inquiry starts from
+   * @param {string} inquiryId - Inquiry ID
+   * @returns {string} Message-ID
+   */
+  threadRootId(inquiryId) {
+    return emailService.createMessageId(`inquiry.${inquiryId}`);
+  }
+
+  /**
+   * Prefix a subject with "Re:" once
+   * @param {string} subject - Original subject
+   * @returns {string} Reply subject
+   */
+  replySubject(subject) {
+    return /^re:/i.test(subject) ? subject : `Re: ${subject}`;
+  }
+
+  /**
+   * Extract the bare address from a "Name <address>" header value
+   * @param {string} value - Header value
+   * @returns {string|null} Lower-cased email address
+   */
+  extractAddress(value) {
+    if (!value) {
+      return null;
+    }
+    const match = /<([^>]+)>/.exec(value);
+    return (match ? match[1] : value).trim().toLowerCase();
+  }
+
+  /**
+   * Find open inquiries whose follow-up date has passed without a reminder
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array>} Inquiries with their assignee
+   */
+  async findDueFollowUps(now = new Date()) {
+    return ClientInquiry.findAll({
+      where: {
+        followUpDate: { [Op.lte]: now },
+        followUpRemindedAt: null,
+        inquiryStatus: OPEN_STATUSES,
+        isQuarantined: false
+      },
+      include: [{ model: ProfessionalAccount, as: 'assignee', attributes: ACCOUNT_ATTRIBUTES }],
+      order: [['followUpDate', 'ASC']]
+    });
+  }
+
+  /**
+   * Delete an inquiry
+   * @param {string} inquiryId - Inquiry ID
+   * @returns {Promise<boolean>} Whether an inquiry was deleted
+   */
+  async deleteInquiry(inquiryId) {
+    const deleted = await ClientInquiry.destroy({ where: { inquiryId } });
+    return deleted > 0;
+  }
+}
+
+module.exports = new InquiryService();
+module.exports.INQUIRY_STATUSES = INQUIRY_STATUSES;
@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { sequelize, models } = require('../db/models');
+const BaseRepository = require('../repositories/base.repository');
+const emailService = require('./email.service');
+const categoryService = require('./category.service');
+const { createHttpError } = require('../utils/businessHelpers');
+const config = require('../config');
+
+const {
+  NewsletterSubscriber,
+  NewsletterSubscriberCategory,
+  NewsletterUnsubscribe,
+  ContentCategory
+} = models;
+
+const CONFIRMATION_PURPOSE = 'newsletter-confirm';
+const ONE_CLICK_PURPOSE = 'newsletter-one-click';
+const SUBSCRIPTION_STATUSES = ['pending', 'active', 'inactive', 'unsubscribed'];
+const UNSUBSCRIBE_REASONS = ['one-click', 'user-request', 'bounce', 'complaint'];
+
+/**
+ * Service for newsletter subscriptions with double opt-in
+ */
+class NewsletterService {
+  constructor() {
+    this.repository = new BaseRepository(NewsletterSubscriber);
+    this.unsubscribeRepository = new BaseRepository(NewsletterUnsubscribe);
+  }
+
+  /**
+   * Start a subscription. New, inactive and unsubscribed addresses become
+   * pending and receive a confirmation email; active ones are left alone.
+   * @param {Object} data - emailAddress and optional subscriberName
+   * @returns {Promise<Object>} Subscriber
+   */
+  async subscribe(data) {
+    const emailAddress = data.emailAddress.toLowerCase();
+    let subscriber = await NewsletterSubscriber.findOne({ where: { emailAddress } });
+
+    if (subscriber && subscriber.subscriptionStatus === 'active') {
+      return subscriber;
+    }
+
+    if (!subscriber) {
+      subscriber = await NewsletterSubscriber.create({
+        emailAddress,
+        subscriberName: data.subscriberName || null,
+        unsubscribeToken: this.generateUnsubscribeToken(),
+        subscriptionStatus: 'pending'
+      });
+    } else {
+      const resendAfter = new Date(Date.now() - config.newsletter.confirmationResendMinutes * 60 * 1000);
+      if (subscriber.subscriptionStatus === 'pending' && subscriber.confirmationSentAt > resendAfter) {
+        return subscriber;
+      }
+
+      await subscriber.update({
+        subscriberName: data.subscriberName || subscriber.subscriberName,
+        subscriptionStatus: 'pending',
+        unsubscribedAt: null
+      });
+    }
+
+    try {
+      await this.sendConfirmation(subscriber);
+    } catch (error) {
+      // Suppressed addresses get the same answer as everyone else, just no email
+      if (error.code !== 'EMAIL_SUPPRESSED') {
+        throw error;
+      }
+    }
+    return subscriber;
+  }
+
+  /**
+   * Email a signed confirmation link to a pending subscriber
+   * @param {Object} subscriber - Newsletter subscriber
+   */
+  async sendConfirmation(subscriber) {
+    const token = jwt.sign(
+      { sub: subscriber.subscriberId, purpose: CONFIRMATION_PURPOSE },
+      config.newsletter.tokenSecret,
+      { expiresIn: config.newsletter.confirmationExpiration }
+    );
+
+    await emailService.sendNewsletterConfirmationEmail(
+      subscriber.emailAddress,
+      `${config.newsletter.confirmUrl}?token=${encodeURIComponent(token)}`,
+      this.unsubscribeUrl(subscriber)
+    );
+    await subscriber.update({ confirmationSentAt: new Date() });
+  }
+
+  /**
+   * Confirm a subscription from a signed confirmation token
+   * @param {string} token - Confirmation token
+   * @returns {Promise<Object>} Active subscriber
+   */
+  async confirm(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, config.newsletter.tokenSecret);
+    } catch {
+      throw createHttpError(400, 'Invalid or expired confirmation link');
+    }
+    if (payload.purpose !== CONFIRMATION_PURPOSE) {
+      throw createHttpError(400, 'Invalid or expired confirmation link');
+    }
+
+    const subscriber = await NewsletterSubscriber.findByPk(payload.sub);
+    if (!subscriber) {
+      throw createHttpError(400, 'Invalid or expired confirmation link');
+    }
+
+    if (subscriber.subscriptionStatus === 'active') {
+      return subscriber;
+    }
+    if (subscriber.subscriptionStatus !== 'pending') {
+      // Unsubscribing after the email went out voids the link
+      throw createHttpError(410, 'This confirmation link is no longer valid');
+    }
+
+    return subscriber.update({ subscriptionStatus: 'active', confirmedAt: new Date() });
+  }
+
+  /**
+   * Unsubscribe using the subscriber's unsubscribe token
+   * @param {string} token - Unsubscribe token
+   * @param {string} reasonDetail - Optional reason given by the subscriber
+   * @returns {Promise<Object|null>} Subscriber or null when the token is unknown
+   */
+  async unsubscribe(token, reasonDetail = null) {
+    const subscriber = await NewsletterSubscriber.findOne({ where: { unsubscribeToken: token } });
+    if (!subscriber) {
+      return null;
+    }
+
+    return this.recordUnsubscribe(subscriber, { reason: 'user-request', reasonDetail });
+  }
+
+  /**
+   * Unsubscribe from a signed List-Unsubscribe URL (RFC 8058 one-click)
+   * @param {string} token - Signed one-click token
+   * @returns {Promise<Object>} Subscriber
+   */
+  async unsubscribeOneClick(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, config.newsletter.tokenSecret);
+    } catch {
+      throw createHttpError(400, 'Invalid unsubscribe link');
+    }
+    if (payload.purpose !== ONE_CLICK_PURPOSE) {
+      throw createHttpError(400, 'Invalid unsubscribe link');
+    }
+
+    const subscriber = await NewsletterSubscriber.findByPk(payload.sub);
+    if (!subscriber) {
+      throw createHttpError(400, 'Invalid unsubscribe link');
+    }
+
+    return this.recordUnsubscribe(subscriber, { reason: 'one-click', campaignId: payload.cid || null });
+  }
+
+  /**
+   * Unsubscribe a subscriber and log why. Repeated requests for an address
+   * that is already unsubscribed are not logged again.
+   * @param {Object} subscriber - Newsletter subscriber
+   * @param {Object} details - Unsubscribe details
+   * @param {string} details.reason - One of UNSUBSCRIBE_REASONS
+   * @param {string} details.reasonDetail - Optional free-text detail
+   * @param {string} details.campaignId - Campaign the request came from
+   * @returns {Promise<Object>} Subscriber
+   */
+  async recordUnsubscribe(subscriber, { reason, reasonDetail = null, campaignId = null }) {
+    if (subscriber.subscriptionStatus === 'unsubscribed') {
+      return subscriber;
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      await subscriber.update({ subscriptionStatus: 'unsubscribed', unsubscribedAt: new Date() }, { transaction });
+      await NewsletterUnsubscribe.create({
+        subscriberId: subscriber.subscriberId,
+        campaignId,
+        unsubscribeReason: reason,
+        reasonDetail
+      }, { transaction });
+      return subscriber;
+    });
+  }
+
+  /**
+   * List logged unsubscribes, newest first
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.reason - Unsubscribe reason
+   * @param {number} page - Page number
+   * @param {number} limit - Records per page
+   * @returns {Promise<Object>} Paginated unsubscribes
+   */
+  async listUnsubscribes(filters = {}, page = 1, limit = 20) {
+    return this.unsubscribeRepository.findAll({
+      where: filters.reason ? { unsubscribeReason: filters.reason } : {},
+      include: [{ model: NewsletterSubscriber, as: 'subscriber', attributes: ['subscriberId', 'emailAddress'] }],
+      order: [['createdAt', 'DESC']]
+    }, page, limit);
+  }
+
+  /**
+   * Preference center view for the holder of an unsubscribe token
+   * @param {string} token - Unsubscribe token
+   * @returns {Promise<Object|null>} Subscriber preferences and available topics, or null when the token is unknown
+   */
+  async getPreferences(token) {
+    const subscriber = await NewsletterSubscriber.findOne({
+      where: { unsubscribeToken: token },
+      include: [{ model: ContentCategory, as: 'interests', attributes: ['categoryId'], through: { attributes: [] } }]
+    });
+    if (!subscriber) {
+      return null;
+    }
+
+    return {
+      emailAddress: subscriber.emailAddress,
+      subscriberName: subscriber.subscriberName,
+      subscriptionStatus: subscriber.subscriptionStatus,
+      categoryIds: subscriber.interests.map(category => category.categoryId),
+      topics: await categoryService.getTree('article')
+    };
+  }
+
+  /**
+   * Replace a subscriber's topic interests
+   * @param {string} token - Unsubscribe token
+   * @param {Object} data - categoryIds and optional subscriberName
+   * @returns {Promise<Object|null>} Updated preferences, or null when the token is unknown
+   */
+  async updatePreferences(token, data) {
+    const subscriber = await NewsletterSubscriber.findOne({ where: { unsubscribeToken: token } });
+    if (!subscriber) {
+      return null;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      if (data.subscriberName !== undefined) {
+        await subscriber.update({ subscriberName: data.subscriberName || null }, { transaction });
+      }
+
+      if (data.categoryIds !== undefined) {
+        const categoryIds = [...new Set(data.categoryIds)];
+        if (categoryIds.length) {
+          await categoryService.assertCategoryType(categoryIds, 'article', transaction);
+        }
+
+        await NewsletterSubscriberCategory.destroy({ where: { subscriberId: subscriber.subscriberId }, transaction });
+        await NewsletterSubscriberCategory.bulkCreate(
+          categoryIds.map(categoryId => ({ subscriberId: subscriber.subscriberId, categoryId })),
+          { transaction }
+        );
+      }
+    });
+
+    return this.getPreferences(token);
+  }
+
+  /**
+   * Query options selecting the active subscribers of a segment
+   * @param {Object|null} segment - Segment; null selects every active subscriber
+   * @param {Array<string>} segment.categoryIds - Subscribers interested in any of these categories
+   * @param {string|Date} segment.subscribedAfter - Subscribers added after this date
+   * @returns {Object} where and include options for NewsletterSubscriber
+   */
+  segmentQuery(segment) {
+    const where = { subscriptionStatus: 'active' };
+    const include = [];
+
+    if (segment && segment.subscribedAfter) {
+      where.createdAt = { [Op.gt]: new Date(segment.subscribedAfter) };
+    }
+    if (segment && segment.categoryIds && segment.categoryIds.length) {
+      include.push({
+        model: ContentCategory,
+        as: 'interests',
+        where: { categoryId: segment.categoryIds },
+        attributes: [],
+        through: { attributes: [] },
+        required: true
+      });
+    }
+
+    return { where, include };
+  }
+
+  /**
+   * Count the active subscribers of a segment
+   * @param {Object|null} segment - Segment, see segmentQuery
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<number>} Recipient count
+   */
+  async countSegment(segment, transaction = null) {
+    return NewsletterSubscriber.count({
+      ...this.segmentQuery(segment),
+      distinct: true,
+      col: 'subscriberId',
+      transaction
+    });
+  }
+
+  /**
+   * Validate a segment and normalise it for storage
+   * @param {Object|null} segment - Segment, see segmentQuery
+   * @returns {Promise<Object|null>} Normalised segment, or null for all active subscribers
+   */
+  async normalizeSegment(segment) {
+    if (!segment) {
+      return null;
+    }
+
+    const normalized = {};
+    if (segment.categoryIds && segment.categoryIds.length) {
+      normalized.categoryIds = [...new Set(segment.categoryIds)];
+      await categoryService.assertCategoryType(normalized.categoryIds, 'article');
+    }
+    if (segment.subscribedAfter) {
+      normalized.subscribedAfter = new Date(segment.subscribedAfter).toISOString();
+    }
+
+    return Object.keys(normalized).length ? normalized : null;
+  }
+
+  /**
+   * List subscribers
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.status - Subscription status
+   * @param {number} page - Page number
+   * @param {number} limit - Records per page
+   * @returns {Promise<Object>} Paginated subscribers
+   */
+  async listSubscribers(filters = {}, page = 1, limit = 20) {
+    return this.repository.findAll({
+      where: filters.status ? { subscriptionStatus: filters.status } : {},
+      attributes: { exclude: ['unsubscribeToken'] },
+      order: [['createdAt', 'DESC']]
+    }, page, limit);
+  }
+
+  /**
+   * Public unsubscribe link of a subscriber
+   * @param {Object} subscriber - Newsletter subscriber
+   * @returns {string} Unsubscribe URL
+   */
+  unsubscribeUrl(subscriber) {
+    return `${config.newsletter.unsubscribeUrl}?token=${encodeURIComponent(subscriber.unsubscribeToken)}`;
+  }
+
+  /**
+   * Preference center link of a subscriber
+   * @param {Object} subscriber - Newsletter subscriber
+   * @returns {string} Preferences URL
+   */
+  preferencesUrl(subscriber) {
+    return `${config.newsletter.preferencesUrl}?token=${encodeURIComponent(subscriber.unsubscribeToken)}`;
+  }
+
+  /**
+   * Signed one-click unsubscribe URL for the List-Unsubscribe header.
+   * It does not expire, as mail can be acted on long after it was sent.
+   * @param {Object} subscriber - Newsletter subscriber
+   * @param {string} campaignId - Campaign being sent
+   * @returns {string} One-click unsubscribe URL
+   */
+  oneClickUnsubscribeUrl(subscriber, campaignId = null) {
+    const token = jwt.sign(
+      { sub: subscriber.subscriberId, cid: campaignId, purpose: ONE_CLICK_PURPOSE },
+      config.newsletter.tokenSecret
+    );
+    return `${config.newsletter.oneClickUnsubscribeUrl}?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Generate a random unsubscribe token
+   * @returns {string} Hex token
+   */
+  generateUnsubscribeToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+}
+
+module.exports = new NewsletterService();
+module.exports.SUBSCRIPTION_STATUSES = SUBSCRIPTION_STATUSES;
+module.exports.UNSUBSCRIBE_REASONS = UNSUBSCRIBE_REASONS;
@@ -0,0 +1,295 @@
+const { sequelize, models } = require('../db/models');
+const { Op } = require('sequelize');
+const BaseRepository = require('../repositories/base.repository');
+const categoryService = require('./category.service');
+const { createHttpError, resolveSlug, isUuid, syncAssignments } = require('../utils/businessHelpers');
+
+const {
+  PortfolioProject,
+  ContentCategory,
+  TechnicalExpertise,
+  ProjectCategoryAssignment,
+  ProjectTechnologyAssignment
+} = models;
+
+const EDITABLE_FIELDS = [
+  'projectTitle',
+  'projectDescription',
+  'completionDate',
+  'isFeatured',
+  'thumbnailImage',
+  'publicationStatus',
+  'projectOutcomes',
+  'businessImpact',
+  'implementationApproach'
+];
+
+const PROJECT_INCLUDES = [
+  {
+    model: ContentCategory,
+    as: 'categories',
+    attributes: ['categoryId', 'categoryName', 'categorySlug'],
+    through: { attributes: [] }
+  },
+  {
+    model: TechnicalExpertise,
+    as: 'technologies',
+    attributes: ['expertiseId', 'expertiseName', 'expertiseSlug', 'iconIdentifier'],
+    through: { attributes: [] }
+  }
+];
+
+/**
+ * Service for managing portfolio projects
+ */
+class PortfolioService {
+  constructor() {
+    this.repository = new BaseRepository(PortfolioProject);
+  }
+
+  /**
+   * List portfolio projects
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.category - Category ID or slug
+   * @param {string} filters.technology - Technology ID or slug
+   * @param {boolean} filters.featured - Featured flag
+   * @param {string} filters.status - Publication status (ignored for public listings)
+   * @param {boolean} filters.includeUnpublished - Whether non-published projects may be returned
+   * @param {number} page - Page number
+   * @param {number} limit - Records per page
+   * @returns {Promise<Object>} Paginated projects
+   */
+  async listProjects(filters = {}, page = 1, limit = 10) {
+    const where = {};
+    const conditions = [];
+
+    if (!filters.includeUnpublished) {
+      where.publicationStatus = 'published';
+    } else if (filters.status) {
+      where.publicationStatus = filters.status;
+    }
+
+    if (filters.featured !== undefined) {
+      where.isFeatured = filters.featured;
+    }
+
+    if (filters.category) {
+      const projectIds = await this.findProjectIdsByCategory(filters.category);
+      conditions.push({ projectId: { [Op.in]: projectIds } });
+    }
+
+    if (filters.technology) {
+      const projectIds = await this.findProjectIdsByTechnology(filters.technology);
+      conditions.push({ projectId: { [Op.in]: projectIds } });
+    }
+
+    if (conditions.length) {
+      where[Op.and] = conditions;
+    }
+
+    return this.repository.findAll({
+      where,
+      include: PROJECT_INCLUDES,
+      distinct: true,
+      order: [['isFeatured', 'DESC'], ['createdAt', 'DESC']]
+    }, page, limit);
+  }
+
+  /**
+   * Get a project by its slug
+   * @param {string} projectSlug - Project slug
+   * @param {boolean} includeUnpublished - Whether non-published projects may be returned
+   * @returns {Promise<Object|null>} Project or null
+   */
+  async getProjectBySlug(projectSlug, includeUnpublished = false) {
+    const where = { projectSlug };
+    if (!includeUnpublished) {
+      where.publicationStatus = 'published';
+    }
+
+    return PortfolioProject.findOne({ where, include: PROJECT_INCLUDES });
+  }
+
+  /**
+   * Get a project by ID
+   * @param {string} projectId - Project ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Object|null>} Project or null
+   */
+  async getProjectById(projectId, options = {}) {
+    return PortfolioProject.findByPk(projectId, { include: PROJECT_INCLUDES, ...options });
+  }
+
+  /**
+   * Create a portfolio project
+   * @param {string} accountId - Owning account ID
+   * @param {Object} data - Project data
+   * @returns {Promise<Object>} Created project
+   */
+  async createProject(accountId, data) {
+    const projectId = await sequelize.transaction(async (transaction) => {
+      const attributes = this.pickEditableFields(data);
+      attributes.accountId = accountId;
+      attributes.projectSlug = await resolveSlug(PortfolioProject, 'projectSlug', {
+        requestedSlug: data.projectSlug,
+        text: data.projectTitle,
+        transaction
+      });
+
+      const project = await PortfolioProject.create(attributes, { transaction });
+
+      if (data.categoryIds) {
+        await this.syncCategories(project.projectId, data.categoryIds, transaction);
+      }
+      if (data.technologyIds) {
+        await this.syncTechnologies(project.projectId, data.technologyIds, transaction);
+      }
+
+      return project.projectId;
+    });
+
+    return this.getProjectById(projectId);
+  }
+
+  /**
+   * Update a portfolio project
+   * @param {string} projectId - Project ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object|null>} Updated project or null when not found
+   */
+  async updateProject(projectId, data) {
+    const updated = await sequelize.transaction(async (transaction) => {
+      const project = await PortfolioProject.findByPk(projectId, { transaction });
+      if (!project) {
+        return false;
+      }
+
+      const attributes = this.pickEditableFields(data);
+      if (data.projectSlug !== undefined && data.projectSlug !== project.projectSlug) {
+        attributes.projectSlug = await resolveSlug(PortfolioProject, 'projectSlug', {
+          requestedSlug: data.projectSlug,
+          exclude: { projectId },
+          transaction
+        });
+      }
+
+      await project.update(attributes, { transaction });
+
+      if (data.categoryIds) {
+        await this.syncCategories(projectId, data.categoryIds, transaction);
+      }
+      if (data.technologyIds) {
+        await this.syncTechnologies(projectId, data.technologyIds, transaction);
+      }
+
+      return true;
+    });
+
+    return updated ? this.getProjectById(projectId) : null;
+  }
+
+  /**
+   * Delete a portfolio project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<boolean>} Whether a project was deleted
+   */
+  async deleteProject(projectId) {
+    const deleted = await PortfolioProject.destroy({ where: { projectId } });
+    return deleted > 0;
+  }
+
+  /**
+   * Copy the editable attributes present in the payload
+   * @param {Object} data - Request payload
+   * @returns {Object} Model attributes
+   */
+  pickEditableFields(data) {
+    return EDITABLE_FIELDS.reduce((attributes, field) => {
+      if (data[field] !== undefined) {
+        attributes[field] = data[field];
+      }
+      return attributes;
+    }, {});
+  }
+
+  /**
+   * Replace the category assignments of a project
+   * @param {string} projectId - Project ID
+   * @param {Array<string>} categoryIds - Category IDs to keep
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async syncCategories(projectId, categoryIds, transaction) {
+    const uniqueIds = [...new Set(categoryIds)];
+    await categoryService.assertCategoryType(uniqueIds, 'project', transaction);
+
+    await syncAssignments(ProjectCategoryAssignment, {
+      ownerKey: 'projectId',
+      ownerId: projectId,
+      key: 'categoryId',
+      ids: uniqueIds,
+      transaction
+    });
+  }
+
+  /**
+   * Replace the technology assignments of a project
+   * @param {string} projectId - Project ID
+   * @param {Array<string>} technologyIds - Technical expertise IDs to keep
+   * @param {Object} transaction - Sequelize transaction
+   */
+  async syncTechnologies(projectId, technologyIds, transaction) {
+    const uniqueIds = [...new Set(technologyIds)];
+    const found = await TechnicalExpertise.count({ where: { expertiseId: uniqueIds }, transaction });
+    if (found !== uniqueIds.length) {
+      throw createHttpError(400, 'One or more technologies do not exist');
+    }
+
+    await syncAssignments(ProjectTechnologyAssignment, {
+      ownerKey: 'projectId',
+      ownerId: projectId,
+      key: 'expertiseId',
+      ids: uniqueIds,
+      transaction
+    });
+  }
+
+  /**
+   * Find IDs of projects assigned to a category
+   * @param {string} category - Category ID or slug
+   * @returns {Promise<Array<string>>} Project IDs
+   */
+  async findProjectIdsByCategory(category) {
+    const where = isUuid(category) ? { categoryId: category } : { categorySlug: category };
+    const record = await ContentCategory.findOne({ where, attributes: ['categoryId'] });
+    if (!record) {
+      return [];
+    }
+
+    const rows = await ProjectCategoryAssignment.findAll({
+      where: { categoryId: record.categoryId },
+      attributes: ['projectId']
+    });
+    return rows.map(row => row.projectId);
+  }
+
+  /**
+   * Find IDs of projects using a technology
+   * @param {string} technology - Technical expertise ID or slug
+   * @returns {Promise<Array<string>>} Project IDs
+   */
+  async findProjectIdsByTechnology(technology) {
+    const where = isUuid(technology) ? { expertiseId: technology } : { expertiseSlug: technology };
+    const record = await TechnicalExpertise.findOne({ where, attributes: ['expertiseId'] });
+    if (!record) {
+      return [];
+    }
+
+    const rows = await ProjectTechnologyAssignment.findAll({
+      where: { expertiseId: record.expertiseId },
+      attributes: ['projectId']
+    });
+    return rows.map(row => row.projectId);
+  }
+}
+
+module.exports = new PortfolioService();
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Op } = require('sequelize');
+const { models } = require('../db/models');
+const digitalAssetService = require('./digitalAssetService');
+const { createHttpError } = require('../utils/businessHelpers');
+const config = require('../config');
+
+const { AssetUpload } = models;
+const { ASSET_VISIBILITIES } = digitalAssetService;
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'termination', 'expiration'];
+// The largest per-type limit; the real limit is checked once the type is known
+const MAX_UPLOAD_SIZE = Math.max(...Object.values(config.storage.maxFileSize));
+// Upload-Metadata keys kept with an upload; tus clients may send others
+const METADATA_KEYS = ['filename', 'filetype', 'assetName', 'alternativeText', 'visibility'];
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Service for tus 1.0 resumable uploads. Chunks are appended to a staging
+ * file; the completed file becomes a DigitalAsset through
+ * digitalAssetService.createAsset, like a regular upload.
+ */
+class ResumableUploadService {
+  constructor() {
+    // Uploads currently receiving a PATCH, so concurrent writers are refused
+    this.active = new Set();
+  }
+
+  /**
+   * Decode an Upload-Metadata header ("key base64value" pairs separated by commas)
+   * @param {string} header - Header value
+   * @returns {Object} Known keys with their decoded values
+   */
+  parseMetadata(header) {
+    const metadata = {};
+    if (!header) {
+      return metadata;
+    }
+
+    for (const pair of header.split(',')) {
+      const [key, value = '', ...rest] = pair.trim().split(' ');
+      if (!key || rest.length || !/^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+        throw createHttpError(400, 'Invalid Upload-Metadata');
+      }
+      if (METADATA_KEYS.includes(key)) {
+        metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+      }
+    }
+
+    if (metadata.visibility && !ASSET_VISIBILITIES.includes(metadata.visibility)) {
+      throw createHttpError(400, `visibility must be one of ${ASSET_VISIBILITIES.join(', ')}`);
+    }
+    ['filename', 'assetName', 'alternativeText'].forEach(key => {
+      if (metadata[key] && metadata[key].length > 255) {
+        throw createHttpError(400, `${key} must be at most 255 characters`);
+      }
+    });
+    return metadata;
+  }
+
+  /**
+   * Encode stored metadata back into an Upload-Metadata header
+   * @param {Object} metadata - Decoded metadata
+   * @returns {string} Header value
+   */
+  encodeMetadata(metadata) {
+    return Object.entries(metadata)
+      .map(([key, value]) => `${key} ${Buffer.from(value, 'utf8').toString('base64')}`)
+      .join(',');
+  }
+
+  /**
+   * Start an upload with an empty staging file. The quota is checked against
+   * the declared length now, and again when the asset is created.
+   * @param {string} accountId - Uploading account
+   * @param {number} uploadLength - Declared size in bytes
+   * @param {Object} metadata - Decoded Upload-Metadata
+   * @returns {Promise<Object>} Created AssetUpload
+   */
+  async createUpload(accountId, uploadLength, metadata) {
+    if (uploadLength > MAX_UPLOAD_SIZE) {
+      throw createHttpError(413, `Uploads may be at most ${Math.round(MAX_UPLOAD_SIZE / 1024)} KB`);
+    }
+    const usedBytes = await digitalAssetService.usedBytes(accountId);
+    if (usedBytes + uploadLength > config.storage.accountQuota) {
+      throw createHttpError(413, 'Storage quota exceeded');
+    }
+
+    const upload = await AssetUpload.create({
+      uploadedBy: accountId,
+      uploadLength,
+      metadata,
+      expiresAt: this.nextExpiry()
+    });
+
+    await fs.promises.mkdir(config.storage.resumableUploads.directory, { recursive: true });
+    await fs.promises.writeFile(this.stagingPath(upload.uploadId), '');
+    return upload;
+  }
+
+  /**
+   * Get an upload of an account
+   * @param {string} uploadId - Upload ID
+   * @param {string} accountId - Requesting account
+   * @returns {Promise<Object|null>} AssetUpload, or null when missing or not the account's
+   */
+  async getUpload(uploadId, accountId) {
+    return AssetUpload.findOne({ where: { uploadId, uploadedBy: accountId } });
+  }
+
+  /**
+   * Whether an upload has passed its expiry and may be removed at any time
+   * @param {Object} upload - AssetUpload
+   * @returns {boolean}
+   */
+  isExpired(upload) {
+    return upload.expiresAt <= new Date();
+  }
+
+  /**
+   * Append a PATCH body to an upload and finalize the upload once it is
+   * complete. Whatever was received is kept when the body is cut short, so
+   * the client can resume from the new offset.
+   * @param {Object} upload - AssetUpload
+   * @param {number} offset - Upload-Offset sent by the client
+   * @param {Object} stream - Request body stream
+   * @returns {Promise<Object>} The upload and, once finalized, the created asset
+   */
+  async appendChunk(upload, offset, stream) {
+    if (upload.assetId) {
+      throw createHttpError(409, 'Upload is already complete');
+    }
+    if (offset !== upload.uploadOffset) {
+      throw createHttpError(409, 'Upload-Offset does not match the current offset');
+    }
+    if (this.active.has(upload.uploadId)) {
+      throw createHttpError(423, 'Upload is already receiving data');
+    }
+
+    this.active.add(upload.uploadId);
+    try {
+      const stagingPath = this.stagingPath(upload.uploadId);
+      try {
+        // Drop bytes written by a request that failed before its offset was saved
+        await fs.promises.truncate(stagingPath, upload.uploadOffset);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        await upload.destroy();
+        throw createHttpError(410, 'Upload data is no longer available');
+      }
+
+      let writeError = null;
+      try {
+        await pipeline(stream, this.lengthLimit(upload.uploadLength - offset), fs.createWriteStream(stagingPath, { flags: 'a' }));
+      } catch (error) {
+        writeError = error;
+      }
+
+      const { size } = await fs.promises.stat(stagingPath);
+      await upload.update({ uploadOffset: size, expiresAt: this.nextExpiry() });
+      if (writeError) {
+        throw writeError;
+      }
+
+      if (upload.uploadOffset < upload.uploadLength) {
+        return { upload };
+      }
+      const asset = await this.finalize(upload);
+      return { upload, asset };
+    } finally {
+      this.active.delete(upload.uploadId);
+    }
+  }
+
+  /**
+   * Transform failing once more bytes pass than an upload has left
+   * @param {number} remaining - Bytes the upload still expects
+   * @returns {Object} Transform stream
+   */
+  lengthLimit(remaining) {
+    let received = 0;
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > remaining) {
+          return callback(createHttpError(413, 'Data exceeds the declared Upload-Length'));
+        }
+        callback(null, chunk);
+      }
+    });
+  }
+
+  /**
+   * Turn a complete upload into an asset through the regular upload path
+   * (type sniffing, size limits, quota, deduplication, variants). The
+   * staging file is gone afterwards; an upload that fails here cannot be
+   * retried and is removed.
+   * @param {Object} upload - Complete AssetUpload
+   * @returns {Promise<Object>} Created asset
+   */
+  async finalize(upload) {
+    const stagingPath = this.stagingPath(upload.uploadId);
+    const { filename, assetName, alternativeText, visibility } = upload.metadata;
+
+    try {
+      const asset = await digitalAssetService.createAsset(upload.uploadedBy, {
+        path: stagingPath,
+        size: upload.uploadLength,
+        originalname: filename || 'upload'
+      }, { assetName, alternativeText, visibility });
+      await upload.update({ assetId: asset.assetId });
+      return asset;
+    } catch (error) {
+      await upload.destroy();
+      throw error;
+    } finally {
+      await fs.promises.rm(stagingPath, { force: true });
+    }
+  }
+
+  /**
+   * Abandon an upload and remove its data
+   * @param {Object} upload - AssetUpload
+   * @returns {Promise<void>}
+   */
+  async terminate(upload) {
+    await upload.destroy();
+    await fs.promises.rm(this.stagingPath(upload.uploadId), { force: true });
+  }
+
+  /**
+   * Remove every upload past its expiry, finished or not
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Uploads removed
+   */
+  async expireUploads(now = new Date()) {
+    const uploads = await AssetUpload.findAll({ where: { expiresAt: { [Op.lte]: now } } });
+    for (const upload of uploads) {
+      // Never pull the staging file from under a request still writing it
+      if (!this.active.has(upload.uploadId)) {
+        await this.terminate(upload);
+      }
+    }
+    return uploads.length;
+  }
+
+  /**
+   * Expiry of an upload that is created or resumed now
+   * @returns {Date} Expiry
+   */
+  nextExpiry() {
+    return new Date(Date.now() + config.storage.resumableUploads.expiryHours * HOUR_MS);
+  }
+
+  /**
+   * Path of an upload's staging file
+   * @param {string} uploadId - Upload ID
+   * @returns {string} Absolute path
+   */
+  stagingPath(uploadId) {
+    return path.join(config.storage.resumableUploads.directory, uploadId);
+  }
+}
+
+module.exports = new ResumableUploadService();
+module.exports.TUS_VERSION = TUS_VERSION;
+module.exports.TUS_EXTENSIONS = TUS_EXTENSIONS;
+module.exports.MAX_UPLOAD_SIZE = MAX_UPLOAD_SIZE;
@@ -0,0 +1,581 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { createHttpError } = require('../utils/businessHelpers');
+const config = require('../config');
+
+// Error codes the drivers report for a key that does not exist
+const NOT_FOUND_CODES = ['ENOENT', 'NoSuchKey', 'NotFound'];
+// For keys whose content never changes once written
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+// Keys under this prefix are never served without a signed URL
+const PRIVATE_KEY_PREFIX = 'private';
+// Responses to signed URLs must not outlive the URL in shared caches
+const SIGNED_CACHE_CONTROL = 'private, no-store';
+
+/**
+ * Validate a storage key. Keys are relative, slash-separated paths such as
+ * "assets/2025/10/<id>.png" and mean the same thing for every driver.
+ * @param {string} key - Storage key
+ * @returns {string} The key
+ */
+function normalizeKey(key) {
+  if (typeof key !== 'string' || !key || key.startsWith('/') || key.includes('\\')) {
+    throw createHttpError(400, 'Invalid storage key');
+  }
+  if (key.split('/').some(segment => !segment || segment === '.' || segment === '..')) {
+    throw createHttpError(400, 'Invalid storage key');
+  }
+  return key;
+}
+
+/**
+ * URL-encode each segment of a storage key
+ * @param {string} key - Storage key
+ * @returns {string} Encoded key
+ */
+function encodeKey(key) {
+  return key.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Whether a driver error means the key does not exist
+ * @param {Error} error - Driver error
+ * @returns {boolean}
+ */
+function isNotFoundError(error) {
+  return NOT_FOUND_CODES.includes(error.code) || error.statusCode === 404;
+}
+
+/**
+ * Driver storing files in a directory on the local filesystem
+ */
+class LocalStorageDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.root - Directory files are stored under
+   * @param {string} options.publicUrl - Base URL the directory is served from
+   * @param {string} options.signingSecret - Secret for signed URLs
+   */
+  constructor({ root, publicUrl, signingSecret }) {
+    this.root = path.resolve(root);
+    this.baseUrl = publicUrl.replace(/\/+$/, '');
+    this.signingSecret = signingSecret;
+  }
+
+  /**
+   * Filesystem path of a key
+   * @param {string} key - Storage key
+   * @returns {string} Absolute path
+   */
+  resolve(key) {
+    return path.join(this.root, ...key.split('/'));
+  }
+
+  /**
+   * Write a buffer or stream; readers never see a partly written file
+   * @param {string} key - Storage key
+   * @param {Buffer|Object} body - Buffer or readable stream
+   * @returns {Promise<void>}
+   */
+  async put(key, body) {
+    const destination = this.resolve(key);
+    const tempPath = `${destination}.${uuidv4()}.tmp`;
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+
+    try {
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(tempPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(tempPath));
+      }
+      await fs.promises.rename(tempPath, destination);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Move a local file into storage
+   * @param {string} key - Storage key
+   * @param {string} filePath - File to move
+   * @returns {Promise<void>}
+   */
+  async putFile(key, filePath) {
+    const destination = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+
+    try {
+      await fs.promises.rename(filePath, destination);
+    } catch (error) {
+      // The temporary directory may be on another device
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await this.put(key, fs.createReadStream(filePath));
+      await fs.promises.unlink(filePath);
+    }
+  }
+
+  /**
+   * Read a stored file
+   * @param {string} key - Storage key
+   * @param {Object} range - Optional inclusive start and end byte offsets
+   * @returns {Object} Readable stream
+   */
+  getStream(key, range = {}) {
+    return fs.createReadStream(this.resolve(key), { start: range.start, end: range.end });
+  }
+
+  /**
+   * Copy a stored file to another key
+   * @param {string} sourceKey - Existing key
+   * @param {string} key - Destination key
+   * @returns {Promise<void>}
+   */
+  async copy(sourceKey, key) {
+    await this.put(key, fs.createReadStream(this.resolve(sourceKey)));
+  }
+
+  /**
+   * Delete a stored file; missing files are ignored
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  /**
+   * Delete every file stored below a key prefix
+   * @param {string} prefix - Key prefix, without the trailing slash
+   * @returns {Promise<void>}
+   */
+  async deletePrefix(prefix) {
+    await fs.promises.rm(this.resolve(prefix), { recursive: true, force: true });
+  }
+
+  /**
+   * Whether a file is stored under a key
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>}
+   */
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Public URL of a stored file
+   * @param {string} key - Storage key
+   * @returns {string} URL
+   */
+  publicUrl(key) {
+    return `${this.baseUrl}/${encodeKey(key)}`;
+  }
+
+  /**
+   * Expiring URL of a stored file, signed with an HMAC the app verifies
+   * before serving it (see verifySignedUrl)
+   * @param {string} key - Storage key
+   * @param {Object} options - expiresAt plus optional contentType and contentDisposition
+   * @returns {string} URL
+   */
+  signedUrl(key, { expiresAt, contentType, contentDisposition }) {
+    const query = new URLSearchParams({ expires: String(Math.floor(expiresAt.getTime() / 1000)) });
+    if (contentType) {
+      query.set('type', contentType);
+    }
+    if (contentDisposition) {
+      query.set('disposition', contentDisposition);
+    }
+    query.set('sig', this.signature(key, query));
+    return `${this.publicUrl(key)}?${query}`;
+  }
+
+  /**
+   * Check the query of a signed URL
+   * @param {string} key - Storage key from the URL path
+   * @param {Object} query - Parsed query with expires, type, disposition and sig
+   * @returns {boolean} Whether the signature is valid and unexpired
+   */
+  verifySignedUrl(key, query) {
+    const expires = parseInt(query.expires, 10);
+    if (!expires || expires * 1000 < Date.now() || typeof query.sig !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signature(key, new URLSearchParams({
+      expires: query.expires,
+      ...(query.type && { type: query.type }),
+      ...(query.disposition && { disposition: query.disposition })
+    })));
+    const actual = Buffer.from(query.sig);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * HMAC over a key and the signed query parameters
+   * @param {string} key - Storage key
+   * @param {Object} query - URLSearchParams with expires, type and disposition
+   * @returns {string} base64url signature
+   */
+  signature(key, query) {
+    const payload = [key, query.get('expires'), query.get('type') || '', query.get('disposition') || ''].join('\n');
+    return crypto.createHmac('sha256', this.signingSecret).update(payload).digest('base64url');
+  }
+}
+
+/**
+ * Driver storing files in an S3 bucket or an S3-compatible service such as MinIO
+ */
+class S3StorageDriver {
+  /**
+   * @param {Object} options - config.storage.s3 plus an optional publicUrl
+   */
+  constructor(options) {
+    // Loaded here so the local driver does not pay for the SDK
+    const AWS = require('aws-sdk');
+
+    if (!options.bucket) {
+      throw new Error('AWS_S3_BUCKET_NAME is required for the s3 storage driver');
+    }
+
+    this.bucket = options.bucket;
+    this.client = new AWS.S3({
+      region: options.region,
+      endpoint: options.endpoint || undefined,
+      s3ForcePathStyle: options.forcePathStyle,
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey,
+      signatureVersion: 'v4'
+    });
+    this.baseUrl = (options.publicUrl || this.bucketUrl(options)).replace(/\/+$/, '');
+  }
+
+  /**
+   * URL of the bucket itself, used when no public URL is configured
+   * @param {Object} options - Driver options
+   * @returns {string} URL
+   */
+  bucketUrl(options) {
+    if (!options.endpoint) {
+      return `https://${this.bucket}.s3.${options.region}.amazonaws.com`;
+    }
+
+    const endpoint = new URL(options.endpoint);
+    if (options.forcePathStyle) {
+      return `${endpoint.origin}/${this.bucket}`;
+    }
+    return `${endpoint.protocol}//${this.bucket}.${endpoint.host}`;
+  }
+
+  /**
+   * Upload a buffer or stream
+   * @param {string} key - Storage key
+   * @param {Buffer|Object} body - Buffer or readable stream
+   * @param {Object} options - Optional contentType and cacheControl
+   * @returns {Promise<void>}
+   */
+  async put(key, body, options = {}) {
+    await this.client.upload({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: options.contentType,
+      CacheControl: options.cacheControl
+    }).promise();
+  }
+
+  /**
+   * Upload a local file and remove it afterwards
+   * @param {string} key - Storage key
+   * @param {string} filePath - File to upload
+   * @param {Object} options - Optional contentType and cacheControl
+   * @returns {Promise<void>}
+   */
+  async putFile(key, filePath, options = {}) {
+    await this.put(key, fs.createReadStream(filePath), options);
+    await fs.promises.unlink(filePath);
+  }
+
+  /**
+   * Read a stored object
+   * @param {string} key - Storage key
+   * @param {Object} range - Optional inclusive start and end byte offsets
+   * @returns {Object} Readable stream
+   */
+  getStream(key, range = {}) {
+    const params = { Bucket: this.bucket, Key: key };
+    if (range.start !== undefined || range.end !== undefined) {
+      params.Range = `bytes=${range.start || 0}-${range.end !== undefined ? range.end : ''}`;
+    }
+    return this.client.getObject(params).createReadStream();
+  }
+
+  /**
+   * Copy a stored object to another key, keeping its metadata
+   * @param {string} sourceKey - Existing key
+   * @param {string} key - Destination key
+   * @returns {Promise<void>}
+   */
+  async copy(sourceKey, key) {
+    await this.client.copyObject({
+      Bucket: this.bucket,
+      CopySource: `${this.bucket}/${encodeKey(sourceKey)}`,
+      Key: key
+    }).promise();
+  }
+
+  /**
+   * Delete a stored object; S3 treats missing keys as deleted
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.client.deleteObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+
+  /**
+   * Delete every object stored below a key prefix
+   * @param {string} prefix - Key prefix, without the trailing slash
+   * @returns {Promise<void>}
+   */
+  async deletePrefix(prefix) {
+    let ContinuationToken;
+    do {
+      const page = await this.client.listObjectsV2({
+        Bucket: this.bucket,
+        Prefix: `${prefix}/`,
+        ContinuationToken
+      }).promise();
+
+      if (page.Contents.length) {
+        await this.client.deleteObjects({
+          Bucket: this.bucket,
+          Delete: { Objects: page.Contents.map(({ Key }) => ({ Key })), Quiet: true }
+        }).promise();
+      }
+      ContinuationToken = page.NextContinuationToken;
+    } while (ContinuationToken);
+  }
+
+  /**
+   * Whether an object is stored under a key
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>}
+   */
+  async exists(key) {
+    try {
+      await this.client.headObject({ Bucket: this.bucket, Key: key }).promise();
+      return true;
+    } catch (error) {
+      if (isNotFoundError(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Public URL of a stored object
+   * @param {string} key - Storage key
+   * @returns {string} URL
+   */
+  publicUrl(key) {
+    return `${this.baseUrl}/${encodeKey(key)}`;
+  }
+
+  /**
+   * Expiring presigned GET URL of a stored object
+   * @param {string} key - Storage key
+   * @param {Object} options - expiresAt plus optional contentType and contentDisposition
+   * @returns {string} URL
+   */
+  signedUrl(key, { expiresAt, contentType, contentDisposition }) {
+    return this.client.getSignedUrl('getObject', {
+      Bucket: this.bucket,
+      Key: key,
+      Expires: Math.max(Math.ceil((expiresAt.getTime() - Date.now()) / 1000), 1),
+      ResponseContentType: contentType,
+      ResponseContentDisposition: contentDisposition,
+      ResponseCacheControl: SIGNED_CACHE_CONTROL
+    });
+  }
+
+  /**
+   * S3 checks its own signatures; requests never reach the app
+   * @returns {boolean} Always false
+   */
+  verifySignedUrl() {
+    return false;
+  }
+}
+
+const STORAGE_DRIVERS = {
+  local: LocalStorageDriver,
+  s3: S3StorageDriver
+};
+
+/**
+ * Service for reading and writing stored files through the configured driver
+ */
+class StorageService {
+  constructor() {
+    this.driver = null;
+  }
+
+  /**
+   * The configured driver, created on first use
+   * @returns {Object} Storage driver
+   */
+  getDriver() {
+    if (!this.driver) {
+      const Driver = STORAGE_DRIVERS[config.storage.driver];
+      if (!Driver) {
+        throw new Error(`Unknown storage driver "${config.storage.driver}"`);
+      }
+
+      this.driver = config.storage.driver === 'local'
+        ? new Driver({
+          root: config.storage.localRoot,
+          publicUrl: config.storage.publicUrl || `${config.app.apiUrl}/uploads`,
+          signingSecret: config.storage.signedUrls.secret
+        })
+        : new Driver({ ...config.storage.s3, publicUrl: config.storage.publicUrl });
+    }
+    return this.driver;
+  }
+
+  /**
+   * Store a buffer or stream
+   * @param {string} key - Storage key
+   * @param {Buffer|Object} body - Buffer or readable stream
+   * @param {Object} options - Optional contentType and cacheControl
+   * @returns {Promise<void>}
+   */
+  put(key, body, options = {}) {
+    return this.getDriver().put(normalizeKey(key), body, options);
+  }
+
+  /**
+   * Move a local file, such as a finished upload, into storage
+   * @param {string} key - Storage key
+   * @param {string} filePath - File to move
+   * @param {Object} options - Optional contentType and cacheControl
+   * @returns {Promise<void>}
+   */
+  putFile(key, filePath, options = {}) {
+    return this.getDriver().putFile(normalizeKey(key), filePath, options);
+  }
+
+  /**
+   * Read a stored file. A missing key surfaces as an error event on the
+   * stream; check it with isNotFoundError.
+   * @param {string} key - Storage key
+   * @param {Object} range - Optional inclusive start and end byte offsets
+   * @returns {Object} Readable stream
+   */
+  getStream(key, range = {}) {
+    return this.getDriver().getStream(normalizeKey(key), range);
+  }
+
+  /**
+   * Read a whole stored file into memory
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer>} File contents
+   */
+  async getBuffer(key) {
+    const chunks = [];
+    for await (const chunk of this.getStream(key)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Copy a stored file to another key
+   * @param {string} sourceKey - Existing key
+   * @param {string} key - Destination key
+   * @returns {Promise<void>}
+   */
+  copy(sourceKey, key) {
+    return this.getDriver().copy(normalizeKey(sourceKey), normalizeKey(key));
+  }
+
+  /**
+   * Delete a stored file
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  delete(key) {
+    return this.getDriver().delete(normalizeKey(key));
+  }
+
+  /**
+   * Delete every file stored below a key prefix, e.g. "derivatives/<assetId>"
+   * @param {string} prefix - Key prefix, without the trailing slash
+   * @returns {Promise<void>}
+   */
+  deletePrefix(prefix) {
+    return this.getDriver().deletePrefix(normalizeKey(prefix));
+  }
+
+  /**
+   * Whether a file is stored under a key
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>}
+   */
+  exists(key) {
+    return this.getDriver().exists(normalizeKey(key));
+  }
+
+  /**
+   * Public URL of a stored file
+   * @param {string} key - Storage key
+   * @returns {string} URL
+   */
+  publicUrl(key) {
+    return this.getDriver().publicUrl(normalizeKey(key));
+  }
+
+  /**
+   * Expiring URL granting access to a stored file without its being public
+   * @param {string} key - Storage key
+   * @param {Object} options - Signing options
+   * @param {Date} options.expiresAt - When the URL stops working
+   * @param {string} options.contentType - Optional Content-Type of the response
+   * @param {string} options.contentDisposition - Optional Content-Disposition of the response
+   * @returns {string} URL
+   */
+  signedUrl(key, options) {
+    return this.getDriver().signedUrl(normalizeKey(key), options);
+  }
+
+  /**
+   * Check a signed URL served by the app (local driver)
+   * @param {string} key - Storage key from the URL path
+   * @param {Object} query - Parsed query string
+   * @returns {boolean} Whether access is granted
+   */
+  verifySignedUrl(key, query) {
+    return this.getDriver().verifySignedUrl(normalizeKey(key), query);
+  }
+}
+
+module.exports = new StorageService();
+module.exports.isNotFoundError = isNotFoundError;
+module.exports.normalizeKey = normalizeKey;
+module.exports.IMMUTABLE_CACHE_CONTROL = IMMUTABLE_CACHE_CONTROL;
+module.exports.PRIVATE_KEY_PREFIX = PRIVATE_KEY_PREFIX;
+module.exports.SIGNED_CACHE_CONTROL = SIGNED_CACHE_CONTROL;
+module.exports.LocalStorageDriver = LocalStorageDriver;
+module.exports.S3StorageDriver = S3StorageDriver;
+module.exports.STORAGE_DRIVERS = STORAGE_DRIVERS;
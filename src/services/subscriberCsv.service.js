@@ -0,0 +1,283 @@
+const fs = require('fs');
+const { parse } = require('csv-parse');
+const { stringify } = require('csv-stringify');
+const { Op, Validator } = require('sequelize');
+const { models } = require('../db/models');
+const newsletterService = require('./newsletter.service');
+const config = require('../config');
+
+const { NewsletterSubscriber } = models;
+
+// Header spellings used by common mailing list providers, keyed by attribute
+const COLUMN_ALIASES = {
+  emailAddress: ['email', 'emailaddress', 'email_address', 'e-mail'],
+  subscriberName: ['name', 'subscribername', 'subscriber_name', 'full_name', 'fullname'],
+  subscriptionStatus: ['status', 'subscriptionstatus', 'subscription_status'],
+  createdAt: ['created_at', 'createdat', 'subscribed_at', 'signup_date', 'added_at'],
+  confirmedAt: ['confirmed_at', 'confirmedat', 'consent_at', 'consent_timestamp', 'opt_in_at', 'optin_time', 'confirm_time'],
+  unsubscribedAt: ['unsubscribed_at', 'unsubscribedat', 'unsub_time']
+};
+
+const IMPORT_STATUSES = ['active', 'inactive', 'unsubscribed'];
+const EXPORT_DATE_FIELDS = ['createdAt', 'confirmedAt', 'unsubscribedAt'];
+const EXPORT_COLUMNS = [
+  { key: 'emailAddress', header: 'email_address' },
+  { key: 'subscriberName', header: 'subscriber_name' },
+  { key: 'subscriptionStatus', header: 'subscription_status' },
+  { key: 'createdAt', header: 'created_at' },
+  { key: 'confirmedAt', header: 'confirmed_at' },
+  { key: 'unsubscribedAt', header: 'unsubscribed_at' }
+];
+
+/**
+ * Service for importing and exporting newsletter subscribers as CSV
+ */
+class SubscriberCsvService {
+  /**
+   * Import subscribers from a CSV file. Rows are streamed and inserted in
+   * batches; existing addresses are never overwritten, so an unsubscribed
+   * reader cannot be resubscribed by an import.
+   * @param {string} filePath - Path of the uploaded CSV file
+   * @returns {Promise<Object>} Counts plus the rows that were skipped (duplicates) or rejected (invalid)
+   */
+  async importSubscribers(filePath) {
+    const report = { totalRows: 0, imported: 0, skippedCount: 0, rejectedCount: 0, skipped: [], rejected: [] };
+    const seen = new Map();
+    let batch = [];
+
+    const parser = fs.createReadStream(filePath).pipe(parse({
+      columns: header => header.map(column => this.resolveColumn(column)),
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true,
+      info: true
+    }));
+
+    for await (const { record, info } of parser) {
+      report.totalRows += 1;
+      const row = info.lines;
+
+      const { values, error } = this.parseRow(record);
+      if (error) {
+        this.reportRow(report, 'rejected', { row, emailAddress: record.emailAddress || null, message: error });
+        continue;
+      }
+
+      if (seen.has(values.emailAddress)) {
+        this.reportRow(report, 'skipped', { row, emailAddress: values.emailAddress, message: `Duplicate of row ${seen.get(values.emailAddress)}` });
+        continue;
+      }
+      seen.set(values.emailAddress, row);
+
+      batch.push({ row, values });
+      if (batch.length >= config.newsletter.importBatchSize) {
+        await this.insertBatch(batch, report);
+        batch = [];
+      }
+    }
+
+    if (batch.length) {
+      await this.insertBatch(batch, report);
+    }
+
+    return report;
+  }
+
+  /**
+   * Insert a batch of valid rows, skipping addresses that already exist
+   * @param {Array<Object>} batch - Parsed rows with their line numbers
+   * @param {Object} report - Import report to update
+   */
+  async insertBatch(batch, report) {
+    const existing = await NewsletterSubscriber.findAll({
+      where: { emailAddress: batch.map(({ values }) => values.emailAddress) },
+      attributes: ['emailAddress']
+    });
+    const existingEmails = new Set(existing.map(subscriber => subscriber.emailAddress));
+
+    const rows = batch.filter(({ row, values }) => {
+      if (existingEmails.has(values.emailAddress)) {
+        this.reportRow(report, 'skipped', { row, emailAddress: values.emailAddress, message: 'Already a subscriber' });
+        return false;
+      }
+      return true;
+    });
+    if (!rows.length) {
+      return;
+    }
+
+    const records = rows.map(({ values }) => ({
+      ...values,
+      unsubscribeToken: newsletterService.generateUnsubscribeToken()
+    }));
+
+    // ignoreDuplicates covers addresses that signed up while the import ran;
+    // the fresh tokens tell which rows were actually inserted
+    await NewsletterSubscriber.bulkCreate(records, { ignoreDuplicates: true, validate: true });
+    report.imported += await NewsletterSubscriber.count({
+      where: { unsubscribeToken: records.map(record => record.unsubscribeToken) }
+    });
+  }
+
+  /**
+   * Validate and normalise one CSV record
+   * @param {Object} record - Record keyed by resolved column names
+   * @returns {Object} { values } or { error }
+   */
+  parseRow(record) {
+    const emailAddress = (record.emailAddress || '').toLowerCase();
+    if (!emailAddress) {
+      return { error: 'Email address is missing' };
+    }
+    if (!Validator.isEmail(emailAddress)) {
+      return { error: 'Invalid email address' };
+    }
+
+    const subscriptionStatus = (record.subscriptionStatus || 'active').toLowerCase();
+    if (!IMPORT_STATUSES.includes(subscriptionStatus)) {
+      return { error: `Status must be one of ${IMPORT_STATUSES.join(', ')}` };
+    }
+
+    const values = {
+      emailAddress,
+      subscriberName: record.subscriberName || null,
+      subscriptionStatus
+    };
+
+    for (const field of ['createdAt', 'confirmedAt', 'unsubscribedAt']) {
+      if (!record[field]) {
+        continue;
+      }
+      const date = new Date(record[field]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `Invalid date in ${field}` };
+      }
+      if (date > new Date()) {
+        return { error: `${field} is in the future` };
+      }
+      values[field] = date;
+    }
+
+    // Active subscribers need proof of opt-in from the previous provider
+    if (subscriptionStatus === 'active' && !values.confirmedAt) {
+      return { error: 'Active subscribers need a consent timestamp' };
+    }
+    if (subscriptionStatus === 'unsubscribed' && !values.unsubscribedAt) {
+      values.unsubscribedAt = new Date();
+    }
+    if (!values.createdAt) {
+      values.createdAt = values.confirmedAt || new Date();
+    }
+
+    return { values };
+  }
+
+  /**
+   * Map a CSV header onto a subscriber attribute
+   * @param {string} column - Header as found in the file
+   * @returns {string|false} Attribute name, or false to drop the column
+   */
+  resolveColumn(column) {
+    const normalized = column.trim().toLowerCase().replace(/\s+/g, '_');
+    const match = Object.entries(COLUMN_ALIASES).find(([, aliases]) => aliases.includes(normalized));
+    return match ? match[0] : false;
+  }
+
+  /**
+   * Count a skipped or rejected row and list it while the list is below
+   * the reporting limit
+   * @param {Object} report - Import report
+   * @param {string} list - 'skipped' or 'rejected'
+   * @param {Object} entry - Row number, email address and message
+   */
+  reportRow(report, list, entry) {
+    report[`${list}Count`] += 1;
+    if (report[list].length < config.newsletter.importMaxReportedRows) {
+      report[list].push(entry);
+    }
+  }
+
+  /**
+   * Stream subscribers as CSV
+   * @param {Object} filters - Export filters
+   * @param {string} filters.status - Subscription status
+   * @param {string} filters.dateField - createdAt, confirmedAt or unsubscribedAt
+   * @param {Date} filters.from - Earliest date of dateField
+   * @param {Date} filters.to - Latest date of dateField
+   * @returns {Object} Readable CSV stream
+   */
+  exportSubscribers(filters = {}) {
+    const where = {};
+    if (filters.status) {
+      where.subscriptionStatus = filters.status;
+    }
+
+    const dateField = filters.dateField || 'createdAt';
+    if (filters.from || filters.to) {
+      where[dateField] = {};
+      if (filters.from) {
+        where[dateField][Op.gte] = filters.from;
+      }
+      if (filters.to) {
+        where[dateField][Op.lte] = filters.to;
+      }
+    }
+
+    const output = stringify({
+      header: true,
+      columns: EXPORT_COLUMNS,
+      cast: {
+        date: value => value.toISOString(),
+        string: value => this.escapeFormula(value)
+      }
+    });
+
+    this.writeExportRows(where, output).catch(error => output.destroy(error));
+    return output;
+  }
+
+  /**
+   * Page through matching subscribers and write them to the CSV stream
+   * @param {Object} where - Subscriber filter
+   * @param {Object} output - CSV stringifier
+   */
+  async writeExportRows(where, output) {
+    const batchSize = config.newsletter.importBatchSize;
+
+    for (let offset = 0; ; offset += batchSize) {
+      const subscribers = await NewsletterSubscriber.findAll({
+        where,
+        attributes: EXPORT_COLUMNS.map(column => column.key),
+        order: [['createdAt', 'ASC'], ['subscriberId', 'ASC']],
+        limit: batchSize,
+        offset,
+        raw: true
+      });
+
+      for (const subscriber of subscribers) {
+        if (!output.write(subscriber)) {
+          await new Promise(resolve => output.once('drain', resolve));
+        }
+      }
+
+      if (subscribers.length < batchSize) {
+        break;
+      }
+    }
+
+    output.end();
+  }
+
+  /**
+   * Neutralise values a spreadsheet would evaluate as a formula
+   * @param {string} value - Cell value
+   * @returns {string} Safe cell value
+   */
+  escapeFormula(value) {
+    return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  }
+}
+
+module.exports = new SubscriberCsvService();
+module.exports.EXPORT_DATE_FIELDS = EXPORT_DATE_FIELDS;
@@ -0,0 +1,226 @@
+const https = require('https');
+const { Op } = require('sequelize');
+const { sequelize, models } = require('../db/models');
+const BaseRepository = require('../repositories/base.repository');
+const newsletterService = require('./newsletter.service');
+const { logger } = require('../middleware/logging.middleware');
+
+const { EmailSuppression, NewsletterSubscriber } = models;
+
+const FEEDBACK_TYPES = ['bounce', 'complaint'];
+const BOUNCE_TYPES = ['hard', 'soft'];
+const SUPPRESSION_REASONS = ['hard-bounce', 'complaint', 'manual'];
+
+// SES bounceType values that mean the address will never accept mail
+const SES_PERMANENT_BOUNCE = 'Permanent';
+const SNS_CONFIRM_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+/**
+ * Service for bounce and complaint feedback and the email suppression list
+ */
+class SuppressionService {
+  constructor() {
+    this.repository = new BaseRepository(EmailSuppression);
+  }
+
+  /**
+   * Apply normalized feedback events. Hard bounces and complaints suppress
+   * the address and unsubscribe it from the newsletter; soft bounces are
+   * only logged since the mailbox may accept mail again.
+   * @param {Array<Object>} events - Events with type, bounceType, emailAddress, diagnostic and occurredAt
+   * @param {string} source - Feedback source, e.g. 'generic' or 'ses'
+   * @returns {Promise<Object>} Counts of suppressed and ignored events
+   */
+  async processEvents(events, source) {
+    const result = { suppressed: 0, ignored: 0 };
+
+    for (const event of events) {
+      const reason = this.suppressionReason(event);
+      if (!reason) {
+        logger.info('Ignored email feedback', { source, type: event.type, bounceType: event.bounceType, emailAddress: event.emailAddress });
+        result.ignored += 1;
+        continue;
+      }
+
+      await this.suppress(event.emailAddress, {
+        reason,
+        source,
+        diagnostic: event.diagnostic || null,
+        occurredAt: event.occurredAt || new Date()
+      });
+      result.suppressed += 1;
+    }
+
+    return result;
+  }
+
+  /**
+   * Add an address to the suppression list, or record a repeat event
+   * @param {string} emailAddress - Address to suppress
+   * @param {Object} details - Suppression details
+   * @param {string} details.reason - One of SUPPRESSION_REASONS
+   * @param {string} details.source - Feedback source
+   * @param {string} details.diagnostic - Optional diagnostic from the provider
+   * @param {Date} details.occurredAt - When the event happened
+   * @returns {Promise<Object>} Suppression
+   */
+  async suppress(emailAddress, { reason, source, diagnostic = null, occurredAt = new Date() }) {
+    const address = emailAddress.toLowerCase();
+
+    const suppression = await sequelize.transaction(async (transaction) => {
+      const existing = await EmailSuppression.findOne({
+        where: { emailAddress: address },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (existing) {
+        // A complaint outranks a bounce as the reason shown to admins
+        return existing.update({
+          suppressionReason: reason === 'complaint' ? reason : existing.suppressionReason,
+          feedbackSource: source,
+          diagnostic: diagnostic || existing.diagnostic,
+          eventCount: existing.eventCount + 1,
+          lastEventAt: occurredAt
+        }, { transaction });
+      }
+
+      return EmailSuppression.create({
+        emailAddress: address,
+        suppressionReason: reason,
+        feedbackSource: source,
+        diagnostic,
+        lastEventAt: occurredAt
+      }, { transaction });
+    });
+
+    const subscriber = await NewsletterSubscriber.findOne({ where: { emailAddress: address } });
+    if (subscriber) {
+      await newsletterService.recordUnsubscribe(subscriber, {
+        reason: reason === 'complaint' ? 'complaint' : 'bounce',
+        reasonDetail: diagnostic
+      });
+    }
+
+    return suppression;
+  }
+
+  /**
+   * Remove an address from the suppression list
+   * @param {string} emailAddress - Suppressed address
+   * @returns {Promise<boolean>} Whether the address was suppressed
+   */
+  async unsuppress(emailAddress) {
+    const removed = await EmailSuppression.destroy({ where: { emailAddress: emailAddress.toLowerCase() } });
+    return removed > 0;
+  }
+
+  /**
+   * List suppressed addresses, most recent events first
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.reason - Suppression reason
+   * @param {string} filters.search - Part of the email address
+   * @param {number} page - Page number
+   * @param {number} limit - Records per page
+   * @returns {Promise<Object>} Paginated suppressions
+   */
+  async listSuppressions(filters = {}, page = 1, limit = 20) {
+    const where = {};
+    if (filters.reason) {
+      where.suppressionReason = filters.reason;
+    }
+    if (filters.search) {
+      where.emailAddress = { [Op.iLike]: `%${filters.search.replace(/[\\%_]/g, '\\$&')}%` };
+    }
+
+    return this.repository.findAll({
+      where,
+      order: [['lastEventAt', 'DESC']]
+    }, page, limit);
+  }
+
+  /**
+   * Suppression reason for an event, or null when the address stays mailable
+   * @param {Object} event - Normalized feedback event
+   * @returns {string|null} Suppression reason
+   */
+  suppressionReason(event) {
+    if (event.type === 'complaint') {
+      return 'complaint';
+    }
+    if (event.type === 'bounce' && event.bounceType === 'hard') {
+      return 'hard-bounce';
+    }
+    return null;
+  }
+
+  /**
+   * Convert an SES notification, delivered directly or through SNS, into
+   * normalized feedback events. Delivery and other notifications yield none.
+   * @param {Object} notification - SES notification or event publishing record
+   * @returns {Array<Object>} Normalized events
+   */
+  parseSesNotification(notification) {
+    const type = notification.notificationType || notification.eventType;
+
+    if (type === 'Bounce' && notification.bounce) {
+      const { bounce } = notification;
+      return (bounce.bouncedRecipients || []).map(recipient => ({
+        type: 'bounce',
+        bounceType: bounce.bounceType === SES_PERMANENT_BOUNCE ? 'hard' : 'soft',
+        emailAddress: this.extractAddress(recipient.emailAddress),
+        diagnostic: recipient.diagnosticCode || `${bounce.bounceType}/${bounce.bounceSubType}`,
+        occurredAt: bounce.timestamp ? new Date(bounce.timestamp) : new Date()
+      }));
+    }
+
+    if (type === 'Complaint' && notification.complaint) {
+      const { complaint } = notification;
+      return (complaint.complainedRecipients || []).map(recipient => ({
+        type: 'complaint',
+        emailAddress: this.extractAddress(recipient.emailAddress),
+        diagnostic: complaint.complaintFeedbackType || null,
+        occurredAt: complaint.timestamp ? new Date(complaint.timestamp) : new Date()
+      }));
+    }
+
+    return [];
+  }
+
+  /**
+   * Confirm an SNS topic subscription by visiting its SubscribeURL
+   * @param {string} subscribeUrl - SubscribeURL from the SNS message
+   * @returns {Promise<void>}
+   */
+  confirmSnsSubscription(subscribeUrl) {
+    const url = new URL(subscribeUrl);
+    if (url.protocol !== 'https:' || !SNS_CONFIRM_HOST.test(url.hostname)) {
+      return Promise.reject(new Error('SubscribeURL is not an SNS endpoint'));
+    }
+
+    return new Promise((resolve, reject) => {
+      https.get(url, (response) => {
+        response.resume();
+        if (response.statusCode !== 200) {
+          return reject(new Error(`SNS confirmation failed with status ${response.statusCode}`));
+        }
+        resolve();
+      }).on('error', reject);
+    });
+  }
+
+  /**
+   * Bare lowercase address from "Name <address>" or a plain address
+   * @param {string} value - Address as reported
+   * @returns {string} Address
+   */
+  extractAddress(value) {
+    const match = String(value).match(/<([^>]+)>/);
+    return (match ? match[1] : String(value)).trim().toLowerCase();
+  }
+}
+
+module.exports = new SuppressionService();
+module.exports.FEEDBACK_TYPES = FEEDBACK_TYPES;
+module.exports.BOUNCE_TYPES = BOUNCE_TYPES;
+module.exports.SUPPRESSION_REASONS = SUPPRESSION_REASONS;
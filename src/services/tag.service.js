@@ -0,0 +1,164 @@
+const { sequelize, models } = require('../db/models');
+const { QueryTypes } = require('sequelize');
+const { createHttpError, resolveSlug } = require('../utils/businessHelpers');
+
+const { ContentTag, ArticleTagAssignment } = models;
+
+/**
+ * Service for content tags
+ */
+class TagService {
+  /**
+   * List every tag with the number of articles using it
+   * @returns {Promise<Array>} Tags with articleCount
+   */
+  async listTags() {
+    return sequelize.query(`
+      SELECT
+        ct.tag_id AS "tagId",
+        ct.tag_name AS "tagName",
+        ct.tag_slug AS "tagSlug",
+        COUNT(ata.article_id)::int AS "articleCount"
+      FROM content_tags ct
+      LEFT JOIN article_tag_assignments ata ON ata.tag_id = ct.tag_id
+      GROUP BY ct.tag_id
+      ORDER BY ct.tag_name ASC
+    `, { type: QueryTypes.SELECT });
+  }
+
+  /**
+   * Build the public tag cloud from published articles
+   * @param {number} limit - Maximum number of tags, null for all
+   * @returns {Promise<Array>} Tags with published articleCount, most used first
+   */
+  async getTagCloud(limit = null) {
+    return sequelize.query(`
+      SELECT
+        ct.tag_id AS "tagId",
+        ct.tag_name AS "tagName",
+        ct.tag_slug AS "tagSlug",
+        COUNT(ap.article_id)::int AS "articleCount"
+      FROM content_tags ct
+      JOIN article_tag_assignments ata ON ata.tag_id = ct.tag_id
+      JOIN article_publications ap ON ap.article_id = ata.article_id
+        AND ap.publication_status = 'published'
+      GROUP BY ct.tag_id
+      ORDER BY "articleCount" DESC, ct.tag_name ASC
+      ${limit ? 'LIMIT :limit' : ''}
+    `, {
+      replacements: { limit },
+      type: QueryTypes.SELECT
+    });
+  }
+
+  /**
+   * Create a tag
+   * @param {Object} data - Tag data
+   * @returns {Promise<Object>} Created tag
+   */
+  async createTag(data) {
+    const tagSlug = await resolveSlug(ContentTag, 'tagSlug', {
+      requestedSlug: data.tagSlug,
+      text: data.tagName
+    });
+
+    return ContentTag.create({ tagName: data.tagName, tagSlug });
+  }
+
+  /**
+   * Rename a tag
+   * @param {string} tagId - Tag ID
+   * @param {Object} data - New tagName and/or tagSlug
+   * @returns {Promise<Object|null>} Updated tag or null when not found
+   */
+  async updateTag(tagId, data) {
+    const tag = await ContentTag.findByPk(tagId);
+    if (!tag) {
+      return null;
+    }
+
+    const attributes = {};
+    if (data.tagName !== undefined) {
+      attributes.tagName = data.tagName;
+    }
+    if (data.tagSlug !== undefined && data.tagSlug !== tag.tagSlug) {
+      attributes.tagSlug = await resolveSlug(ContentTag, 'tagSlug', {
+        requestedSlug: data.tagSlug,
+        exclude: { tagId }
+      });
+    }
+
+    return tag.update(attributes);
+  }
+
+  /**
+   * Delete a tag and its article assignments
+   * @param {string} tagId - Tag ID
+   * @returns {Promise<boolean>} Whether a tag was deleted
+   */
+  async deleteTag(tagId) {
+    const deleted = await ContentTag.destroy({ where: { tagId } });
+    return deleted > 0;
+  }
+
+  /**
+   * Merge source tags into a target tag. Articles already carrying the
+   * target keep their single assignment; the source tags are deleted.
+   * @param {string} targetTagId - Tag that survives the merge
+   * @param {Array<string>} sourceTagIds - Tags merged into the target
+   * @returns {Promise<Object|null>} Merge result or null when the target is unknown
+   */
+  async mergeTags(targetTagId, sourceTagIds) {
+    const sourceIds = [...new Set(sourceTagIds)];
+    if (sourceIds.includes(targetTagId)) {
+      throw createHttpError(400, 'A tag cannot be merged into itself');
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const target = await ContentTag.findByPk(targetTagId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!target) {
+        return null;
+      }
+
+      const sources = await ContentTag.findAll({
+        where: { tagId: sourceIds },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (sources.length !== sourceIds.length) {
+        throw createHttpError(400, 'One or more source tags do not exist');
+      }
+
+      const [sourceAssignments, targetAssignments] = await Promise.all([
+        ArticleTagAssignment.findAll({ where: { tagId: sourceIds }, attributes: ['articleId'], transaction }),
+        ArticleTagAssignment.findAll({ where: { tagId: targetTagId }, attributes: ['articleId'], transaction })
+      ]);
+
+      const tagged = new Set(targetAssignments.map(row => row.articleId));
+      const articleIds = [...new Set(sourceAssignments.map(row => row.articleId))]
+        .filter(articleId => !tagged.has(articleId));
+
+      // Assign the target before dropping the sources so no article loses the tag
+      if (articleIds.length) {
+        await ArticleTagAssignment.bulkCreate(
+          articleIds.map(articleId => ({ articleId, tagId: targetTagId })),
+          { transaction }
+        );
+      }
+      await ArticleTagAssignment.destroy({ where: { tagId: sourceIds }, transaction });
+      await ContentTag.destroy({ where: { tagId: sourceIds }, transaction });
+
+      return {
+        tag: target,
+        mergedTags: sources.map(source => ({ tagId: source.tagId, tagName: source.tagName, tagSlug: source.tagSlug })),
+        movedAssignments: articleIds.length,
+        articleCount: tagged.size + articleIds.length
+      };
+    });
+  }
+}
+
+module.exports = new TagService();
@@ -0,0 +1,186 @@
+const { Op } = require('sequelize');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode set
+ */
+function createHttpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Convert text into a URL friendly slug
+ * @param {string} text - Source text
+ * @returns {string} Slug
+ */
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim()
+    .replace(/[\s-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Generate a slug that is not yet used by another record
+ * @param {Object} model - Sequelize model
+ * @param {string} field - Slug attribute name
+ * @param {string} text - Text to build the slug from
+ * @param {Object} options - Options
+ * @param {Object} options.exclude - Where clause matching the record being updated
+ * @param {Object} options.transaction - Sequelize transaction
+ * @returns {Promise<string>} Unique slug
+ */
+async function generateUniqueSlug(model, field, text, { exclude = null, transaction } = {}) {
+  const baseSlug = slugify(text) || 'item';
+  let slug = baseSlug;
+  let counter = 0;
+
+  for (;;) {
+    const where = { [field]: slug };
+    if (exclude) {
+      where[Op.not] = exclude;
+    }
+
+    const existing = await model.count({ where, transaction });
+    if (!existing) {
+      return slug;
+    }
+
+    counter += 1;
+    slug = `${baseSlug}-${counter}`;
+  }
+}
+
+/**
+ * Validate a slug supplied by the client, or derive a unique one from text
+ * @param {Object} model - Sequelize model
+ * @param {string} field - Slug attribute name
+ * @param {Object} options - Options
+ * @param {string} options.requestedSlug - Slug supplied by the client
+ * @param {string} options.text - Text to derive the slug from when none is supplied
+ * @param {Object} options.exclude - Where clause matching the record being updated
+ * @param {Object} options.transaction - Sequelize transaction
+ * @returns {Promise<string>} Slug to store
+ */
+async function resolveSlug(model, field, { requestedSlug, text, exclude = null, transaction } = {}) {
+  if (!requestedSlug) {
+    return generateUniqueSlug(model, field, text, { exclude, transaction });
+  }
+
+  const where = { [field]: requestedSlug };
+  if (exclude) {
+    where[Op.not] = exclude;
+  }
+  if (await model.count({ where, transaction })) {
+    throw createHttpError(409, 'Slug is already in use');
+  }
+
+  return requestedSlug;
+}
+
+/**
+ * Check whether a value looks like a UUID
+ * @param {string} value - Value to check
+ * @returns {boolean} True for UUID strings
+ */
+function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+/**
+ * Parse page and limit query parameters
+ * @param {Object} query - Express request query
+ * @param {number} maxLimit - Upper bound for the page size
+ * @returns {Object} Page and limit
+ */
+function parsePagination(query, maxLimit = 100) {
+  const page = Math.max(parseInt(query.page || '1', 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit || '10', 10) || 10, 1), maxLimit);
+  return { page, limit };
+}
+
+/**
+ * Parse a boolean query parameter
+ * @param {string} value - Raw query value
+ * @returns {boolean|undefined} Parsed value or undefined when absent
+ */
+function parseBoolean(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - Raw query value
+ * @returns {Date|undefined} Parsed date or undefined when absent
+ */
+function parseDate(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  return new Date(value);
+}
+
+/**
+ * Bring a join table in line with the wanted IDs, keeping rows that already exist
+ * @param {Object} model - Assignment model
+ * @param {Object} options - Options
+ * @param {string} options.ownerKey - Attribute holding the owner ID (e.g. projectId)
+ * @param {string} options.ownerId - Owner ID
+ * @param {string} options.key - Attribute holding the assigned ID (e.g. categoryId)
+ * @param {Array<string>} options.ids - IDs that should be assigned
+ * @param {Object} options.transaction - Sequelize transaction
+ */
+async function syncAssignments(model, { ownerKey, ownerId, key, ids, transaction }) {
+  const existing = await model.findAll({ where: { [ownerKey]: ownerId }, attributes: [key], transaction });
+  const existingIds = existing.map(row => row[key]);
+
+  const removedIds = existingIds.filter(id => !ids.includes(id));
+  if (removedIds.length) {
+    await model.destroy({ where: { [ownerKey]: ownerId, [key]: removedIds }, transaction });
+  }
+
+  const addedIds = ids.filter(id => !existingIds.includes(id));
+  if (addedIds.length) {
+    await model.bulkCreate(addedIds.map(id => ({ [ownerKey]: ownerId, [key]: id })), { transaction });
+  }
+}
+
+/**
+ * Escape text for inclusion in HTML
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  createHttpError,
+  slugify,
+  generateUniqueSlug,
+  resolveSlug,
+  isUuid,
+  parsePagination,
+  parseBoolean,
+  parseDate,
+  syncAssignments,
+  escapeHtml
+};
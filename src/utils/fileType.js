@@ -0,0 +1,93 @@
+const fs = require('fs');
+
+// Bytes read from the start of a file to identify it
+const SNIFF_BYTES = 64;
+
+// ISO base media (ftyp) brands, mapped to the type they identify
+const FTYP_BRANDS = {
+  avif: { mimeType: 'image/avif', extension: 'avif', category: 'image' },
+  avis: { mimeType: 'image/avif', extension: 'avif', category: 'image' },
+  'qt  ': { mimeType: 'video/quicktime', extension: 'mov', category: 'video' },
+  'M4A ': { mimeType: 'audio/mp4', extension: 'm4a', category: 'audio' },
+  isom: { mimeType: 'video/mp4', extension: 'mp4', category: 'video' },
+  iso2: { mimeType: 'video/mp4', extension: 'mp4', category: 'video' },
+  mp41: { mimeType: 'video/mp4', extension: 'mp4', category: 'video' },
+  mp42: { mimeType: 'video/mp4', extension: 'mp4', category: 'video' },
+  avc1: { mimeType: 'video/mp4', extension: 'mp4', category: 'video' },
+  dash: { mimeType: 'video/mp4', extension: 'mp4', category: 'video' },
+  'M4V ': { mimeType: 'video/mp4', extension: 'mp4', category: 'video' }
+};
+
+/**
+ * Check for a byte signature at an offset
+ * @param {Buffer} buffer - File head
+ * @param {Array<number>|string} signature - Bytes or ASCII text
+ * @param {number} offset - Offset of the signature
+ * @returns {boolean} Whether the signature matches
+ */
+function matches(buffer, signature, offset = 0) {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : Buffer.from(signature);
+  return buffer.length >= offset + bytes.length && buffer.subarray(offset, offset + bytes.length).equals(bytes);
+}
+
+/**
+ * Identify a file from its magic bytes. Only types we accept as assets are
+ * recognised; SVG and other text formats are deliberately left out because
+ * they can carry scripts.
+ * @param {Buffer} buffer - First bytes of the file
+ * @returns {Object|null} { mimeType, extension, category } or null when unknown
+ */
+function detectFileType(buffer) {
+  if (matches(buffer, [0xff, 0xd8, 0xff])) {
+    return { mimeType: 'image/jpeg', extension: 'jpg', category: 'image' };
+  }
+  if (matches(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return { mimeType: 'image/png', extension: 'png', category: 'image' };
+  }
+  if (matches(buffer, 'GIF87a') || matches(buffer, 'GIF89a')) {
+    return { mimeType: 'image/gif', extension: 'gif', category: 'image' };
+  }
+  if (matches(buffer, 'RIFF') && matches(buffer, 'WEBP', 8)) {
+    return { mimeType: 'image/webp', extension: 'webp', category: 'image' };
+  }
+  if (matches(buffer, 'RIFF') && matches(buffer, 'WAVE', 8)) {
+    return { mimeType: 'audio/wav', extension: 'wav', category: 'audio' };
+  }
+  if (matches(buffer, 'ftyp', 4)) {
+    return FTYP_BRANDS[buffer.toString('latin1', 8, 12)] || null;
+  }
+  if (matches(buffer, [0x1a, 0x45, 0xdf, 0xa3]) && buffer.includes('webm')) {
+    return { mimeType: 'video/webm', extension: 'webm', category: 'video' };
+  }
+  if (matches(buffer, '%PDF-')) {
+    return { mimeType: 'application/pdf', extension: 'pdf', category: 'document' };
+  }
+  if (matches(buffer, 'OggS')) {
+    return { mimeType: 'audio/ogg', extension: 'ogg', category: 'audio' };
+  }
+  if (matches(buffer, 'ID3') || (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) {
+    return { mimeType: 'audio/mpeg', extension: 'mp3', category: 'audio' };
+  }
+  return null;
+}
+
+/**
+ * Identify a file on disk from its magic bytes
+ * @param {string} filePath - File path
+ * @returns {Promise<Object|null>} Detected type, see detectFileType
+ */
+async function detectFileTypeFromFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    return detectFileType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  detectFileType,
+  detectFileTypeFromFile
+};
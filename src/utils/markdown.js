@@ -0,0 +1,47 @@
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { unescapeAngleBrackets } = require('../middleware/sanitization.middleware');
+
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'del']),
+  allowedAttributes: {
+    a: ['href', 'name', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer' })
+  }
+};
+
+/**
+ * Render Markdown into sanitized HTML
+ * @param {string} source - Markdown source
+ * @returns {string} Sanitized HTML
+ */
+function renderMarkdown(source) {
+  const html = marked.parse(source || '', { gfm: true, async: false });
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+}
+
+/**
+ * Undo the angle bracket escaping applied by the global request sanitizers.
+ * Markdown relies on `>` for quotes and `<` inside code, and its rendered
+ * output is sanitized separately, so the raw source must be stored as typed.
+ * @param {string} source - Escaped Markdown source
+ * @returns {string} Original Markdown source
+ */
+function restoreMarkdownSource(source) {
+  return unescapeAngleBrackets(source);
+}
+
+module.exports = {
+  renderMarkdown,
+  restoreMarkdownSource
+};
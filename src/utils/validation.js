@@ -11,7 +11,7 @@ function validateRequest(req, res, next) {
   if (!errors.isEmpty()) {
     return res.status(400).json({
       errors: errors.array().map(error => ({
-        field: error.param,
+        field: error.path,
         message: error.msg
       }))
     });
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { ProfessionalAccount, ArticlePublication } = require('../../src/db/models').models;
+const { hashPassword } = require('../../src/utils/auth');
+const { v4: uuidv4 } = require('uuid');
+
+describe('Articles API', () => {
+  let adminUser;
+  let accessToken;
+  let article;
+
+  beforeAll(async () => {
+    adminUser = await ProfessionalAccount.create({
+      accountId: uuidv4(),
+      username: 'articleadmin',
+      emailAddress: 'article-admin@example.com',
+      passwordHash: await hashPassword('Password123!'),
+      accountRole: 'admin',
+      isAccountActive: true
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'articleadmin', password: 'Password123!' });
+    accessToken = loginRes.body.accessToken;
+  });
+
+  afterAll(async () => {
+    await ArticlePublication.destroy({ where: { authorId: adminUser.accountId } });
+    await adminUser.destroy();
+  });
+
+  describe('POST /api/articles', () => {
+    it('should store Markdown and sanitized HTML', async () => {
+      const res = await request(app)
+        .post('/api/articles')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          articleTitle: 'Markdown Basics',
+          articleContent: '# Heading\n\n> A quote\n\n<script>alert(1)</script>',
+          articleSummary: 'Getting started with Markdown',
+          featuredImage: 'images/markdown.png'
+        });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.articleContent).toContain('> A quote');
+      expect(res.body.articleContentHtml).toContain('<h1>Heading</h1>');
+      expect(res.body.articleContentHtml).toContain('<blockquote>');
+      expect(res.body.articleContentHtml).not.toContain('<script>');
+      expect(res.body.publicationStatus).toBe('draft');
+      expect(res.body.publicationDate).toBeNull();
+      article = res.body;
+    });
+  });
+
+  describe('POST /api/articles/:articleId/publish', () => {
+    it('should publish and set the publication date', async () => {
+      const res = await request(app)
+        .post(`/api/articles/${article.articleId}/publish`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.publicationStatus).toBe('published');
+      expect(res.body.publicationDate).toBeTruthy();
+    });
+
+    it('should expose the published article publicly', async () => {
+      const res = await request(app).get(`/api/articles/${article.articleSlug}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toHaveProperty('articleContentHtml');
+    });
+  });
+});
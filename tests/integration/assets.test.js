@@ -0,0 +1,524 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+process.env.STORAGE_LOCAL_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-test-'));
+// Room for one tiny PNG, so the second upload runs into the quota
+process.env.STORAGE_ACCOUNT_QUOTA_MB = '0.0001';
+process.env.IMAGE_TRANSFORM_SECRET = 'test-transform-secret';
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { ProfessionalAccount, DigitalAsset, StoredFile, AssetUpload } = require('../../src/db/models').models;
+const imageTransformService = require('../../src/services/imageTransform.service');
+const storageService = require('../../src/services/storageService');
+const { cleanupOrphanedAssets } = require('../../src/scheduled/assetCleanup');
+const { expireAbandonedUploads } = require('../../src/scheduled/uploadExpiry');
+const { hashPassword } = require('../../src/utils/auth');
+const { v4: uuidv4 } = require('uuid');
+
+// 1x1 transparent PNG
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+/**
+ * Create an account and log it in
+ * @param {string} username - Username
+ * @param {string} accountRole - admin or user
+ * @returns {Promise<Object>} account and accessToken
+ */
+async function createAccount(username, accountRole = 'user') {
+  const account = await ProfessionalAccount.create({
+    accountId: uuidv4(),
+    username,
+    emailAddress: `${username}@example.com`,
+    passwordHash: await hashPassword('Password123!'),
+    accountRole,
+    isAccountActive: true
+  });
+
+  const loginRes = await request(app)
+    .post('/api/auth/login')
+    .send({ username, password: 'Password123!' });
+  return { account, accessToken: loginRes.body.accessToken };
+}
+
+/**
+ * Status of a GET for a path sent exactly as given; supertest resolves
+ * "." and ".." segments before sending
+ * @param {string} requestPath - Raw request path
+ * @returns {Promise<number>} Response status
+ */
+function rawGetStatus(requestPath) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, () => {
+      http.get({ port: server.address().port, path: requestPath }, (res) => {
+        res.resume();
+        res.on('end', () => server.close(() => resolve(res.statusCode)));
+      }).on('error', error => server.close(() => reject(error)));
+    });
+  });
+}
+
+describe('Digital Assets API', () => {
+  let account;
+  let accessToken;
+  let assetId;
+
+  beforeAll(async () => {
+    ({ account, accessToken } = await createAccount('assetuploader'));
+  });
+
+  afterAll(async () => {
+    await DigitalAsset.destroy({ where: { uploadedBy: account.accountId } });
+    await account.destroy();
+  });
+
+  it('should store an upload with the sniffed type', async () => {
+    const res = await request(app)
+      .post('/api/digital-assets')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .field('alternativeText', 'A single pixel')
+      .attach('file', PNG, { filename: 'pixel.jpg', contentType: 'image/jpeg' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.mimeType).toBe('image/png');
+    expect(res.body.assetName).toBe('pixel');
+    expect(res.body.fileSize).toBe(PNG.length);
+    assetId = res.body.assetId;
+
+    const stored = path.join(process.env.STORAGE_LOCAL_ROOT, res.body.filePath);
+    expect(fs.existsSync(stored)).toBe(true);
+    expect(res.body.url).toMatch(new RegExp(`/uploads/${res.body.filePath}$`));
+
+    // One width (the image's own) per format, plus the thumbnail
+    expect(res.body.variants).toHaveLength(3);
+    expect(res.body.srcset.webp).toMatch(/-w1\.webp 1w$/);
+    expect(res.body.srcset.avif).toMatch(/-w1\.avif 1w$/);
+    expect(res.body.thumbnailUrl).toMatch(/-thumbnail\.webp$/);
+
+    const file = await request(app).get(`/uploads/${res.body.filePath}`);
+    expect(file.statusCode).toBe(200);
+    expect(file.headers['cache-control']).toContain('immutable');
+  });
+
+  it('should reject files whose content does not match a supported type', async () => {
+    const res = await request(app)
+      .post('/api/digital-assets')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .attach('file', Buffer.from('<?php echo "hi"; ?>'), { filename: 'image.png', contentType: 'image/png' });
+
+    expect(res.statusCode).toBe(415);
+  });
+
+  it('should enforce the account quota', async () => {
+    const res = await request(app)
+      .post('/api/digital-assets')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .attach('file', PNG, 'second.png');
+
+    expect(res.statusCode).toBe(413);
+    expect(res.body.message).toBe('Storage quota exceeded');
+
+    const usage = await request(app)
+      .get('/api/digital-assets/usage')
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(usage.body.usedBytes).toBe(PNG.length);
+  });
+
+  it('should render and cache preset transformations', async () => {
+    const res = await request(app).get(`/api/digital-assets/${assetId}/transform?w=640&h=360&format=webp`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('image/webp');
+    expect(res.headers['cache-control']).toContain('immutable');
+
+    const params = imageTransformService.normalizeParams({ w: '640', h: '360', format: 'webp' });
+    const key = imageTransformService.derivativeKey(assetId, params);
+    expect(fs.existsSync(path.join(process.env.STORAGE_LOCAL_ROOT, key))).toBe(true);
+
+    const cached = await request(app)
+      .get(`/api/digital-assets/${assetId}/transform?w=640&h=360&format=webp`)
+      .set('If-None-Match', res.headers.etag);
+    expect(cached.statusCode).toBe(304);
+  });
+
+  it('should require a signature for sizes outside the presets', async () => {
+    const unsigned = await request(app).get(`/api/digital-assets/${assetId}/transform?w=123`);
+    expect(unsigned.statusCode).toBe(403);
+
+    const signed = imageTransformService.buildUrl(assetId, imageTransformService.normalizeParams({ w: '123' }));
+    const res = await request(app).get(new URL(signed).pathname + new URL(signed).search);
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('should delete an asset together with its files', async () => {
+    const asset = await DigitalAsset.findByPk(assetId, { include: ['variants'] });
+    const storedKeys = [asset.filePath, ...asset.variants.map(variant => variant.filePath)];
+
+    const res = await request(app)
+      .delete(`/api/digital-assets/${assetId}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.statusCode).toBe(200);
+    [...storedKeys, imageTransformService.derivativePrefix(assetId)].forEach(key => {
+      expect(fs.existsSync(path.join(process.env.STORAGE_LOCAL_ROOT, key))).toBe(false);
+    });
+  });
+});
+
+describe('Asset deduplication', () => {
+  let admin;
+  let editor;
+  let client;
+  let adminAsset;
+  let editorAsset;
+  let privateAsset;
+
+  beforeAll(async () => {
+    admin = await createAccount('assetadmin', 'admin');
+    editor = await createAccount('asseteditor');
+    client = await createAccount('assetclient');
+  });
+
+  afterAll(async () => {
+    const uploaders = [admin, editor, client].map(({ account }) => account.accountId);
+    await DigitalAsset.destroy({ where: { uploadedBy: uploaders } });
+    await StoredFile.destroy({ where: { contentHash: adminAsset.contentHash } });
+    await admin.account.destroy();
+    await editor.account.destroy();
+    await client.account.destroy();
+  });
+
+  const upload = ({ accessToken }, filename) => request(app)
+    .post('/api/digital-assets')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .attach('file', PNG, filename);
+
+  it('should share the stored file between identical uploads', async () => {
+    adminAsset = (await upload(admin, 'hero.png')).body;
+    editorAsset = (await upload(editor, 'hero-copy.png')).body;
+
+    expect(editorAsset.assetId).not.toBe(adminAsset.assetId);
+    expect(editorAsset.contentHash).toBe(adminAsset.contentHash);
+    expect(editorAsset.filePath).toBe(adminAsset.filePath);
+    expect(editorAsset.srcset).toEqual(adminAsset.srcset);
+
+    const stored = await StoredFile.findByPk(adminAsset.filePath);
+    expect(stored.referenceCount).toBe(2);
+  });
+
+  it('should list and merge duplicates without removing the shared file', async () => {
+    const list = await request(app)
+      .get('/api/digital-assets/duplicates')
+      .set('Authorization', `Bearer ${admin.accessToken}`);
+
+    expect(list.statusCode).toBe(200);
+    const group = list.body.data.find(entry => entry.contentHash === adminAsset.contentHash);
+    expect(group.assetCount).toBe(2);
+
+    // A private copy of another account must survive the merge
+    privateAsset = (await request(app)
+      .post('/api/digital-assets')
+      .set('Authorization', `Bearer ${client.accessToken}`)
+      .field('visibility', 'private')
+      .attach('file', PNG, 'deliverable.png')).body;
+    expect(privateAsset.contentHash).toBe(adminAsset.contentHash);
+
+    // An image field linking the duplicate by asset ID must follow the merge
+    await editor.account.update({ profileImage: `/api/digital-assets/${editorAsset.assetId}/transform?w=320` });
+
+    const merge = await request(app)
+      .post(`/api/digital-assets/duplicates/${adminAsset.contentHash}/merge`)
+      .set('Authorization', `Bearer ${admin.accessToken}`)
+      .send({ keepAssetId: adminAsset.assetId });
+
+    expect(merge.statusCode).toBe(200);
+    expect(merge.body.mergedAssetIds).toEqual([editorAsset.assetId]);
+    expect(merge.body.skippedAssetIds).toEqual([privateAsset.assetId]);
+    expect(await DigitalAsset.findByPk(editorAsset.assetId)).toBeNull();
+    expect(await DigitalAsset.findByPk(privateAsset.assetId)).not.toBeNull();
+    expect(merge.body.reassigned.imageFields).toBe(1);
+    await editor.account.reload();
+    expect(editor.account.profileImage).toBe(`/api/digital-assets/${adminAsset.assetId}/transform?w=320`);
+
+    const stored = await StoredFile.findByPk(adminAsset.filePath);
+    expect(stored.referenceCount).toBe(1);
+    expect(fs.existsSync(path.join(process.env.STORAGE_LOCAL_ROOT, adminAsset.filePath))).toBe(true);
+  });
+
+  it('should refuse to merge public assets into a private one', async () => {
+    const res = await request(app)
+      .post(`/api/digital-assets/duplicates/${adminAsset.contentHash}/merge`)
+      .set('Authorization', `Bearer ${admin.accessToken}`)
+      .send({ keepAssetId: privateAsset.assetId });
+
+    expect(res.statusCode).toBe(409);
+    expect(await DigitalAsset.findByPk(adminAsset.assetId)).not.toBeNull();
+  });
+
+  it('should only allow admins to manage duplicates', async () => {
+    const res = await request(app)
+      .get('/api/digital-assets/duplicates')
+      .set('Authorization', `Bearer ${editor.accessToken}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('Private assets', () => {
+  let owner;
+  let asset;
+
+  beforeAll(async () => {
+    owner = await createAccount('privateowner');
+    asset = (await request(app)
+      .post('/api/digital-assets')
+      .set('Authorization', `Bearer ${owner.accessToken}`)
+      .field('visibility', 'private')
+      .attach('file', PNG, 'deliverable.png')).body;
+  });
+
+  afterAll(async () => {
+    await DigitalAsset.destroy({ where: { uploadedBy: owner.account.accountId } });
+    await StoredFile.destroy({ where: { contentHash: asset.contentHash } });
+    await owner.account.destroy();
+  });
+
+  const pathOf = url => new URL(url).pathname + new URL(url).search;
+
+  it('should store private files under their own prefix and refuse unsigned requests', async () => {
+    expect(asset.visibility).toBe('private');
+    expect(asset.filePath).toMatch(/^private\//);
+    expect(asset.url).toMatch(/[?&]sig=/);
+
+    const res = await request(app).get(`/uploads/${asset.filePath}`);
+    expect(res.statusCode).toBe(403);
+  });
+
+  it.each([
+    ['an empty leading segment', key => `/uploads//${key}`, 400],
+    ['a "." segment', key => `/uploads/./${key}`, 403],
+    ['a ".." segment', key => `/uploads/assets/../${key}`, 403]
+  ])('should not serve private files through a path with %s', async (description, toPath, status) => {
+    expect(await rawGetStatus(toPath(asset.filePath))).toBe(status);
+  });
+
+  it('should serve signed URLs until they expire, with the requested disposition', async () => {
+    const signed = await request(app)
+      .post(`/api/digital-assets/${asset.assetId}/signed-url`)
+      .set('Authorization', `Bearer ${owner.accessToken}`)
+      .send({ expiresIn: 60, disposition: 'attachment' });
+
+    expect(signed.statusCode).toBe(200);
+    const res = await request(app).get(pathOf(signed.body.url));
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('image/png');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="deliverable.png"; filename*=UTF-8\'\'deliverable.png');
+
+    const expired = storageService.signedUrl(asset.filePath, { expiresAt: new Date(Date.now() - 1000) });
+    expect((await request(app).get(pathOf(expired))).statusCode).toBe(403);
+  });
+
+  it('should not transform private images', async () => {
+    const res = await request(app).get(`/api/digital-assets/${asset.assetId}/transform?w=320`);
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('should move the files when an asset is made public', async () => {
+    const res = await request(app)
+      .patch(`/api/digital-assets/${asset.assetId}`)
+      .set('Authorization', `Bearer ${owner.accessToken}`)
+      .send({ visibility: 'public' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.filePath).toMatch(/^assets\//);
+    expect(res.body.variants.every(variant => variant.filePath.startsWith('assets/'))).toBe(true);
+    expect(fs.existsSync(path.join(process.env.STORAGE_LOCAL_ROOT, asset.filePath))).toBe(false);
+    expect((await request(app).get(`/uploads/${res.body.filePath}`)).statusCode).toBe(200);
+    asset = res.body;
+  });
+});
+
+describe('Resumable uploads', () => {
+  let uploader;
+  let uploadPath;
+
+  beforeAll(async () => {
+    uploader = await createAccount('tusuploader');
+  });
+
+  afterAll(async () => {
+    await DigitalAsset.destroy({ where: { uploadedBy: uploader.account.accountId } });
+    await AssetUpload.destroy({ where: { uploadedBy: uploader.account.accountId } });
+    await uploader.account.destroy();
+  });
+
+  const tus = (method, url) => request(app)[method](url)
+    .set('Authorization', `Bearer ${uploader.accessToken}`)
+    .set('Tus-Resumable', '1.0.0');
+  const patch = (offset, chunk) => tus('patch', uploadPath)
+    .set('Content-Type', 'application/offset+octet-stream')
+    .set('Upload-Offset', String(offset))
+    .send(chunk);
+
+  it('should require the tus protocol version', async () => {
+    const res = await request(app)
+      .post('/api/digital-assets/uploads')
+      .set('Authorization', `Bearer ${uploader.accessToken}`)
+      .set('Upload-Length', String(PNG.length));
+
+    expect(res.statusCode).toBe(412);
+    expect(res.headers['tus-version']).toBe('1.0.0');
+  });
+
+  it('should create an upload and accept chunks at the current offset', async () => {
+    const created = await tus('post', '/api/digital-assets/uploads')
+      .set('Upload-Length', String(PNG.length))
+      .set('Upload-Metadata', `filename ${Buffer.from('frame.png').toString('base64')}`);
+
+    expect(created.statusCode).toBe(201);
+    uploadPath = new URL(created.headers.location).pathname;
+
+    const first = await patch(0, PNG.subarray(0, 20));
+    expect(first.statusCode).toBe(204);
+    expect(first.headers['upload-offset']).toBe('20');
+
+    expect((await patch(0, PNG.subarray(0, 20))).statusCode).toBe(409);
+
+    const head = await tus('head', uploadPath);
+    expect(head.headers['upload-offset']).toBe('20');
+    expect(head.headers['upload-length']).toBe(String(PNG.length));
+  });
+
+  it('should create the asset once the last chunk arrives', async () => {
+    const last = await patch(20, PNG.subarray(20));
+    expect(last.statusCode).toBe(204);
+
+    const status = await request(app)
+      .get(uploadPath)
+      .set('Authorization', `Bearer ${uploader.accessToken}`);
+
+    expect(status.body.uploadOffset).toBe(PNG.length);
+    expect(status.body.asset.mimeType).toBe('image/png');
+    expect(status.body.asset.assetName).toBe('frame');
+  });
+
+  it('should terminate uploads and remove expired ones', async () => {
+    const create = () => tus('post', '/api/digital-assets/uploads').set('Upload-Length', '10');
+
+    uploadPath = new URL((await create()).headers.location).pathname;
+    expect((await tus('delete', uploadPath)).statusCode).toBe(204);
+    expect((await tus('head', uploadPath)).statusCode).toBe(404);
+
+    uploadPath = new URL((await create()).headers.location).pathname;
+    await expireAbandonedUploads(new Date(Date.now() + 25 * 60 * 60 * 1000));
+    expect((await tus('head', uploadPath)).statusCode).toBe(404);
+  });
+});
+
+describe('Asset usages and orphan cleanup', () => {
+  let admin;
+  let usedAsset;
+  let unusedAsset;
+  let privateAsset;
+
+  const storeAsset = async (name, visibility = 'public') => {
+    const assetId = uuidv4();
+    const filePath = `${visibility === 'private' ? 'private' : 'assets'}/cleanup/${assetId}.png`;
+    await storageService.put(filePath, PNG);
+    return DigitalAsset.create({
+      assetId,
+      uploadedBy: admin.account.accountId,
+      assetName: name,
+      fileName: `${name}.png`,
+      mimeType: 'image/png',
+      fileSize: PNG.length,
+      filePath,
+      visibility
+    });
+  };
+
+  beforeAll(async () => {
+    admin = await createAccount('cleanupadmin', 'admin');
+    usedAsset = await storeAsset('avatar');
+    unusedAsset = await storeAsset('forgotten');
+    // Client deliverables are never linked from content
+    privateAsset = await storeAsset('deliverable', 'private');
+    await admin.account.update({ profileImage: storageService.publicUrl(usedAsset.filePath) });
+  });
+
+  afterAll(async () => {
+    await DigitalAsset.destroy({ where: { uploadedBy: admin.account.accountId } });
+    await admin.account.destroy();
+    fs.rmSync(process.env.STORAGE_LOCAL_ROOT, { recursive: true, force: true });
+  });
+
+  it('should report orphans without changing anything in a dry run', async () => {
+    const res = await request(app)
+      .post('/api/digital-assets/cleanup')
+      .set('Authorization', `Bearer ${admin.accessToken}`)
+      .send({ dryRun: true });
+
+    expect(res.statusCode).toBe(200);
+    const flaggedIds = res.body.flagged.map(entry => entry.assetId);
+    expect(flaggedIds).toContain(unusedAsset.assetId);
+    expect(flaggedIds).not.toContain(usedAsset.assetId);
+    expect(flaggedIds).not.toContain(privateAsset.assetId);
+
+    await unusedAsset.reload();
+    expect(unusedAsset.orphanedAt).toBeNull();
+  });
+
+  it('should flag orphans first and delete them after the grace period', async () => {
+    await cleanupOrphanedAssets();
+    await unusedAsset.reload();
+    expect(unusedAsset.orphanedAt).not.toBeNull();
+
+    const later = new Date(Date.now() + 8 * 24 * 60 * 60 * 1000);
+    const report = await cleanupOrphanedAssets({ now: later });
+
+    expect(report.deleted.map(entry => entry.assetId)).toContain(unusedAsset.assetId);
+    expect(await DigitalAsset.findByPk(unusedAsset.assetId)).toBeNull();
+    expect(await DigitalAsset.findByPk(usedAsset.assetId)).not.toBeNull();
+    expect(await DigitalAsset.findByPk(privateAsset.assetId)).not.toBeNull();
+    expect(fs.existsSync(path.join(process.env.STORAGE_LOCAL_ROOT, unusedAsset.filePath))).toBe(false);
+  });
+
+  it('should list where an asset is used', async () => {
+    const res = await request(app)
+      .get(`/api/digital-assets/${usedAsset.assetId}/usages`)
+      .set('Authorization', `Bearer ${admin.accessToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual([
+      { type: 'account', id: admin.account.accountId, title: 'cleanupadmin', field: 'profileImage' }
+    ]);
+  });
+
+  it('should refuse to delete an asset in use unless forced', async () => {
+    const refused = await request(app)
+      .delete(`/api/digital-assets/${usedAsset.assetId}`)
+      .set('Authorization', `Bearer ${admin.accessToken}`);
+
+    expect(refused.statusCode).toBe(409);
+    expect(refused.body.usages).toHaveLength(1);
+
+    const notForced = await request(app)
+      .delete(`/api/digital-assets/${usedAsset.assetId}?force=false`)
+      .set('Authorization', `Bearer ${admin.accessToken}`);
+
+    expect(notForced.statusCode).toBe(409);
+    expect(await DigitalAsset.findByPk(usedAsset.assetId)).not.toBeNull();
+
+    const forced = await request(app)
+      .delete(`/api/digital-assets/${usedAsset.assetId}?force=true`)
+      .set('Authorization', `Bearer ${admin.accessToken}`);
+
+    expect(forced.statusCode).toBe(200);
+    expect(await DigitalAsset.findByPk(usedAsset.assetId)).toBeNull();
+  });
+});
@@ -0,0 +1,183 @@
+process.env.EMAIL_TRANSPORT = 'json';
+process.env.NEWSLETTER_BATCH_DELAY_MS = '0';
+
+const request = require('supertest');
+const app = require('../../src/app');
+const {
+  ProfessionalAccount,
+  ArticlePublication,
+  NewsletterSubscriber,
+  NewsletterCampaign,
+  NewsletterDelivery,
+  ContentCategory
+} = require('../../src/db/models').models;
+const emailService = require('../../src/services/email.service');
+const campaignService = require('../../src/services/campaign.service');
+const { hashPassword } = require('../../src/utils/auth');
+const { v4: uuidv4 } = require('uuid');
+
+describe('Newsletter Campaigns API', () => {
+  const emailAddresses = ['campaign-a@example.com', 'campaign-b@example.com'];
+  let adminUser;
+  let accessToken;
+  let campaignId;
+  let sendSpy;
+
+  beforeAll(async () => {
+    adminUser = await ProfessionalAccount.create({
+      accountId: uuidv4(),
+      username: 'campaignadmin',
+      emailAddress: 'campaign-admin@example.com',
+      passwordHash: await hashPassword('Password123!'),
+      accountRole: 'admin',
+      isAccountActive: true
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'campaignadmin', password: 'Password123!' });
+    accessToken = loginRes.body.accessToken;
+
+    await request(app)
+      .post('/api/articles')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ articleTitle: 'Fresh Off The Press', articleContent: 'Body', publicationStatus: 'published' });
+
+    await NewsletterSubscriber.bulkCreate(emailAddresses.map(emailAddress => ({
+      emailAddress,
+      unsubscribeToken: uuidv4(),
+      subscriptionStatus: 'active'
+    })));
+
+    sendSpy = jest.spyOn(emailService, 'sendEmail');
+  });
+
+  afterAll(async () => {
+    sendSpy.mockRestore();
+    await NewsletterCampaign.destroy({ where: { createdBy: adminUser.accountId } });
+    await NewsletterSubscriber.destroy({ where: { emailAddress: emailAddresses } });
+    await ArticlePublication.destroy({ where: { authorId: adminUser.accountId } });
+    await adminUser.destroy();
+  });
+
+  it('should create a draft from recently published articles', async () => {
+    const res = await request(app)
+      .post('/api/newsletter/campaigns')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ campaignSubject: 'This month', articlesSince: new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.campaignStatus).toBe('draft');
+    expect(res.body.articles.map(article => article.articleTitle)).toContain('Fresh Off The Press');
+    campaignId = res.body.campaignId;
+  });
+
+  it('should preview the campaign', async () => {
+    const res = await request(app)
+      .get(`/api/newsletter/campaigns/${campaignId}/preview`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.html).toContain('Fresh Off The Press');
+    expect(res.body.recipientCount).toBeGreaterThanOrEqual(emailAddresses.length);
+  });
+
+  it('should send once to each active subscriber', async () => {
+    const res = await request(app)
+      .post(`/api/newsletter/campaigns/${campaignId}/send`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.statusCode).toBe(202);
+    await campaignService.activeSends.get(campaignId);
+
+    sendSpy.mock.calls.forEach(([options]) => {
+      expect(options.listUnsubscribe).toContain('/api/newsletter/one-click-unsubscribe?token=');
+    });
+
+    const recipients = sendSpy.mock.calls.map(([options]) => options.to);
+    emailAddresses.forEach(emailAddress => {
+      expect(recipients.filter(to => to === emailAddress)).toHaveLength(1);
+    });
+
+    const campaign = await NewsletterCampaign.findByPk(campaignId);
+    expect(campaign.campaignStatus).toBe('sent');
+  });
+
+  it('should not resend a sent campaign', async () => {
+    const res = await request(app)
+      .post(`/api/newsletter/campaigns/${campaignId}/send`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('should skip in-flight deliveries when resuming an interrupted send', async () => {
+    const campaign = await NewsletterCampaign.create({
+      campaignSubject: 'Interrupted',
+      articlesSince: new Date(),
+      articleIds: (await NewsletterCampaign.findByPk(campaignId)).articleIds,
+      campaignStatus: 'sending',
+      sendStartedAt: new Date(),
+      createdBy: adminUser.accountId
+    });
+    const subscribers = await NewsletterSubscriber.findAll({ where: { emailAddress: emailAddresses } });
+    await NewsletterDelivery.bulkCreate([
+      { campaignId: campaign.campaignId, subscriberId: subscribers[0].subscriberId, deliveryStatus: 'sending', attemptCount: 1 },
+      { campaignId: campaign.campaignId, subscriberId: subscribers[1].subscriberId }
+    ]);
+    sendSpy.mockClear();
+
+    await campaignService.resumeInterruptedSends();
+    await campaignService.activeSends.get(campaign.campaignId);
+
+    expect(sendSpy).toHaveBeenCalledTimes(1);
+    expect(sendSpy.mock.calls[0][0].to).toBe(subscribers[1].emailAddress);
+  });
+
+  describe('segments', () => {
+    let category;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ categoryName: 'Segment Topic', categoryType: 'article' });
+      category = res.body;
+    });
+
+    afterAll(async () => {
+      await ContentCategory.destroy({ where: { categoryId: category.categoryId } });
+    });
+
+    it('should save topic interests through the preference center', async () => {
+      const subscriber = await NewsletterSubscriber.findOne({ where: { emailAddress: emailAddresses[0] } });
+
+      const res = await request(app)
+        .put('/api/newsletter/preferences')
+        .send({ token: subscriber.unsubscribeToken, categoryIds: [category.categoryId] });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.categoryIds).toEqual([category.categoryId]);
+    });
+
+    it('should count the subscribers of a category segment', async () => {
+      const res = await request(app)
+        .post('/api/newsletter/segments/preview')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ categoryIds: [category.categoryId] });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.recipientCount).toBe(1);
+    });
+
+    it('should exclude subscribers added before the segment date', async () => {
+      const res = await request(app)
+        .post('/api/newsletter/segments/preview')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ categoryIds: [category.categoryId], subscribedAfter: new Date(Date.now() + 60 * 1000).toISOString() });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.recipientCount).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { ProfessionalAccount, ContentCategory } = require('../../src/db/models').models;
+const { hashPassword } = require('../../src/utils/auth');
+const { v4: uuidv4 } = require('uuid');
+
+describe('Category Tree API', () => {
+  let adminUser;
+  let accessToken;
+  let root;
+  let child;
+  let grandchild;
+  let otherRoot;
+  let articleCategory;
+
+  const createCategory = async (data) => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(data);
+    return res.body;
+  };
+
+  beforeAll(async () => {
+    adminUser = await ProfessionalAccount.create({
+      accountId: uuidv4(),
+      username: 'categoryadmin',
+      emailAddress: 'category-admin@example.com',
+      passwordHash: await hashPassword('Password123!'),
+      accountRole: 'admin',
+      isAccountActive: true
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'categoryadmin', password: 'Password123!' });
+    accessToken = loginRes.body.accessToken;
+
+    root = await createCategory({ categoryName: 'Tree Root', categoryType: 'project' });
+    child = await createCategory({ categoryName: 'Tree Child', categoryType: 'project', parentCategoryId: root.categoryId });
+    grandchild = await createCategory({ categoryName: 'Tree Grandchild', categoryType: 'project', parentCategoryId: child.categoryId });
+    otherRoot = await createCategory({ categoryName: 'Tree Other Root', categoryType: 'project' });
+    articleCategory = await createCategory({ categoryName: 'Tree Article', categoryType: 'article' });
+  });
+
+  afterAll(async () => {
+    await ContentCategory.destroy({
+      where: {
+        categoryId: [grandchild, child, root, otherRoot, articleCategory].map(category => category.categoryId)
+      }
+    });
+    await adminUser.destroy();
+  });
+
+  it('should return the nested tree for a category type', async () => {
+    const res = await request(app).get('/api/categories/tree/project');
+
+    expect(res.statusCode).toBe(200);
+    const treeRoot = res.body.data.find(category => category.categoryId === root.categoryId);
+    expect(treeRoot.children[0].categoryId).toBe(child.categoryId);
+    expect(treeRoot.children[0].children[0].categoryId).toBe(grandchild.categoryId);
+  });
+
+  it('should reject moving a category below its own descendant', async () => {
+    const res = await request(app)
+      .post(`/api/categories/${root.categoryId}/move`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ parentCategoryId: grandchild.categoryId });
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('should reject a parent with a different category type', async () => {
+    const res = await request(app)
+      .post(`/api/categories/${child.categoryId}/move`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ parentCategoryId: articleCategory.categoryId });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should move a subtree and recompute descendant levels', async () => {
+    const res = await request(app)
+      .post(`/api/categories/${root.categoryId}/move`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ parentCategoryId: otherRoot.categoryId });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.hierarchyLevel).toBe(1);
+
+    const movedGrandchild = await ContentCategory.findByPk(grandchild.categoryId);
+    expect(movedGrandchild.hierarchyLevel).toBe(3);
+  });
+
+  it('should refuse assigning a category of another type', async () => {
+    const res = await request(app)
+      .post('/api/articles')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        articleTitle: 'Mistyped Category Article',
+        articleContent: 'Body',
+        categoryIds: [root.categoryId]
+      });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should report category type mismatches to admins', async () => {
+    const res = await request(app)
+      .get('/api/categories/type-mismatches')
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.models.map(entry => entry.model)).toEqual(expect.arrayContaining([
+      'ArticleCategoryAssignment',
+      'ProjectCategoryAssignment',
+      'ProfessionalService',
+      'ProfessionalExpertise'
+    ]));
+  });
+});
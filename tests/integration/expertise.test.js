@@ -0,0 +1,309 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const {
+  ProfessionalAccount,
+  ContentCategory,
+  TechnicalExpertise,
+  PortfolioProject,
+  ProjectTechnologyAssignment
+} = require('../../src/db/models').models;
+const { hashPassword } = require('../../src/utils/auth');
+const { v4: uuidv4 } = require('uuid');
+
+describe('Expertise API', () => {
+  let admin;
+  let user;
+  let expertiseCategory;
+  let projectCategory;
+
+  const createAccount = async (username, accountRole = 'user') => {
+    const account = await ProfessionalAccount.create({
+      accountId: uuidv4(),
+      username,
+      emailAddress: `${username}@example.com`,
+      passwordHash: await hashPassword('Password123!'),
+      accountRole,
+      isAccountActive: true
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username, password: 'Password123!' });
+    return { account, accessToken: loginRes.body.accessToken };
+  };
+
+  beforeAll(async () => {
+    admin = await createAccount('expertiseadmin', 'admin');
+    user = await createAccount('expertiseuser');
+
+    expertiseCategory = await ContentCategory.create({
+      categoryName: 'Expertise Backend',
+      categorySlug: 'expertise-backend',
+      categoryType: 'expertise'
+    });
+    projectCategory = await ContentCategory.create({
+      categoryName: 'Expertise Projects',
+      categorySlug: 'expertise-projects',
+      categoryType: 'project'
+    });
+  });
+
+  afterAll(async () => {
+    await PortfolioProject.destroy({ where: { accountId: admin.account.accountId } });
+    await TechnicalExpertise.destroy({ where: { expertiseSlug: ['expertise-node', 'expertise-rust', 'expertise-go'] } });
+    await admin.account.destroy();
+    await user.account.destroy();
+    await ContentCategory.destroy({ where: { categoryId: [expertiseCategory.categoryId, projectCategory.categoryId] } });
+  });
+
+  describe('Technical expertise', () => {
+    let technical;
+
+    it('should require authentication to create', async () => {
+      const res = await request(app)
+        .post('/api/expertise/technical')
+        .send({ expertiseName: 'Node.js' });
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should require an admin to create', async () => {
+      const res = await request(app)
+        .post('/api/expertise/technical')
+        .set('Authorization', `Bearer ${user.accessToken}`)
+        .send({ expertiseName: 'Node.js' });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should validate the name and slug', async () => {
+      const res = await request(app)
+        .post('/api/expertise/technical')
+        .set('Authorization', `Bearer ${admin.accessToken}`)
+        .send({ expertiseSlug: 'Not A Slug' });
+
+      expect(res.statusCode).toBe(400);
+      const fields = res.body.errors.map(error => error.field);
+      expect(fields).toEqual(expect.arrayContaining(['expertiseName', 'expertiseSlug']));
+    });
+
+    it('should create a technical expertise entry', async () => {
+      const res = await request(app)
+        .post('/api/expertise/technical')
+        .set('Authorization', `Bearer ${admin.accessToken}`)
+        .send({ expertiseName: 'Node.js', expertiseSlug: 'expertise-node', iconIdentifier: 'nodejs' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.expertiseSlug).toBe('expertise-node');
+      technical = res.body;
+    });
+
+    it('should list technical expertise with project counts', async () => {
+      const res = await request(app).get('/api/expertise/technical');
+
+      expect(res.statusCode).toBe(200);
+      const entry = res.body.data.find(item => item.expertiseId === technical.expertiseId);
+      expect(entry.projectCount).toBe(0);
+    });
+
+    it('should update a technical expertise entry', async () => {
+      const res = await request(app)
+        .put(`/api/expertise/technical/${technical.expertiseId}`)
+        .set('Authorization', `Bearer ${admin.accessToken}`)
+        .send({ expertiseName: 'Node' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.expertiseName).toBe('Node');
+      expect(res.body.expertiseSlug).toBe('expertise-node');
+    });
+
+    it('should reject an invalid expertise ID', async () => {
+      const res = await request(app)
+        .put('/api/expertise/technical/not-a-uuid')
+        .set('Authorization', `Bearer ${admin.accessToken}`)
+        .send({ expertiseName: 'Node' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should return 404 when updating a missing entry', async () => {
+      const res = await request(app)
+        .put(`/api/expertise/technical/${uuidv4()}`)
+        .set('Authorization', `Bearer ${admin.accessToken}`)
+        .send({ expertiseName: 'Node' });
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should delete a technical expertise entry', async () => {
+      const res = await request(app)
+        .delete(`/api/expertise/technical/${technical.expertiseId}`)
+        .set('Authorization', `Bearer ${admin.accessToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+
+      const missing = await request(app)
+        .delete(`/api/expertise/technical/${technical.expertiseId}`)
+        .set('Authorization', `Bearer ${admin.accessToken}`);
+      expect(missing.statusCode).toBe(404);
+    });
+  });
+
+  describe('Professional expertise', () => {
+    let professional;
+
+    it('should require an admin to create', async () => {
+      const res = await request(app)
+        .post('/api/expertise/professional')
+        .set('Authorization', `Bearer ${user.accessToken}`)
+        .send({ categoryId: expertiseCategory.categoryId, expertiseName: 'APIs', proficiencyLevel: 80 });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should validate the proficiency level and category', async () => {
+      const res = await request(app)
+        .post('/api/expertise/professional')
+        .set('Authorization', `Bearer ${admin.accessToken}`)
+        .send({ categoryId: 'not-a-uuid', expertiseName: 'APIs', proficiencyLevel: 150 });
+
+      expect(res.statusCode).toBe(400);
+      const fields = res.body.errors.map(error => error.field);
+      expect(fields).toEqual(expect.arrayContaining(['categoryId', 'proficiencyLevel']));
+    });
+
+    it('should reject a category that is not an expertise category', async () => {
+      const res = await request(app)
+        .post('/api/expertise/professional')
+        .set('Authorization', `Bearer ${admin.accessToken}`)
+        .send({ categoryId: projectCategory.categoryId, expertiseName: 'APIs', proficiencyLevel: 80 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Only expertise categories can be assigned');
+    });
+
+    it('should reject a category that does not exist', async () => {
+      const res = await request(app)
+        .post('/api/expertise/professional')
+        .set('Authorization', `Bearer ${admin.accessToken}`)
+        .send({ categoryId: uuidv4(), expertiseName: 'APIs', proficiencyLevel: 80 });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should create an entry for the calling account', async () => {
+      const res = await request(app)
+        .post('/api/expertise/professional')
+        .set('Authorization', `Bearer ${admin.accessToken}`)
+        .send({ categoryId: expertiseCategory.categoryId, expertiseName: 'APIs', proficiencyLevel: 80, isFeatured: true });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.accountId).toBe(admin.account.accountId);
+      professional = res.body;
+    });
+
+    it('should list entries of an account', async () => {
+      const res = await request(app)
+        .get('/api/expertise/professional')
+        .query({ accountId: admin.account.accountId });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.map(item => item.expertiseId)).toContain(professional.expertiseId);
+    });
+
+    it('should update an entry', async () => {
+      const res = await request(app)
+        .put(`/api/expertise/professional/${professional.expertiseId}`)
+        .set('Authorization', `Bearer ${admin.accessToken}`)
+        .send({ proficiencyLevel: 90 });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.proficiencyLevel).toBe(90);
+    });
+
+    it('should delete an entry', async () => {
+      const res = await request(app)
+        .delete(`/api/expertise/professional/${professional.expertiseId}`)
+        .set('Authorization', `Bearer ${admin.accessToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+    });
+  });
+
+  describe('Skills matrix', () => {
+    let rust;
+    let go;
+
+    beforeAll(async () => {
+      rust = await TechnicalExpertise.create({ expertiseName: 'Rust', expertiseSlug: 'expertise-rust' });
+      go = await TechnicalExpertise.create({ expertiseName: 'Go', expertiseSlug: 'expertise-go' });
+
+      const projectData = {
+        accountId: admin.account.accountId,
+        projectDescription: 'Description',
+        thumbnailImage: '/thumbnail.png'
+      };
+      const published = await PortfolioProject.create({
+        ...projectData,
+        projectTitle: 'Published Rust',
+        projectSlug: 'expertise-published-rust',
+        publicationStatus: 'published'
+      });
+      const secondPublished = await PortfolioProject.create({
+        ...projectData,
+        projectTitle: 'Second Rust',
+        projectSlug: 'expertise-second-rust',
+        publicationStatus: 'published'
+      });
+      const draft = await PortfolioProject.create({
+        ...projectData,
+        projectTitle: 'Draft Go',
+        projectSlug: 'expertise-draft-go',
+        publicationStatus: 'draft'
+      });
+
+      await ProjectTechnologyAssignment.bulkCreate([
+        { projectId: published.projectId, expertiseId: rust.expertiseId },
+        { projectId: secondPublished.projectId, expertiseId: rust.expertiseId },
+        { projectId: draft.projectId, expertiseId: go.expertiseId }
+      ]);
+
+      await request(app)
+        .post('/api/expertise/professional')
+        .set('Authorization', `Bearer ${admin.accessToken}`)
+        .send({ categoryId: expertiseCategory.categoryId, expertiseName: 'Systems', proficiencyLevel: 70 });
+    });
+
+    it('should group skills by category and count published projects', async () => {
+      const res = await request(app).get('/api/expertise/matrix/expertiseadmin');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.account.username).toBe('expertiseadmin');
+
+      const group = res.body.categories.find(entry => entry.category.categoryId === expertiseCategory.categoryId);
+      expect(group.skills.map(skill => skill.expertiseName)).toEqual(['Systems']);
+
+      const rustEntry = res.body.technologies.find(entry => entry.expertiseId === rust.expertiseId);
+      expect(rustEntry.projectCount).toBe(2);
+      // Draft projects are not counted, so Go is left out of the matrix
+      expect(res.body.technologies.map(entry => entry.expertiseId)).not.toContain(go.expertiseId);
+    });
+
+    it('should only count projects of the requested account', async () => {
+      const res = await request(app).get('/api/expertise/matrix/expertiseuser');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.categories).toEqual([]);
+      expect(res.body.technologies.map(entry => entry.expertiseId)).not.toContain(rust.expertiseId);
+    });
+
+    it('should return 404 for an unknown username', async () => {
+      const res = await request(app).get('/api/expertise/matrix/no-such-user');
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.message).toBe('Account not found');
+    });
+  });
+});
@@ -0,0 +1,183 @@
+process.env.INQUIRY_MIN_SUBMIT_SECONDS = '0';
+process.env.EMAIL_TRANSPORT = 'json';
+process.env.EMAIL_INBOUND_SECRET = 'inbound-test-secret';
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { ClientInquiry, ProfessionalAccount } = require('../../src/db/models').models;
+const { hashPassword } = require('../../src/utils/auth');
+const { v4: uuidv4 } = require('uuid');
+const emailService = require('../../src/services/email.service');
+const { sendFollowUpReminders } = require('../../src/scheduled/inquiryFollowUps');
+
+describe('Client Inquiries API', () => {
+  let formToken;
+  let adminUser;
+  let accessToken;
+  let inquiryId;
+
+  const submit = (data) => request(app)
+    .post('/api/client-inquiries')
+    .send({
+      clientName: 'Jane Client',
+      clientEmail: 'jane.client@example.com',
+      inquirySubject: 'New website',
+      inquiryMessage: 'We would like a quote for a new company website.',
+      formToken,
+      ...data
+    });
+
+  beforeAll(async () => {
+    const res = await request(app).get('/api/client-inquiries/form-token');
+    formToken = res.body.formToken;
+
+    adminUser = await ProfessionalAccount.create({
+      accountId: uuidv4(),
+      username: 'inquiryadmin',
+      emailAddress: 'inquiry-admin@example.com',
+      passwordHash: await hashPassword('Password123!'),
+      accountRole: 'admin',
+      isAccountActive: true
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'inquiryadmin', password: 'Password123!' });
+    accessToken = loginRes.body.accessToken;
+  });
+
+  afterAll(async () => {
+    await ClientInquiry.destroy({ where: { clientEmail: ['jane.client@example.com', 'bot@example.com'] } });
+    await adminUser.destroy();
+  });
+
+  it('should accept a genuine inquiry', async () => {
+    const res = await submit({});
+
+    expect(res.statusCode).toBe(201);
+    const inquiry = await ClientInquiry.findByPk(res.body.inquiryId);
+    expect(inquiry.isQuarantined).toBe(false);
+    expect(inquiry.spamScore).toBe(0);
+    inquiryId = inquiry.inquiryId;
+  });
+
+  it('should quarantine a submission that fills the honeypot', async () => {
+    const res = await submit({
+      clientEmail: 'bot@example.com',
+      inquiryMessage: 'Cheap backlinks at http://a.example http://b.example http://c.example',
+      website: 'http://spam.example'
+    });
+
+    expect(res.statusCode).toBe(201);
+    const inquiry = await ClientInquiry.findByPk(res.body.inquiryId);
+    expect(inquiry.isQuarantined).toBe(true);
+    expect(inquiry.spamReasons.map(reason => reason.rule)).toEqual(
+      expect.arrayContaining(['honeypot', 'too_many_links', 'blocklisted_terms'])
+    );
+  });
+
+  it('should flag a repeated message as a duplicate', async () => {
+    const res = await submit({});
+
+    const inquiry = await ClientInquiry.findByPk(res.body.inquiryId);
+    expect(inquiry.spamReasons.map(reason => reason.rule)).toContain('duplicate_message');
+  });
+
+  describe('Inbox workflow', () => {
+    const admin = (req) => req.set('Authorization', `Bearer ${accessToken}`);
+    let reply;
+
+    it('should search the inbox', async () => {
+      const res = await admin(request(app).get('/api/client-inquiries').query({ search: 'company website' }));
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.map(inquiry => inquiry.inquiryId)).toContain(inquiryId);
+    });
+
+    it('should mark an inquiry read when opened and record who did it', async () => {
+      const res = await admin(request(app).get(`/api/client-inquiries/${inquiryId}`));
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.inquiryStatus).toBe('read');
+      expect(res.body.statusHistory[0]).toMatchObject({
+        fromStatus: 'unread',
+        toStatus: 'read',
+        changedBy: adminUser.accountId
+      });
+    });
+
+    it('should add internal notes', async () => {
+      const res = await admin(request(app).post(`/api/client-inquiries/${inquiryId}/notes`))
+        .send({ noteContent: 'Asked for their budget' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.authorId).toBe(adminUser.accountId);
+    });
+
+    it('should email the assignee when the follow-up date passes without a reply', async () => {
+      const sendSpy = jest.spyOn(emailService, 'sendInquiryFollowUpReminder').mockResolvedValue({});
+
+      const res = await admin(request(app).patch(`/api/client-inquiries/${inquiryId}`))
+        .send({ assignedAccountId: adminUser.accountId, followUpDate: new Date(Date.now() - 60000).toISOString() });
+      expect(res.statusCode).toBe(200);
+
+      await sendFollowUpReminders();
+      await sendFollowUpReminders();
+
+      const reminders = sendSpy.mock.calls.filter(([, inquiry]) => inquiry.inquiryId === inquiryId);
+      expect(reminders).toHaveLength(1);
+      expect(reminders[0][0]).toEqual(['inquiry-admin@example.com']);
+      sendSpy.mockRestore();
+    });
+
+    it('should email a threaded reply and mark the inquiry replied', async () => {
+      const res = await admin(request(app).post(`/api/client-inquiries/${inquiryId}/replies`))
+        .send({ messageBody: 'Thanks, what is your budget?' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.messageDirection).toBe('outbound');
+      expect(res.body.inReplyTo).toMatch(new RegExp(`^<inquiry\\.${inquiryId}@`));
+      reply = res.body;
+
+      const inquiry = await ClientInquiry.findByPk(inquiryId);
+      expect(inquiry.inquiryStatus).toBe('replied');
+    });
+
+    it('should thread an inbound reply and reopen the inquiry', async () => {
+      const res = await request(app)
+        .post('/api/client-inquiries/inbound')
+        .set('X-Inbound-Secret', 'inbound-test-secret')
+        .send({
+          from: 'Jane Client <jane.client@example.com>',
+          subject: 'Re: New website',
+          text: 'Around 5k',
+          messageId: '<client-reply-1@example.com>',
+          inReplyTo: reply.emailMessageId
+        });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.inquiryId).toBe(inquiryId);
+
+      const thread = await admin(request(app).get(`/api/client-inquiries/${inquiryId}`));
+      expect(thread.body.messages.map(message => message.messageDirection)).toEqual(['outbound', 'inbound']);
+      expect(thread.body.messages[1].senderEmail).toBe('jane.client@example.com');
+    });
+
+    it('should refuse inbound mail without the shared secret', async () => {
+      const res = await request(app)
+        .post('/api/client-inquiries/inbound')
+        .send({ from: 'someone@example.com', text: 'Hello' });
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should reject an invalid status transition', async () => {
+      await admin(request(app).post(`/api/client-inquiries/${inquiryId}/status`)).send({ inquiryStatus: 'archived' });
+
+      const res = await admin(request(app).post(`/api/client-inquiries/${inquiryId}/status`))
+        .send({ inquiryStatus: 'replied' });
+
+      expect(res.statusCode).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+process.env.EMAIL_TRANSPORT = 'json';
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { ProfessionalAccount, NewsletterSubscriber, NewsletterUnsubscribe } = require('../../src/db/models').models;
+const emailService = require('../../src/services/email.service');
+const newsletterService = require('../../src/services/newsletter.service');
+const { hashPassword } = require('../../src/utils/auth');
+const { v4: uuidv4 } = require('uuid');
+
+describe('Newsletter API', () => {
+  const emailAddress = 'reader@example.com';
+  let sendSpy;
+
+  beforeAll(() => {
+    sendSpy = jest.spyOn(emailService, 'sendNewsletterConfirmationEmail');
+  });
+
+  afterAll(async () => {
+    sendSpy.mockRestore();
+    await NewsletterSubscriber.destroy({ where: { emailAddress } });
+  });
+
+  const confirmationToken = () => {
+    const [, confirmUrl] = sendSpy.mock.calls[sendSpy.mock.calls.length - 1];
+    return new URL(confirmUrl).searchParams.get('token');
+  };
+
+  it('should create a pending subscriber and send a confirmation', async () => {
+    const res = await request(app)
+      .post('/api/newsletter/subscribe')
+      .send({ emailAddress, subscriberName: 'Reader' });
+
+    expect(res.statusCode).toBe(202);
+    const subscriber = await NewsletterSubscriber.findOne({ where: { emailAddress } });
+    expect(subscriber.subscriptionStatus).toBe('pending');
+    expect(sendSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject a tampered confirmation token', async () => {
+    const res = await request(app)
+      .post('/api/newsletter/confirm')
+      .send({ token: `${confirmationToken()}x` });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should activate the subscriber on confirmation', async () => {
+    const res = await request(app)
+      .post('/api/newsletter/confirm')
+      .send({ token: confirmationToken() });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.subscriptionStatus).toBe('active');
+  });
+
+  it('should unsubscribe with the unsubscribe token', async () => {
+    const subscriber = await NewsletterSubscriber.findOne({ where: { emailAddress } });
+
+    const res = await request(app)
+      .post('/api/newsletter/unsubscribe')
+      .send({ token: subscriber.unsubscribeToken });
+
+    expect(res.statusCode).toBe(200);
+    await subscriber.reload();
+    expect(subscriber.subscriptionStatus).toBe('unsubscribed');
+    expect(subscriber.unsubscribedAt).not.toBeNull();
+
+    const logged = await NewsletterUnsubscribe.findOne({ where: { subscriberId: subscriber.subscriberId } });
+    expect(logged.unsubscribeReason).toBe('user-request');
+  });
+
+  describe('one-click unsubscribe', () => {
+    const oneClickAddress = 'one-click@example.com';
+    let subscriber;
+
+    beforeAll(async () => {
+      subscriber = await NewsletterSubscriber.create({
+        emailAddress: oneClickAddress,
+        unsubscribeToken: newsletterService.generateUnsubscribeToken(),
+        subscriptionStatus: 'active'
+      });
+    });
+
+    afterAll(async () => {
+      await subscriber.destroy();
+    });
+
+    const oneClickPath = (url) => {
+      const { pathname, search } = new URL(url);
+      return `${pathname}${search}`;
+    };
+
+    it('should reject an unsigned token', async () => {
+      const res = await request(app)
+        .post('/api/newsletter/one-click-unsubscribe?token=forged')
+        .type('form')
+        .send('List-Unsubscribe=One-Click');
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should unsubscribe from the signed List-Unsubscribe URL without login', async () => {
+      const res = await request(app)
+        .post(oneClickPath(newsletterService.oneClickUnsubscribeUrl(subscriber)))
+        .type('form')
+        .send('List-Unsubscribe=One-Click');
+
+      expect(res.statusCode).toBe(200);
+      await subscriber.reload();
+      expect(subscriber.subscriptionStatus).toBe('unsubscribed');
+
+      const logged = await NewsletterUnsubscribe.findAll({ where: { subscriberId: subscriber.subscriberId } });
+      expect(logged).toHaveLength(1);
+      expect(logged[0].unsubscribeReason).toBe('one-click');
+    });
+  });
+
+  describe('CSV import and export', () => {
+    const importedAddresses = ['imported-a@example.com', 'imported-b@example.com'];
+    let adminUser;
+    let accessToken;
+
+    beforeAll(async () => {
+      adminUser = await ProfessionalAccount.create({
+        accountId: uuidv4(),
+        username: 'newsletteradmin',
+        emailAddress: 'newsletter-admin@example.com',
+        passwordHash: await hashPassword('Password123!'),
+        accountRole: 'admin',
+        isAccountActive: true
+      });
+
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'newsletteradmin', password: 'Password123!' });
+      accessToken = loginRes.body.accessToken;
+    });
+
+    afterAll(async () => {
+      await NewsletterSubscriber.destroy({ where: { emailAddress: importedAddresses } });
+      await adminUser.destroy();
+    });
+
+    it('should import valid rows and report the rest', async () => {
+      const csv = [
+        'Email Address,Name,Consent Timestamp',
+        'imported-a@example.com,Imported A,2023-05-01T08:00:00Z',
+        'not-an-email,Broken,2023-05-01T08:00:00Z',
+        'IMPORTED-A@example.com,Again,2023-05-01T08:00:00Z',
+        'imported-b@example.com,Imported B,2023-06-01T08:00:00Z'
+      ].join('\n');
+
+      const res = await request(app)
+        .post('/api/newsletter/subscribers/import')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .attach('file', Buffer.from(csv), 'subscribers.csv');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.imported).toBe(2);
+      expect(res.body.rejected).toEqual([expect.objectContaining({ row: 3, message: 'Invalid email address' })]);
+      expect(res.body.skipped).toEqual([expect.objectContaining({ row: 4 })]);
+
+      const subscriber = await NewsletterSubscriber.findOne({ where: { emailAddress: importedAddresses[0] } });
+      expect(subscriber.confirmedAt.toISOString()).toBe('2023-05-01T08:00:00.000Z');
+    });
+
+    it('should export subscribers filtered by date', async () => {
+      const res = await request(app)
+        .get('/api/newsletter/subscribers/export')
+        .query({ status: 'active', dateField: 'confirmedAt', from: '2023-05-15', to: '2023-06-15' })
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toContain('text/csv');
+      expect(res.text).toContain('imported-b@example.com');
+      expect(res.text).not.toContain('imported-a@example.com');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { ProfessionalAccount, PortfolioProject, ContentCategory } = require('../../src/db/models').models;
+const { hashPassword } = require('../../src/utils/auth');
+const { v4: uuidv4 } = require('uuid');
+
+describe('Portfolio Projects API', () => {
+  let adminUser;
+  let category;
+  let accessToken;
+  let draftProject;
+
+  beforeAll(async () => {
+    adminUser = await ProfessionalAccount.create({
+      accountId: uuidv4(),
+      username: 'portfolioadmin',
+      emailAddress: 'portfolio-admin@example.com',
+      passwordHash: await hashPassword('Password123!'),
+      accountRole: 'admin',
+      isAccountActive: true
+    });
+
+    category = await ContentCategory.create({
+      categoryName: 'Portfolio Test Category',
+      categorySlug: 'portfolio-test-category',
+      categoryType: 'project'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'portfolioadmin', password: 'Password123!' });
+    accessToken = loginRes.body.accessToken;
+  });
+
+  afterAll(async () => {
+    await PortfolioProject.destroy({ where: { accountId: adminUser.accountId } });
+    await category.destroy();
+    await adminUser.destroy();
+  });
+
+  describe('POST /api/portfolio-projects', () => {
+    it('should create a project with categories', async () => {
+      const res = await request(app)
+        .post('/api/portfolio-projects')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          projectTitle: 'Draft Dashboard',
+          projectDescription: 'An analytics dashboard',
+          thumbnailImage: 'images/dashboard.png',
+          categoryIds: [category.categoryId]
+        });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toHaveProperty('projectSlug', 'draft-dashboard');
+      expect(res.body.categories).toHaveLength(1);
+      draftProject = res.body;
+    });
+
+    it('should reject anonymous callers', async () => {
+      const res = await request(app)
+        .post('/api/portfolio-projects')
+        .send({ projectTitle: 'Nope' });
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should reject unknown categories', async () => {
+      const res = await request(app)
+        .post('/api/portfolio-projects')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          projectTitle: 'Broken Project',
+          projectDescription: 'Has a missing category',
+          thumbnailImage: 'images/broken.png',
+          categoryIds: [uuidv4()]
+        });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('GET /api/portfolio-projects', () => {
+    it('should hide draft projects from anonymous callers', async () => {
+      const res = await request(app).get('/api/portfolio-projects/draft-dashboard');
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should list published projects filtered by category', async () => {
+      await request(app)
+        .put(`/api/portfolio-projects/${draftProject.projectId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ publicationStatus: 'published' });
+
+      const res = await request(app)
+        .get('/api/portfolio-projects')
+        .query({ category: 'portfolio-test-category' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.map(project => project.projectId)).toContain(draftProject.projectId);
+      expect(res.body).toHaveProperty('pagination');
+    });
+  });
+
+  describe('DELETE /api/portfolio-projects/:projectId', () => {
+    it('should delete a project', async () => {
+      const res = await request(app)
+        .delete(`/api/portfolio-projects/${draftProject.projectId}`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toHaveProperty('success', true);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { ProfessionalAccount, ProfessionalService, ContentCategory } = require('../../src/db/models').models;
+const { hashPassword } = require('../../src/utils/auth');
+const { v4: uuidv4 } = require('uuid');
+
+describe('Professional Services API', () => {
+  let adminUser;
+  let category;
+  let accessToken;
+  let service;
+
+  beforeAll(async () => {
+    adminUser = await ProfessionalAccount.create({
+      accountId: uuidv4(),
+      username: 'serviceadmin',
+      emailAddress: 'service-admin@example.com',
+      passwordHash: await hashPassword('Password123!'),
+      accountRole: 'admin',
+      isAccountActive: true
+    });
+
+    category = await ContentCategory.create({
+      categoryName: 'Service Test Category',
+      categorySlug: 'service-test-category',
+      categoryType: 'service'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'serviceadmin', password: 'Password123!' });
+    accessToken = loginRes.body.accessToken;
+
+    const res = await request(app)
+      .post('/api/services')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        categoryId: category.categoryId,
+        serviceTitle: 'Data Pipelines',
+        serviceDescription: 'ETL pipelines',
+        serviceOverview: 'We build pipelines',
+        priceRange: '$$',
+        serviceFeatures: ['Batch', 'Streaming'],
+        serviceIcon: 'pipeline',
+        isFeatured: true
+      });
+    service = res.body;
+  });
+
+  afterAll(async () => {
+    await ProfessionalService.destroy({ where: { categoryId: category.categoryId } });
+    await category.destroy();
+    await adminUser.destroy();
+  });
+
+  it('should list the service under its category', async () => {
+    const res = await request(app).get('/api/services');
+
+    expect(res.statusCode).toBe(200);
+    const group = res.body.data.find(item => item.category.categoryId === category.categoryId);
+    expect(group.services.map(item => item.serviceSlug)).toContain('data-pipelines');
+  });
+
+  it('should include the service in the featured list', async () => {
+    const res = await request(app).get('/api/services/featured');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.map(item => item.serviceId)).toContain(service.serviceId);
+  });
+
+  it('should reject activating an active service', async () => {
+    const res = await request(app)
+      .post(`/api/services/${service.serviceId}/activate`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('should archive and hide the service from the public', async () => {
+    const archiveRes = await request(app)
+      .post(`/api/services/${service.serviceId}/archive`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(archiveRes.statusCode).toBe(200);
+    expect(archiveRes.body.serviceStatus).toBe('archived');
+
+    const res = await request(app).get('/api/services/data-pipelines');
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('should reject deactivating an archived service', async () => {
+    const res = await request(app)
+      .post(`/api/services/${service.serviceId}/deactivate`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.statusCode).toBe(409);
+  });
+});
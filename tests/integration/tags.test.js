@@ -0,0 +1,87 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { ProfessionalAccount, ArticlePublication, ContentTag } = require('../../src/db/models').models;
+const { hashPassword } = require('../../src/utils/auth');
+const { v4: uuidv4 } = require('uuid');
+
+describe('Tags API', () => {
+  let adminUser;
+  let accessToken;
+  let nodejs;
+  let nodeJs;
+
+  const createTag = async (data) => {
+    const res = await request(app)
+      .post('/api/tags')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(data);
+    return res.body;
+  };
+
+  const createArticle = async (title, tagIds) => {
+    const res = await request(app)
+      .post('/api/articles')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ articleTitle: title, articleContent: 'Body', publicationStatus: 'published', tagIds });
+    return res.body;
+  };
+
+  beforeAll(async () => {
+    adminUser = await ProfessionalAccount.create({
+      accountId: uuidv4(),
+      username: 'tagadmin',
+      emailAddress: 'tag-admin@example.com',
+      passwordHash: await hashPassword('Password123!'),
+      accountRole: 'admin',
+      isAccountActive: true
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'tagadmin', password: 'Password123!' });
+    accessToken = loginRes.body.accessToken;
+
+    nodejs = await createTag({ tagName: 'nodejs' });
+    nodeJs = await createTag({ tagName: 'node-js' });
+
+    await createArticle('Tagged With Both', [nodejs.tagId, nodeJs.tagId]);
+    await createArticle('Tagged With Source', [nodeJs.tagId]);
+  });
+
+  afterAll(async () => {
+    await ArticlePublication.destroy({ where: { authorId: adminUser.accountId } });
+    await ContentTag.destroy({ where: { tagId: [nodejs.tagId, nodeJs.tagId] } });
+    await adminUser.destroy();
+  });
+
+  it('should rename a tag', async () => {
+    const res = await request(app)
+      .put(`/api/tags/${nodejs.tagId}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ tagName: 'Node.js' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.tagName).toBe('Node.js');
+    expect(res.body.tagSlug).toBe('nodejs');
+  });
+
+  it('should merge tags without duplicating assignments', async () => {
+    const res = await request(app)
+      .post(`/api/tags/${nodejs.tagId}/merge`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ sourceTagIds: [nodeJs.tagId] });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.movedAssignments).toBe(1);
+    expect(res.body.articleCount).toBe(2);
+    expect(await ContentTag.findByPk(nodeJs.tagId)).toBeNull();
+  });
+
+  it('should count published articles in the tag cloud', async () => {
+    const res = await request(app).get('/api/tags/cloud');
+
+    expect(res.statusCode).toBe(200);
+    const tag = res.body.data.find(entry => entry.tagId === nodejs.tagId);
+    expect(tag.articleCount).toBe(2);
+  });
+});
@@ -0,0 +1,85 @@
+process.env.EMAIL_TRANSPORT = 'json';
+process.env.EMAIL_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const request = require('supertest');
+const app = require('../../src/app');
+const { EmailSuppression, NewsletterSubscriber, NewsletterUnsubscribe } = require('../../src/db/models').models;
+const emailService = require('../../src/services/email.service');
+const newsletterService = require('../../src/services/newsletter.service');
+
+describe('Email feedback webhooks', () => {
+  const bouncedAddress = 'bounced@example.com';
+  const softAddress = 'mailbox-full@example.com';
+  const complainedAddress = 'complainer@example.com';
+  let subscriber;
+
+  beforeAll(async () => {
+    subscriber = await NewsletterSubscriber.create({
+      emailAddress: bouncedAddress,
+      unsubscribeToken: newsletterService.generateUnsubscribeToken(),
+      subscriptionStatus: 'active'
+    });
+  });
+
+  afterAll(async () => {
+    await EmailSuppression.destroy({ where: { emailAddress: [bouncedAddress, softAddress, complainedAddress] } });
+    await subscriber.destroy();
+  });
+
+  it('should reject calls without the webhook secret', async () => {
+    const res = await request(app)
+      .post('/api/webhooks/email/feedback')
+      .send({ events: [{ type: 'complaint', email: complainedAddress }] });
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('should suppress hard bounces and ignore soft ones', async () => {
+    const res = await request(app)
+      .post('/api/webhooks/email/feedback')
+      .set('X-Webhook-Secret', 'test-webhook-secret')
+      .send({
+        events: [
+          { type: 'bounce', bounceType: 'hard', email: bouncedAddress, diagnostic: '550 5.1.1 User unknown' },
+          { type: 'bounce', bounceType: 'soft', email: softAddress }
+        ]
+      });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ suppressed: 1, ignored: 1 });
+    expect(await EmailSuppression.count({ where: { emailAddress: softAddress } })).toBe(0);
+
+    await subscriber.reload();
+    expect(subscriber.subscriptionStatus).toBe('unsubscribed');
+    const logged = await NewsletterUnsubscribe.findOne({ where: { subscriberId: subscriber.subscriberId } });
+    expect(logged.unsubscribeReason).toBe('bounce');
+  });
+
+  it('should accept SES complaints wrapped in an SNS notification', async () => {
+    const message = {
+      notificationType: 'Complaint',
+      complaint: {
+        complainedRecipients: [{ emailAddress: `Complainer <${complainedAddress}>` }],
+        complaintFeedbackType: 'abuse',
+        timestamp: '2025-01-01T00:00:00.000Z'
+      }
+    };
+
+    const res = await request(app)
+      .post('/api/webhooks/email/ses?secret=test-webhook-secret')
+      .set('Content-Type', 'text/plain')
+      .send(JSON.stringify({ Type: 'Notification', Message: JSON.stringify(message) }));
+
+    expect(res.statusCode).toBe(200);
+    const suppression = await EmailSuppression.findOne({ where: { emailAddress: complainedAddress } });
+    expect(suppression.suppressionReason).toBe('complaint');
+  });
+
+  it('should refuse to send to suppressed addresses', async () => {
+    await expect(emailService.sendEmail({ to: bouncedAddress, subject: 'Hello', html: '<p>Hi</p>' }))
+      .rejects.toMatchObject({ code: 'EMAIL_SUPPRESSED' });
+
+    const info = await emailService.sendEmail({ to: [bouncedAddress, softAddress], subject: 'Hello', html: '<p>Hi</p>' });
+    expect(info.envelope.to).toEqual([softAddress]);
+  });
+});